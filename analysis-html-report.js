@@ -0,0 +1,326 @@
+/**
+ * Analysis HTML Report
+ *
+ * Renders the report built by analyze-conversations.js as a single,
+ * self-contained HTML page: styles and charts (inline SVG) are embedded, so
+ * the file can be opened offline and shared with people who do not read JSON.
+ */
+
+// Escape text for HTML content and attributes
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatNumber(num) {
+  return Number(num || 0).toLocaleString('en-US');
+}
+
+function formatPercent(part, total) {
+  if (!total) return '0%';
+  return `${(part / total * 100).toFixed(1)}%`;
+}
+
+// Entries of a { key: count } object, largest first
+function sortedEntries(counts) {
+  return Object.entries(counts || {}).sort((a, b) => b[1] - a[1]);
+}
+
+// Vertical bar chart, e.g. conversations per month
+function renderColumnChart(entries, { height = 220, barColor = '#3b6fd8' } = {}) {
+  if (entries.length === 0) {
+    return '<p class="empty">No data</p>';
+  }
+  
+  const max = Math.max(...entries.map(([, value]) => value));
+  const barWidth = 28;
+  const gap = 8;
+  const chartHeight = height - 60;
+  const width = entries.length * (barWidth + gap) + gap;
+  
+  const bars = entries.map(([label, value], i) => {
+    const barHeight = max > 0 ? Math.max(1, Math.round(value / max * chartHeight)) : 0;
+    const x = gap + i * (barWidth + gap);
+    const y = 20 + chartHeight - barHeight;
+    const labelY = 20 + chartHeight + 10;
+    
+    return `<g>
+      <title>${escapeHtml(label)}: ${formatNumber(value)}</title>
+      <rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" fill="${barColor}"></rect>
+      <text x="${x + barWidth / 2}" y="${y - 4}" class="value">${formatNumber(value)}</text>
+      <text x="${x + barWidth / 2}" y="${labelY}" class="label" transform="rotate(45 ${x + barWidth / 2} ${labelY})">${escapeHtml(label)}</text>
+    </g>`;
+  }).join('\n');
+  
+  return `<div class="chart"><svg width="${width}" height="${height}" role="img">${bars}</svg></div>`;
+}
+
+// Horizontal bars with counts and percentages, e.g. messages by sender
+function renderBarTable(entries, total, { keyLabel = 'Value' } = {}) {
+  if (entries.length === 0) {
+    return '<p class="empty">No data</p>';
+  }
+  
+  const max = Math.max(...entries.map(([, value]) => value));
+  const rows = entries.map(([key, value]) => `
+      <tr>
+        <td>${escapeHtml(key)}</td>
+        <td class="num">${formatNumber(value)}</td>
+        <td class="num">${formatPercent(value, total)}</td>
+        <td class="bar-cell"><span class="bar" style="width: ${max > 0 ? (value / max * 100).toFixed(1) : 0}%"></span></td>
+      </tr>`).join('');
+  
+  return `<table>
+      <thead><tr><th>${escapeHtml(keyLabel)}</th><th class="num">Count</th><th class="num">Share</th><th></th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// Field coverage: how many records of a kind have each field
+function renderFieldCoverage(fieldCounts, total) {
+  const entries = sortedEntries(fieldCounts);
+  if (entries.length === 0) {
+    return '<p class="empty">No records</p>';
+  }
+  
+  const rows = entries.map(([field, count]) => {
+    const partial = count < total ? ' class="partial"' : '';
+    return `
+      <tr${partial}>
+        <td><code>${escapeHtml(field)}</code></td>
+        <td class="num">${formatNumber(count)}</td>
+        <td class="num">${formatPercent(count, total)}</td>
+      </tr>`;
+  }).join('');
+  
+  return `<table>
+      <thead><tr><th>Field</th><th class="num">Present</th><th class="num">Coverage</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function renderSchemaIssues(issues) {
+  if (!issues || issues.length === 0) {
+    return '<p class="ok">No schema issues found.</p>';
+  }
+  
+  const rows = issues.map(issue => `
+      <tr>
+        <td><code>${escapeHtml(issue.check)}</code></td>
+        <td>${escapeHtml(issue.description)}</td>
+        <td>${escapeHtml(JSON.stringify(issue.expected))}</td>
+        <td>${escapeHtml(JSON.stringify(issue.actual))}</td>
+        <td class="num">${escapeHtml(issue.coverage || '')}</td>
+      </tr>`).join('');
+  
+  return `<table class="issues">
+      <thead><tr><th>Check</th><th>Description</th><th>Expected</th><th>Actual</th><th class="num">Coverage</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// Field paths inferred from every record (see schema-inference.js)
+function renderInferredFields(fields) {
+  if (!fields || fields.length === 0) {
+    return '<p class="empty">No records</p>';
+  }
+  
+  const rows = fields.map(field => {
+    const types = sortedEntries(field.types)
+      .map(([type, count]) => `${escapeHtml(type)} <span class="count">(${formatNumber(count)})</span>`)
+      .join(', ');
+    const partial = field.presence !== null && field.presence < 1 ? ' class="partial"' : '';
+    return `
+      <tr${partial}>
+        <td><code>${escapeHtml(field.path)}</code></td>
+        <td>${types}</td>
+        <td class="num">${field.presence === null ? '' : formatPercent(field.presence, 1)}</td>
+        <td>${field.nullable ? 'yes' : ''}</td>
+        <td>${field.examples.map(example => `<code>${escapeHtml(JSON.stringify(example))}</code>`).join(' ')}</td>
+      </tr>`;
+  }).join('');
+  
+  return `<table>
+      <thead><tr><th>Field</th><th>Types</th><th class="num">Presence</th><th>Nullable</th><th>Examples</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// Records whose shape differs from the majority, with the reasons
+function renderDeviations(inferred, { limit = 500 } = {}) {
+  if (inferred.deviatingRecords === 0) {
+    return `<p class="ok">All ${formatNumber(inferred.records)} records share the majority shape.</p>`;
+  }
+  
+  const rows = inferred.deviations.slice(0, limit).map(deviation => `
+      <tr>
+        <td class="num">${deviation.index}</td>
+        <td><code>${escapeHtml(deviation.uuid || '')}</code></td>
+        <td>${escapeHtml(deviation.source || '')}</td>
+        <td>${deviation.reasons.map(escapeHtml).join('<br>')}</td>
+      </tr>`).join('');
+  const listed = Math.min(limit, inferred.deviations.length);
+  
+  return `<p>${formatNumber(inferred.deviatingRecords)} of ${formatNumber(inferred.records)} records deviate from the majority shape` +
+    `${listed < inferred.deviatingRecords ? ` (first ${formatNumber(listed)} listed)` : ''}.</p>
+    <table class="issues">
+      <thead><tr><th class="num">Index</th><th>UUID</th><th>Source</th><th>Deviation</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function renderSummary(summary) {
+  const labels = {
+    fileSize: 'File size',
+    parseTime: 'Analysis time',
+    totalConversations: 'Conversations',
+    totalMessages: 'Messages',
+    schemaIssues: 'Schema issues',
+    deviatingRecords: 'Records deviating from majority shape',
+    dateRange: 'Date range',
+    dateFilter: 'Date filter',
+    messageBySender: 'Messages by sender',
+    contentTypes: 'Content types',
+    emptyMessages: 'Empty messages',
+    withAttachments: 'Messages with attachments',
+    withFiles: 'Messages with files',
+    relatedFiles: 'Related export files'
+  };
+  
+  const rows = Object.entries(summary)
+    .map(([key, value]) => `
+      <tr><th>${escapeHtml(labels[key] || key)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+  
+  return `<table class="summary"><tbody>${rows}</tbody></table>`;
+}
+
+const STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  header { background: #24292f; color: #fff; padding: 20px 32px; }
+  header h1 { margin: 0 0 4px; font-size: 22px; }
+  header p { margin: 0; color: #c9d1d9; font-size: 13px; }
+  main { padding: 24px 32px; max-width: 1200px; }
+  section { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 16px 20px; margin-bottom: 20px; }
+  h2 { font-size: 17px; margin: 0 0 12px; }
+  h3 { font-size: 14px; margin: 16px 0 8px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+  thead th { background: #f6f8fa; }
+  .summary th { width: 240px; color: #57606a; font-weight: 600; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  .bar-cell { width: 40%; }
+  .bar { display: inline-block; height: 10px; background: #3b6fd8; border-radius: 2px; }
+  tr.partial td { color: #9a6700; }
+  .chart { overflow-x: auto; }
+  .chart text { font-size: 10px; fill: #57606a; }
+  .chart text.value { text-anchor: middle; }
+  .chart text.label { text-anchor: start; }
+  .columns { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 16px; }
+  .empty { color: #57606a; font-style: italic; }
+  .ok { color: #1a7f37; }
+  .issues td { color: #cf222e; }
+  .count { color: #57606a; }
+  code { font-family: SFMono-Regular, Consolas, Menlo, monospace; font-size: 12px; }
+`;
+
+/**
+ * Render the analysis report ({ summary, schemaValidation, statistics }) as
+ * a standalone HTML document.
+ */
+function renderHtmlReport(report, { title = 'Conversation Data Analysis' } = {}) {
+  const stats = report.statistics;
+  const generated = new Date().toISOString();
+  
+  // Months in chronological order; unparsable dates are listed separately
+  const months = Object.entries(stats.timeStats.conversationsByMonth)
+    .filter(([month]) => month !== 'invalid-date')
+    .sort((a, b) => a[0].localeCompare(b[0]));
+  const invalidDates = stats.timeStats.conversationsByMonth['invalid-date'] || 0;
+  
+  const inputs = (stats.inputFiles || []).map(escapeHtml).join(', ');
+  const inferred = report.schemaValidation.inferred;
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${inputs ? `Source: ${inputs} &middot; ` : ''}Generated ${escapeHtml(generated)}</p>
+</header>
+<main>
+  <section>
+    <h2>Summary</h2>
+    ${renderSummary(report.summary)}
+  </section>
+
+  <section>
+    <h2>Conversations by Month</h2>
+    ${renderColumnChart(months)}
+    ${invalidDates > 0 ? `<p class="empty">${formatNumber(invalidDates)} conversations have an invalid creation date.</p>` : ''}
+  </section>
+
+  <section class="columns">
+    <div>
+      <h2>Messages by Sender</h2>
+      ${renderBarTable(sortedEntries(stats.messageStats.bySender), stats.messageStats.total, { keyLabel: 'Sender' })}
+    </div>
+    <div>
+      <h2>Content Types</h2>
+      ${renderBarTable(sortedEntries(stats.contentStats.byType), stats.contentStats.total, { keyLabel: 'Type' })}
+      <p class="empty">${formatNumber(stats.contentStats.emptyCitations)} content parts have an empty citations list.</p>
+    </div>
+  </section>
+
+  <section>
+    <h2>Field Coverage</h2>
+    <div class="columns">
+      <div>
+        <h3>Conversations (${formatNumber(stats.totalConversations)})</h3>
+        ${renderFieldCoverage(stats.fieldStats.conversations, stats.totalConversations)}
+      </div>
+      <div>
+        <h3>Messages (${formatNumber(stats.messageStats.total)})</h3>
+        ${renderFieldCoverage(stats.fieldStats.messages, stats.messageStats.total)}
+      </div>
+      <div>
+        <h3>Content Parts (${formatNumber(stats.contentStats.total)})</h3>
+        ${renderFieldCoverage(stats.fieldStats.content, stats.contentStats.total)}
+      </div>
+    </div>
+  </section>
+
+  <section>
+    <h2>Schema Issues</h2>
+    ${renderSchemaIssues(report.schemaValidation.issues)}
+  </section>
+${inferred ? `
+  <section>
+    <h2>Records Deviating From the Majority Shape</h2>
+    ${renderDeviations(inferred)}
+  </section>
+  
+  <section>
+    <h2>Inferred Schema (${formatNumber(inferred.records)} records, ${formatNumber(inferred.shapes)} shapes)</h2>
+    ${renderInferredFields(inferred.fields)}
+  </section>
+` : ''}</main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderHtmlReport,
+  escapeHtml
+};
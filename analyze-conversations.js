@@ -4,23 +4,116 @@
  * Conversation Data Exploratory Analysis
  * 
  * This script analyzes the conversations.json file to:
- * 1. Validate the JSON schema understanding
+ * 1. Validate the JSON schema understanding against every record
  * 2. Generate statistics about conversations and messages
  * 3. Identify patterns and anomalies in the data
  */
 
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { openExport, resolveInputPaths, streamConversations } = require('./export-source');
+const { getMessageText, getMonthKey, parseDate } = require('./conversation-model');
+const { renderHtmlReport } = require('./analysis-html-report');
+const { createSchemaInferrer } = require('./schema-inference');
 
-// Configuration
+// Configuration (defaults, overridable from the command line)
 const config = {
-  inputFile: 'conversations.json',
+  inputFiles: ['conversations.json'], // JSON files, export folders or .zip archives
   sampleSize: 10, // Number of random conversations to sample for detailed analysis
-  outputFile: 'conversation-analysis-report.json'
+  includeSamples: true, // Full sampled conversations make the report large
+  seed: null, // Seed for reproducible samples (null = random)
+  since: null, // Only analyze conversations created at or after this date
+  until: null, // ... and before this date
+  outputFile: 'conversation-analysis-report.json',
+  htmlFile: null // Optional self-contained HTML version of the report
 };
 
-console.log('Starting exploratory data analysis...');
-console.log(`Reading from: ${config.inputFile}`);
+const USAGE = `Usage: node analyze-conversations.js [options] [file|dir|glob ...]
+
+Analyzes one or more conversation exports (JSON files, export folders or
+.zip archives) and writes a JSON report. Defaults to conversations.json.
+
+Options:
+  -o, --output <file>       Report path (default: ${config.outputFile})
+      --html <file>         Also write the report as a self-contained HTML page
+  -n, --sample-size <n>     Number of random conversations to include (default: ${config.sampleSize})
+      --seed <seed>         Seed for reproducible random samples
+      --no-samples          Leave the random samples out of the report
+      --since <date>        Only conversations created on or after this date
+      --until <date>        Only conversations created on or before this date
+  -h, --help                Show this help`;
+
+// Parse a --since/--until bound. A bare date (YYYY-MM-DD) as upper bound
+// includes that whole day.
+function parseDateBound(value, isUpperBound) {
+  const date = parseDate(value);
+  if (!date) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  if (isUpperBound && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+}
+
+// Apply command line options to the configuration
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      html: { type: 'string' },
+      'sample-size': { type: 'string', short: 'n' },
+      seed: { type: 'string' },
+      'no-samples': { type: 'boolean', default: false },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  
+  if (positionals.length > 0) config.inputFiles = positionals;
+  if (values.output) config.outputFile = values.output;
+  if (values.html) config.htmlFile = values.html;
+  if (values.seed !== undefined) config.seed = values.seed;
+  if (values['no-samples']) config.includeSamples = false;
+  if (values.since) config.since = parseDateBound(values.since, false);
+  if (values.until) config.until = parseDateBound(values.until, true);
+  
+  if (values['sample-size'] !== undefined) {
+    config.sampleSize = parseInt(values['sample-size'], 10);
+    if (isNaN(config.sampleSize) || config.sampleSize < 0) {
+      throw new Error(`Invalid sample size: ${values['sample-size']}`);
+    }
+  }
+}
+
+// Seeded pseudo-random generator (mulberry32), so samples can be reproduced
+function createRandom(seed) {
+  if (seed === null) return Math.random;
+  
+  // Hash the seed string into a 32-bit state
+  let state = 0;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 2654435761) >>> 0;
+  }
+  
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
 // Helper function to format large numbers with commas
 function formatNumber(num) {
@@ -36,66 +129,57 @@ function formatBytes(bytes, decimals = 2) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(decimals)) + ' ' + sizes[i];
 }
 
-// Schema validation helper
-function validateSchema(data, path = '') {
+// Schema validation helper: checks our understanding of the export schema
+// against the schema inferred from every record (see schema-inference.js)
+function validateSchema(schema, rootIsArray) {
   const schemaChecks = [];
   
-  // Check if value exists at given path
-  function checkExists(obj, keyPath, description) {
-    const keys = keyPath.split('.');
-    let current = obj;
-    let valid = true;
-    
-    for (const key of keys) {
-      if (current === undefined || current === null) {
-        valid = false;
-        break;
-      }
-      current = current[key];
-    }
+  // Key counts of the objects at a location, summed over typed variants
+  // (chat_messages[].content[] covers content[]<text>, content[]<tool_use>, ...)
+  function getLocation(location) {
+    const result = { count: 0, keys: {} };
+    Object.entries(schema.locations).forEach(([name, stats]) => {
+      if (name !== location && !name.startsWith(`${location}<`)) return;
+      result.count += stats.count;
+      Object.entries(stats.keys).forEach(([key, count]) => {
+        result.keys[key] = (result.keys[key] || 0) + count;
+      });
+    });
+    return result;
+  }
+  
+  // Check that every object at a location has a key. Skipped when no such
+  // objects were seen (e.g. no message has attachments).
+  function checkExists(location, key, description) {
+    const stats = getLocation(location);
+    if (stats.count === 0) return;
     
-    return {
-      check: `${path}${keyPath} exists`,
+    const present = stats.keys[key] || 0;
+    schemaChecks.push({
+      check: `${location ? `${location}.` : ''}${key} exists`,
       expected: true,
-      actual: valid,
-      description
-    };
+      actual: present === stats.count,
+      description,
+      coverage: `${present}/${stats.count}`
+    });
   }
   
-  // Check type of value at given path
-  function checkType(obj, keyPath, type, description) {
-    const keys = keyPath.split('.');
-    let current = obj;
+  // Check that every non-null value at a path has the given type
+  function checkType(fieldPath, type, description) {
+    const field = schema.fields.find(f => f.path === fieldPath);
+    if (!field && schema.records === 0) return;
     
-    for (const key of keys) {
-      if (current === undefined || current === null) {
-        return {
-          check: `${path}${keyPath} is ${type}`,
-          expected: type,
-          actual: 'undefined',
-          description
-        };
-      }
-      current = current[key];
-    }
-    
-    let actualType;
-    if (Array.isArray(current)) {
-      actualType = 'array';
-    } else {
-      actualType = typeof current;
-    }
-    
-    return {
-      check: `${path}${keyPath} is ${type}`,
+    const types = field ? Object.keys(field.types).filter(t => t !== 'null') : [];
+    schemaChecks.push({
+      check: `${fieldPath} is ${type}`,
       expected: type,
-      actual: actualType,
+      actual: types.length === 0 ? 'undefined' : types.join('|'),
       description
-    };
+    });
   }
   
   // Run schema checks
-  if (Array.isArray(data)) {
+  if (rootIsArray) {
     // Top level is array
     schemaChecks.push({
       check: 'Root is array',
@@ -104,70 +188,48 @@ function validateSchema(data, path = '') {
       description: 'The root data structure is an array of conversations'
     });
     
-    if (data.length > 0) {
-      const conv = data[0];
-      
-      // Check conversation properties
-      schemaChecks.push(checkExists(conv, 'uuid', 'Conversation has UUID'));
-      schemaChecks.push(checkType(conv, 'uuid', 'string', 'Conversation UUID is string'));
-      schemaChecks.push(checkExists(conv, 'name', 'Conversation has name'));
-      schemaChecks.push(checkType(conv, 'name', 'string', 'Conversation name is string'));
-      schemaChecks.push(checkExists(conv, 'created_at', 'Conversation has created_at'));
-      schemaChecks.push(checkExists(conv, 'updated_at', 'Conversation has updated_at'));
-      schemaChecks.push(checkExists(conv, 'account', 'Conversation has account'));
-      schemaChecks.push(checkType(conv, 'account', 'object', 'Conversation account is object'));
-      
-      if (conv.account) {
-        schemaChecks.push(checkExists(conv.account, 'uuid', 'Account has UUID'));
-      }
-      
-      schemaChecks.push(checkExists(conv, 'chat_messages', 'Conversation has chat_messages'));
-      schemaChecks.push(checkType(conv, 'chat_messages', 'array', 'chat_messages is array'));
-      
-      // Check message properties if they exist
-      if (Array.isArray(conv.chat_messages) && conv.chat_messages.length > 0) {
-        const msg = conv.chat_messages[0];
-        
-        schemaChecks.push(checkExists(msg, 'uuid', 'Message has UUID'));
-        schemaChecks.push(checkExists(msg, 'sender', 'Message has sender'));
-        schemaChecks.push(checkExists(msg, 'created_at', 'Message has created_at'));
-        schemaChecks.push(checkExists(msg, 'updated_at', 'Message has updated_at'));
-        
-        // Check for text field and content field
-        schemaChecks.push(checkExists(msg, 'text', 'Message has text field'));
-        schemaChecks.push(checkExists(msg, 'content', 'Message has content field'));
-        schemaChecks.push(checkType(msg, 'content', 'array', 'Message content is array'));
-        
-        if (Array.isArray(msg.content) && msg.content.length > 0) {
-          const content = msg.content[0];
-          schemaChecks.push(checkExists(content, 'type', 'Content has type'));
-          schemaChecks.push(checkExists(content, 'text', 'Content has text'));
-          schemaChecks.push(checkExists(content, 'start_timestamp', 'Content has start_timestamp'));
-          schemaChecks.push(checkExists(content, 'stop_timestamp', 'Content has stop_timestamp'));
-          schemaChecks.push(checkExists(content, 'citations', 'Content has citations'));
-        }
-        
-        // Check attachments and files
-        schemaChecks.push(checkExists(msg, 'attachments', 'Message has attachments field'));
-        schemaChecks.push(checkType(msg, 'attachments', 'array', 'Message attachments is array'));
-        
-        if (Array.isArray(msg.attachments) && msg.attachments.length > 0) {
-          const attachment = msg.attachments[0];
-          schemaChecks.push(checkExists(attachment, 'file_name', 'Attachment has file_name'));
-          schemaChecks.push(checkExists(attachment, 'file_size', 'Attachment has file_size'));
-          schemaChecks.push(checkExists(attachment, 'file_type', 'Attachment has file_type'));
-          schemaChecks.push(checkExists(attachment, 'extracted_content', 'Attachment has extracted_content'));
-        }
-        
-        schemaChecks.push(checkExists(msg, 'files', 'Message has files field'));
-        schemaChecks.push(checkType(msg, 'files', 'array', 'Message files is array'));
-        
-        if (Array.isArray(msg.files) && msg.files.length > 0) {
-          const file = msg.files[0];
-          schemaChecks.push(checkExists(file, 'file_name', 'File has file_name'));
-        }
-      }
-    }
+    // Check conversation properties
+    checkExists('', 'uuid', 'Conversation has UUID');
+    checkType('uuid', 'string', 'Conversation UUID is string');
+    checkExists('', 'name', 'Conversation has name');
+    checkType('name', 'string', 'Conversation name is string');
+    checkExists('', 'created_at', 'Conversation has created_at');
+    checkExists('', 'updated_at', 'Conversation has updated_at');
+    checkExists('', 'account', 'Conversation has account');
+    checkType('account', 'object', 'Conversation account is object');
+    checkExists('account', 'uuid', 'Account has UUID');
+    checkExists('', 'chat_messages', 'Conversation has chat_messages');
+    checkType('chat_messages', 'array', 'chat_messages is array');
+    
+    // Check message properties
+    checkExists('chat_messages[]', 'uuid', 'Message has UUID');
+    checkExists('chat_messages[]', 'sender', 'Message has sender');
+    checkExists('chat_messages[]', 'created_at', 'Message has created_at');
+    checkExists('chat_messages[]', 'updated_at', 'Message has updated_at');
+    
+    // Check for text field and content field
+    checkExists('chat_messages[]', 'text', 'Message has text field');
+    checkExists('chat_messages[]', 'content', 'Message has content field');
+    checkType('chat_messages[].content', 'array', 'Message content is array');
+    
+    // Check content parts; text and citations only belong to text parts
+    checkExists('chat_messages[].content[]', 'type', 'Content has type');
+    checkExists('chat_messages[].content[]<text>', 'text', 'Text content has text');
+    checkExists('chat_messages[].content[]', 'start_timestamp', 'Content has start_timestamp');
+    checkExists('chat_messages[].content[]', 'stop_timestamp', 'Content has stop_timestamp');
+    checkExists('chat_messages[].content[]<text>', 'citations', 'Text content has citations');
+    
+    // Check attachments and files
+    checkExists('chat_messages[]', 'attachments', 'Message has attachments field');
+    checkType('chat_messages[].attachments', 'array', 'Message attachments is array');
+    checkExists('chat_messages[].attachments[]', 'file_name', 'Attachment has file_name');
+    checkExists('chat_messages[].attachments[]', 'file_size', 'Attachment has file_size');
+    checkExists('chat_messages[].attachments[]', 'file_type', 'Attachment has file_type');
+    checkExists('chat_messages[].attachments[]', 'extracted_content', 'Attachment has extracted_content');
+    
+    checkExists('chat_messages[]', 'files', 'Message has files field');
+    checkType('chat_messages[].files', 'array', 'Message files is array');
+    checkExists('chat_messages[].files[]', 'file_name', 'File has file_name');
   } else {
     schemaChecks.push({
       check: 'Root is array',
@@ -180,99 +242,84 @@ function validateSchema(data, path = '') {
   return schemaChecks;
 }
 
-try {
-  console.log('Reading JSON file...');
-  const startTime = Date.now();
-  
-  // Read file stats first
-  const fileStats = fs.statSync(config.inputFile);
-  console.log(`File size: ${formatBytes(fileStats.size)}`);
-  
-  // Read the file
-  const rawData = fs.readFileSync(config.inputFile, 'utf8');
-  console.log(`File read in ${(Date.now() - startTime) / 1000} seconds`);
-  
-  console.log('Parsing JSON...');
-  const parseStart = Date.now();
-  const conversationData = JSON.parse(rawData);
-  console.log(`JSON parsed in ${(Date.now() - parseStart) / 1000} seconds`);
-  
-  // Validate our understanding of the JSON schema
-  console.log('Validating schema understanding...');
-  const schemaChecks = validateSchema(conversationData);
-  
-  // Calculate statistics
-  console.log('Calculating statistics...');
-  const stats = {
-    fileSize: fileStats.size,
-    totalConversations: Array.isArray(conversationData) ? conversationData.length : 0,
-    schemaValidation: schemaChecks,
-    messageStats: {
-      total: 0,
-      bySender: {},
-      emptyMessages: 0,
-      withAttachments: 0,
-      withFiles: 0
-    },
-    contentStats: {
-      total: 0,
-      byType: {},
-      emptyCitations: 0
-    },
-    timeStats: {
-      oldestConversation: null,
-      newestConversation: null,
-      conversationsByMonth: {}
-    },
-    fieldStats: {
-      conversations: {},
-      messages: {},
-      content: {}
-    },
-    randomSamples: []
-  };
-  
-  // Helper function for message text extraction
-  function getMessageText(msg) {
-    if (msg.text && msg.text.length > 0) {
-      return msg.text;
-    } else if (msg.content && msg.content.length > 0) {
-      return msg.content.map(part => part.text || '').join(' ');
+// Run the analysis
+async function analyze() {
+  try {
+    try {
+      parseCommandLine(process.argv.slice(2));
+    } catch (error) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      process.exit(1);
     }
-    return '';
-  }
-  
-  // Record schema field existence stats
-  function recordFieldStats(obj, category) {
-    for (const key in obj) {
-      if (obj.hasOwnProperty(key)) {
-        if (!stats.fieldStats[category][key]) {
-          stats.fieldStats[category][key] = 0;
+    
+    console.log('Starting exploratory data analysis...');
+    console.log(`Reading from: ${config.inputFiles.join(', ')}`);
+    const startTime = Date.now();
+    const random = createRandom(config.seed);
+    
+    // Resolve inputs to conversation files (plain JSON, export folders or zip archives)
+    const { files, missing } = resolveInputPaths(config.inputFiles);
+    if (missing.length > 0) {
+      throw new Error(`No such file or export folder: ${missing.join(', ')}`);
+    }
+    
+    // Statistics are accumulated while the conversations are parsed
+    const stats = {
+      inputFiles: files,
+      fileSize: 0,
+      totalConversations: 0,
+      dateFilter: {
+        since: config.since ? config.since.toISOString() : null,
+        until: config.until ? config.until.toISOString() : null,
+        excludedConversations: 0
+      },
+      relatedFiles: {},
+      schemaValidation: [],
+      messageStats: {
+        total: 0,
+        bySender: {},
+        emptyMessages: 0,
+        withAttachments: 0,
+        withFiles: 0
+      },
+      contentStats: {
+        total: 0,
+        byType: {},
+        emptyCitations: 0
+      },
+      timeStats: {
+        oldestConversation: null,
+        newestConversation: null,
+        conversationsByMonth: {}
+      },
+      fieldStats: {
+        conversations: {},
+        messages: {},
+        content: {}
+      },
+      randomSamples: []
+    };
+    
+    // Record schema field existence stats
+    function recordFieldStats(obj, category) {
+      for (const key in obj) {
+        if (obj.hasOwnProperty(key)) {
+          if (!stats.fieldStats[category][key]) {
+            stats.fieldStats[category][key] = 0;
+          }
+          stats.fieldStats[category][key]++;
         }
-        stats.fieldStats[category][key]++;
       }
     }
-  }
-  
-  // Helper for date processing
-  function getMonthKey(dateStr) {
-    try {
-      const date = new Date(dateStr);
-      return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0');
-    } catch {
-      return 'invalid-date';
-    }
-  }
-  
-  // Process all conversations
-  if (Array.isArray(conversationData)) {
-    conversationData.forEach(conv => {
+    
+    // Process a single conversation as it is streamed from the file
+    function processConversation(conv) {
       // Record conversation field stats
       recordFieldStats(conv, 'conversations');
       
       // Process date info
       if (conv.created_at) {
-        const date = new Date(conv.created_at);
+        const date = parseDate(conv.created_at);
         const monthKey = getMonthKey(conv.created_at);
         
         // Record month stats
@@ -281,12 +328,14 @@ try {
         }
         stats.timeStats.conversationsByMonth[monthKey]++;
         
-        // Track oldest/newest
-        if (!stats.timeStats.oldestConversation || date < new Date(stats.timeStats.oldestConversation)) {
-          stats.timeStats.oldestConversation = conv.created_at;
-        }
-        if (!stats.timeStats.newestConversation || date > new Date(stats.timeStats.newestConversation)) {
-          stats.timeStats.newestConversation = conv.created_at;
+        // Track oldest/newest (invalid dates are only counted by month)
+        if (date) {
+          if (!stats.timeStats.oldestConversation || date < new Date(stats.timeStats.oldestConversation)) {
+            stats.timeStats.oldestConversation = conv.created_at;
+          }
+          if (!stats.timeStats.newestConversation || date > new Date(stats.timeStats.newestConversation)) {
+            stats.timeStats.newestConversation = conv.created_at;
+          }
         }
       }
       
@@ -343,73 +392,169 @@ try {
           }
         });
       }
-    });
+    }
     
-    // Get random samples for detailed inspection
-    const sampleIndices = new Set();
-    while (sampleIndices.size < Math.min(config.sampleSize, conversationData.length)) {
-      sampleIndices.add(Math.floor(Math.random() * conversationData.length));
+    // Keep a uniform random sample of conversations (reservoir sampling),
+    // since the full list is never held in memory
+    function sampleConversation(conv, index, source) {
+      if (!config.includeSamples || config.sampleSize === 0) return;
+      
+      if (sampleCount < config.sampleSize) {
+        stats.randomSamples.push({ index, source, conversation: conv });
+      } else {
+        const slot = Math.floor(random() * (sampleCount + 1));
+        if (slot < config.sampleSize) {
+          stats.randomSamples[slot] = { index, source, conversation: conv };
+        }
+      }
+      sampleCount++;
+    }
+    
+    // Check a conversation against the --since/--until bounds
+    function inDateRange(conv) {
+      if (!config.since && !config.until) return true;
+      
+      const created = parseDate(conv.created_at);
+      if (!created) return false;
+      if (config.since && created < config.since) return false;
+      if (config.until && created > config.until) return false;
+      return true;
     }
     
-    sampleIndices.forEach(index => {
-      stats.randomSamples.push({
-        index,
-        conversation: conversationData[index]
+    // Stream and process all conversations of every input. The schema is
+    // inferred from every record, including those outside the date filter.
+    const schemaInferrer = createSchemaInferrer();
+    let rootIsArray = true;
+    let sampleCount = 0;
+    let globalIndex = 0;
+    
+    for (const file of files) {
+      // Locate the conversations file (plain JSON, export folder or zip archive)
+      const exportSource = openExport(file);
+      stats.fileSize += exportSource.size;
+      if (exportSource.kind === 'zip') {
+        console.log(`Reading from archive entry: ${exportSource.conversationsPath}`);
+      }
+      console.log(`File size: ${formatBytes(exportSource.size)}`);
+      
+      // Count records in the other export files (users, projects)
+      Object.entries(exportSource.readRelatedFiles()).forEach(([name, data]) => {
+        stats.relatedFiles[name] = (stats.relatedFiles[name] || 0) + (Array.isArray(data) ? data.length : 1);
       });
-    });
+      
+      console.log(`Parsing JSON from ${file}...`);
+      const parseStart = Date.now();
+      let nextProgressReport = 0.1;
+      
+      const parsed = await streamConversations(exportSource, {
+        onConversation: (conv) => {
+          const index = globalIndex++;
+          schemaInferrer.add(conv, index, file);
+          
+          if (!inDateRange(conv)) {
+            stats.dateFilter.excludedConversations++;
+            return;
+          }
+          
+          stats.totalConversations++;
+          processConversation(conv);
+          sampleConversation(conv, index, file);
+        },
+        onProgress: ({ bytesRead, totalBytes, count }) => {
+          if (totalBytes > 0 && bytesRead / totalBytes >= nextProgressReport) {
+            console.log(`  ${Math.floor(bytesRead / totalBytes * 100)}% (${formatNumber(count)} conversations)`);
+            nextProgressReport = Math.floor(bytesRead / totalBytes * 10) / 10 + 0.1;
+          }
+        }
+      });
+      console.log(`JSON streamed and parsed in ${(Date.now() - parseStart) / 1000} seconds`);
+      
+      if (!parsed.isArray) {
+        rootIsArray = false;
+      }
+    }
+    
+    stats.randomSamples.sort((a, b) => a.index - b.index);
+    
+    // Validate our understanding of the JSON schema
+    console.log('Validating schema understanding...');
+    const schemaInference = schemaInferrer.getResult();
+    const schemaChecks = validateSchema(schemaInference, rootIsArray);
+    stats.schemaValidation = schemaChecks;
+    
+    // Get total schema validation issues
+    const schemaIssues = schemaChecks.filter(check => check.expected !== check.actual);
+    
+    // Generate summary
+    const summary = {
+      fileSize: formatBytes(stats.fileSize),
+      parseTime: `${(Date.now() - startTime) / 1000} seconds`,
+      totalConversations: formatNumber(stats.totalConversations),
+      totalMessages: formatNumber(stats.messageStats.total),
+      schemaIssues: schemaIssues.length,
+      deviatingRecords: `${formatNumber(schemaInference.deviatingRecords)} of ${formatNumber(schemaInference.records)} ` +
+        `(${schemaInference.shapes} distinct record shapes)`,
+      dateRange: `${stats.timeStats.oldestConversation} to ${stats.timeStats.newestConversation}`,
+      messageBySender: Object.entries(stats.messageStats.bySender)
+        .map(([sender, count]) => `${sender}: ${formatNumber(count)}`)
+        .join(', '),
+      contentTypes: Object.entries(stats.contentStats.byType)
+        .map(([type, count]) => `${type}: ${formatNumber(count)}`)
+        .join(', '),
+      emptyMessages: formatNumber(stats.messageStats.emptyMessages),
+      withAttachments: formatNumber(stats.messageStats.withAttachments),
+      withFiles: formatNumber(stats.messageStats.withFiles),
+      relatedFiles: Object.entries(stats.relatedFiles)
+        .map(([name, count]) => `${name}: ${formatNumber(count)}`)
+        .join(', ') || 'none',
+      dateFilter: config.since || config.until ?
+        `${stats.dateFilter.since || 'start'} to ${stats.dateFilter.until || 'end'} ` +
+        `(${formatNumber(stats.dateFilter.excludedConversations)} conversations excluded)` :
+        'none'
+    };
+    
+    // Output the analysis results
+    const report = {
+      summary,
+      schemaValidation: {
+        checks: schemaChecks,
+        issues: schemaIssues,
+        inferred: schemaInference
+      },
+      statistics: stats
+    };
+    
+    // Write analysis to file
+    fs.writeFileSync(config.outputFile, JSON.stringify(report, null, 2));
+    if (config.htmlFile) {
+      fs.writeFileSync(config.htmlFile, renderHtmlReport(report));
+    }
+    
+    // Display summary in console
+    console.log('\n=== Conversation Data Analysis Summary ===');
+    console.log(`File Size: ${summary.fileSize}`);
+    console.log(`Parse Time: ${summary.parseTime}`);
+    console.log(`Total Conversations: ${summary.totalConversations}`);
+    console.log(`Date Filter: ${summary.dateFilter}`);
+    console.log(`Total Messages: ${summary.totalMessages}`);
+    console.log(`Schema Understanding Issues: ${summary.schemaIssues}`);
+    console.log(`Records Deviating From Majority Shape: ${summary.deviatingRecords}`);
+    console.log(`Date Range: ${summary.dateRange}`);
+    console.log(`Messages by Sender: ${summary.messageBySender}`);
+    console.log(`Content Types: ${summary.contentTypes}`);
+    console.log(`Empty Messages: ${summary.emptyMessages}`);
+    console.log(`Messages with Attachments: ${summary.withAttachments}`);
+    console.log(`Messages with Files: ${summary.withFiles}`);
+    console.log(`Related Export Files: ${summary.relatedFiles}`);
+    console.log(`\nDetailed report written to: ${config.outputFile}`);
+    if (config.htmlFile) {
+      console.log(`HTML report written to: ${config.htmlFile}`);
+    }
+    
+  } catch (error) {
+    console.error('Error during analysis:', error);
+    process.exit(1);
   }
-  
-  // Get total schema validation issues
-  const schemaIssues = schemaChecks.filter(check => check.expected !== check.actual);
-  
-  // Generate summary
-  const summary = {
-    fileSize: formatBytes(stats.fileSize),
-    parseTime: `${(Date.now() - startTime) / 1000} seconds`,
-    totalConversations: formatNumber(stats.totalConversations),
-    totalMessages: formatNumber(stats.messageStats.total),
-    schemaIssues: schemaIssues.length,
-    dateRange: `${stats.timeStats.oldestConversation} to ${stats.timeStats.newestConversation}`,
-    messageBySender: Object.entries(stats.messageStats.bySender)
-      .map(([sender, count]) => `${sender}: ${formatNumber(count)}`)
-      .join(', '),
-    contentTypes: Object.entries(stats.contentStats.byType)
-      .map(([type, count]) => `${type}: ${formatNumber(count)}`)
-      .join(', '),
-    emptyMessages: formatNumber(stats.messageStats.emptyMessages),
-    withAttachments: formatNumber(stats.messageStats.withAttachments),
-    withFiles: formatNumber(stats.messageStats.withFiles)
-  };
-  
-  // Output the analysis results
-  const report = {
-    summary,
-    schemaValidation: {
-      checks: schemaChecks,
-      issues: schemaIssues
-    },
-    statistics: stats
-  };
-  
-  // Write analysis to file
-  fs.writeFileSync(config.outputFile, JSON.stringify(report, null, 2));
-  
-  // Display summary in console
-  console.log('\n=== Conversation Data Analysis Summary ===');
-  console.log(`File Size: ${summary.fileSize}`);
-  console.log(`Parse Time: ${summary.parseTime}`);
-  console.log(`Total Conversations: ${summary.totalConversations}`);
-  console.log(`Total Messages: ${summary.totalMessages}`);
-  console.log(`Schema Understanding Issues: ${summary.schemaIssues}`);
-  console.log(`Date Range: ${summary.dateRange}`);
-  console.log(`Messages by Sender: ${summary.messageBySender}`);
-  console.log(`Content Types: ${summary.contentTypes}`);
-  console.log(`Empty Messages: ${summary.emptyMessages}`);
-  console.log(`Messages with Attachments: ${summary.withAttachments}`);
-  console.log(`Messages with Files: ${summary.withFiles}`);
-  console.log(`\nDetailed report written to: ${config.outputFile}`);
-  
-} catch (error) {
-  console.error('Error during analysis:', error);
-  process.exit(1);
-}
\ No newline at end of file
+}
+
+analyze();
@@ -0,0 +1,140 @@
+/**
+ * Conversation Attachments
+ *
+ * Lists the attachments (with the text the export extracted from them) and
+ * file references of conversations, for the explorer's attachment browser:
+ * one entry per attachment or file with where it was sent, sortable by
+ * size, type or name, and the language its content is best shown in.
+ */
+
+const path = require('path');
+const {
+  getMessages,
+  normalizeSender,
+  normalizeAttachment,
+  normalizeFile
+} = require('./conversation-model');
+const { resolveLanguage } = require('./syntax-highlight');
+
+/**
+ * @typedef {Object} AttachmentEntry
+ * @property {string} kind            'attachment' (with extracted content) or 'file' (a reference only)
+ * @property {string} fileName
+ * @property {string} fileType        MIME type or extension as exported; '' for files
+ * @property {number|null} size       file_size, else the size of the extracted content
+ * @property {string} content         Extracted content ('' when none)
+ * @property {string|null} fileUuid   Files only
+ * @property {Object} conversation    The raw conversation
+ * @property {number} messageIndex
+ * @property {Object} message         The raw message
+ * @property {string} sender          human, assistant, ...
+ */
+
+// Orders of a listing: the order of the export, largest first, by type
+// (then name) or by name
+const ATTACHMENT_SORTS = {
+  message: null,
+  size: (a, b) => (b.size === null ? -1 : b.size) - (a.size === null ? -1 : a.size),
+  type: (a, b) => describeType(a).localeCompare(describeType(b)) || a.fileName.localeCompare(b.fileName),
+  name: (a, b) => a.fileName.localeCompare(b.fileName)
+};
+
+/** @returns {AttachmentEntry[]} the attachments and files of conversations, in order */
+function collectAttachments(conversations) {
+  const entries = [];
+  
+  conversations.forEach(conversation => {
+    getMessages(conversation).forEach((message, messageIndex) => {
+      const where = { conversation, messageIndex, message, sender: normalizeSender(message.sender) };
+      
+      (Array.isArray(message.attachments) ? message.attachments : []).forEach(raw => {
+        const attachment = normalizeAttachment(raw);
+        const content = attachment.extractedContent;
+        entries.push(Object.assign({
+          kind: 'attachment',
+          fileName: attachment.fileName,
+          fileType: attachment.fileType === 'unknown' ? '' : attachment.fileType,
+          size: attachment.fileSize !== null ? attachment.fileSize : content ? Buffer.byteLength(content) : null,
+          content,
+          fileUuid: null
+        }, where));
+      });
+      
+      (Array.isArray(message.files) ? message.files : []).forEach(raw => {
+        const file = normalizeFile(raw);
+        entries.push(Object.assign({
+          kind: 'file',
+          fileName: file.fileName,
+          fileType: '',
+          size: null,
+          content: '',
+          fileUuid: file.fileUuid
+        }, where));
+      });
+    });
+  });
+  
+  return entries;
+}
+
+// A copy of entries in one of the ATTACHMENT_SORTS orders
+function sortAttachments(entries, sort) {
+  const compare = ATTACHMENT_SORTS[sort];
+  return compare ? entries.slice().sort(compare) : entries.slice();
+}
+
+// Type shown for an entry: its exported type, else its extension
+function describeType(entry) {
+  if (entry.fileType) return entry.fileType;
+  const extension = path.extname(entry.fileName).substring(1).toLowerCase();
+  return extension || (entry.kind === 'file' ? 'file' : 'unknown');
+}
+
+/**
+ * Language to show an entry's content in: a syntax-highlight.js language,
+ * 'markdown', or null for plain text. Taken from the file extension, else
+ * from the exported type (text/csv, application/json, py, ...).
+ */
+function getAttachmentLanguage(entry) {
+  const extension = path.extname(entry.fileName).substring(1).toLowerCase();
+  const type = entry.fileType.toLowerCase().replace(/^.*\//, '').replace(/^x-/, '');
+  
+  for (const candidate of [extension, type]) {
+    if (candidate === 'md' || candidate === 'markdown') return 'markdown';
+    const language = resolveLanguage(candidate);
+    if (language) return language;
+  }
+  return null;
+}
+
+function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) return '?';
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size < 10 ? size.toFixed(1) : Math.round(size)} ${units[unit]}`;
+}
+
+// Name to save an entry's content under: its own name without directories
+// or characters file systems reject
+function getSaveFileName(entry) {
+  const name = path.basename(entry.fileName.replace(/\\/g, '/'))
+    .replace(/[<>:"|?*\x00-\x1f]/g, '_')
+    .replace(/^\.+/, '');
+  return name || 'attachment.txt';
+}
+
+module.exports = {
+  ATTACHMENT_SORTS,
+  collectAttachments,
+  sortAttachments,
+  describeType,
+  getAttachmentLanguage,
+  formatSize,
+  getSaveFileName
+};
@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+
+/**
+ * Conversation Export Diff
+ *
+ * Compares two exports of the same account (e.g. two data-* snapshots taken
+ * a few weeks apart). Conversations and messages are matched by uuid; the
+ * diff lists added, deleted and renamed conversations, and for conversations
+ * that changed, the messages that were added, edited (newer updated_at) or
+ * deleted.
+ *
+ * Only a compact summary of each conversation is kept while an export is
+ * streamed, so large exports can be compared without loading them whole.
+ * The explorer uses the same functions for its :diff view.
+ */
+
+const { parseArgs } = require('util');
+const { openExport, streamConversations } = require('./export-source');
+const { getMessages, getMessageText, getConversationTitle, parseDate } = require('./conversation-model');
+
+const USAGE = `Usage: node conversation-diff.js [options] <old-export> <new-export>
+
+Compares two exports (JSON files, export folders or .zip archives) and
+reports what changed between them. Conversations and messages are matched
+by uuid.
+
+Options:
+  -f, --format <format>   Output format: text (default) or json
+  -v, --verbose           List every added, edited and deleted message
+  -h, --help              Show this help
+
+Exit codes: 0 no differences, 1 differences found, 2 unreadable export, 64 bad usage`;
+
+const EXIT_CODES = {
+  identical: 0,
+  different: 1,
+  unreadableFile: 2,
+  usage: 64
+};
+
+// Length of the message previews kept in summaries
+const PREVIEW_LENGTH = 60;
+
+function getPreview(text) {
+  const preview = text.replace(/\s+/g, ' ').trim();
+  return preview.length > PREVIEW_LENGTH ? preview.substring(0, PREVIEW_LENGTH) + '...' : preview;
+}
+
+// Compact summary of a raw conversation: what the diff needs and nothing more
+function summarizeConversation(conversation) {
+  return {
+    uuid: conversation.uuid,
+    name: typeof conversation.name === 'string' ? conversation.name : '',
+    title: getConversationTitle(conversation),
+    createdAt: conversation.created_at || null,
+    updatedAt: conversation.updated_at || null,
+    messages: getMessages(conversation).map((message, index) => ({
+      // Messages without a uuid can only be matched by position
+      key: message && message.uuid ? message.uuid : `#${index}`,
+      uuid: message && message.uuid ? message.uuid : null,
+      index,
+      sender: message && message.sender ? message.sender : 'unknown',
+      createdAt: message && message.created_at ? message.created_at : null,
+      updatedAt: message && message.updated_at ? message.updated_at : null,
+      preview: getPreview(getMessageText(message))
+    }))
+  };
+}
+
+/**
+ * Summaries of the conversations in a list (e.g. the explorer's loaded
+ * conversations), keyed by uuid. Conversations without a uuid cannot be
+ * matched and are counted separately.
+ */
+function summarizeConversations(conversations) {
+  const summaries = new Map();
+  let withoutUuid = 0;
+  
+  conversations.forEach(conversation => {
+    if (!conversation || typeof conversation.uuid !== 'string' || !conversation.uuid) {
+      withoutUuid++;
+      return;
+    }
+    summaries.set(conversation.uuid, summarizeConversation(conversation));
+  });
+  
+  return { summaries, withoutUuid };
+}
+
+/**
+ * Stream an export and summarize its conversations.
+ * Resolves to { source, summaries, withoutUuid, count }.
+ */
+async function readConversationSummaries(input, { onProgress } = {}) {
+  const exportSource = openExport(input);
+  const summaries = new Map();
+  let withoutUuid = 0;
+  let count = 0;
+  
+  const addConversation = (conversation) => {
+    count++;
+    if (!conversation || typeof conversation.uuid !== 'string' || !conversation.uuid) {
+      withoutUuid++;
+      return;
+    }
+    summaries.set(conversation.uuid, summarizeConversation(conversation));
+  };
+  
+  const result = await streamConversations(exportSource, { onConversation: addConversation, onProgress });
+  
+  // A single conversation object instead of an array
+  if (!result.isArray) {
+    addConversation(result.value);
+  }
+  
+  return { source: exportSource.path, summaries, withoutUuid, count };
+}
+
+// Whether a timestamp is later than another one (unparsable values compare as text)
+function isNewer(newValue, oldValue) {
+  if (newValue === oldValue) return false;
+  
+  const newDate = parseDate(newValue);
+  const oldDate = parseDate(oldValue);
+  if (newDate && oldDate) return newDate > oldDate;
+  return Boolean(newValue) && newValue !== oldValue;
+}
+
+function describeConversation(summary) {
+  return {
+    uuid: summary.uuid,
+    title: summary.title,
+    createdAt: summary.createdAt,
+    updatedAt: summary.updatedAt,
+    messageCount: summary.messages.length
+  };
+}
+
+function describeMessage(message) {
+  return {
+    uuid: message.uuid,
+    index: message.index,
+    sender: message.sender,
+    createdAt: message.createdAt,
+    updatedAt: message.updatedAt,
+    preview: message.preview
+  };
+}
+
+// Compare the messages of one conversation present in both exports
+function diffMessages(oldSummary, newSummary) {
+  const oldMessages = new Map(oldSummary.messages.map(message => [message.key, message]));
+  const newKeys = new Set(newSummary.messages.map(message => message.key));
+  
+  const addedMessages = [];
+  const editedMessages = [];
+  
+  newSummary.messages.forEach(message => {
+    const previous = oldMessages.get(message.key);
+    if (!previous) {
+      addedMessages.push(describeMessage(message));
+    } else if (isNewer(message.updatedAt, previous.updatedAt)) {
+      editedMessages.push(Object.assign(describeMessage(message), { previousUpdatedAt: previous.updatedAt }));
+    }
+  });
+  
+  const deletedMessages = oldSummary.messages
+    .filter(message => !newKeys.has(message.key))
+    .map(describeMessage);
+  
+  return { addedMessages, editedMessages, deletedMessages };
+}
+
+/**
+ * Diff two maps of conversation summaries (old export first).
+ *
+ * Returns {
+ *   summary: { added, deleted, renamed, changed, unchanged, addedMessages, editedMessages, deletedMessages },
+ *   added, deleted,                 conversation descriptions
+ *   renamed: [{ uuid, from, to }],
+ *   changed: [{ uuid, title, renamedFrom, updatedAt, previousUpdatedAt,
+ *               addedMessages, editedMessages, deletedMessages }]
+ * }
+ */
+function diffSummaries(oldSummaries, newSummaries) {
+  const diff = {
+    summary: {
+      added: 0,
+      deleted: 0,
+      renamed: 0,
+      changed: 0,
+      unchanged: 0,
+      addedMessages: 0,
+      editedMessages: 0,
+      deletedMessages: 0
+    },
+    added: [],
+    deleted: [],
+    renamed: [],
+    changed: []
+  };
+  
+  newSummaries.forEach((newSummary, uuid) => {
+    const oldSummary = oldSummaries.get(uuid);
+    if (!oldSummary) {
+      diff.added.push(describeConversation(newSummary));
+      diff.summary.addedMessages += newSummary.messages.length;
+      return;
+    }
+    
+    const renamed = oldSummary.name !== newSummary.name;
+    if (renamed) {
+      diff.renamed.push({ uuid, from: oldSummary.title, to: newSummary.title });
+    }
+    
+    const messages = diffMessages(oldSummary, newSummary);
+    const hasMessageChanges = messages.addedMessages.length > 0 ||
+      messages.editedMessages.length > 0 ||
+      messages.deletedMessages.length > 0;
+    
+    if (renamed || hasMessageChanges || isNewer(newSummary.updatedAt, oldSummary.updatedAt)) {
+      diff.changed.push(Object.assign({
+        uuid,
+        title: newSummary.title,
+        renamedFrom: renamed ? oldSummary.title : null,
+        updatedAt: newSummary.updatedAt,
+        previousUpdatedAt: oldSummary.updatedAt
+      }, messages));
+      
+      diff.summary.addedMessages += messages.addedMessages.length;
+      diff.summary.editedMessages += messages.editedMessages.length;
+      diff.summary.deletedMessages += messages.deletedMessages.length;
+    } else {
+      diff.summary.unchanged++;
+    }
+  });
+  
+  oldSummaries.forEach((oldSummary, uuid) => {
+    if (!newSummaries.has(uuid)) {
+      diff.deleted.push(describeConversation(oldSummary));
+      diff.summary.deletedMessages += oldSummary.messages.length;
+    }
+  });
+  
+  // Newest activity first
+  const byUpdated = (a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || ''));
+  diff.added.sort(byUpdated);
+  diff.changed.sort(byUpdated);
+  
+  diff.summary.added = diff.added.length;
+  diff.summary.deleted = diff.deleted.length;
+  diff.summary.renamed = diff.renamed.length;
+  diff.summary.changed = diff.changed.length;
+  
+  return diff;
+}
+
+// Whether a diff contains any difference
+function hasDifferences(diff) {
+  return diff.added.length > 0 || diff.deleted.length > 0 || diff.changed.length > 0;
+}
+
+/**
+ * Diff two exports (JSON files, export folders or zip archives).
+ * Resolves to the diff from diffSummaries, plus { old, new } describing the
+ * inputs ({ source, count, withoutUuid }).
+ */
+async function diffExports(oldInput, newInput, { onProgress } = {}) {
+  const oldExport = await readConversationSummaries(oldInput, { onProgress });
+  const newExport = await readConversationSummaries(newInput, { onProgress });
+  
+  const describe = (exported) => ({
+    source: exported.source,
+    count: exported.count,
+    withoutUuid: exported.withoutUuid
+  });
+  
+  return Object.assign(
+    { old: describe(oldExport), new: describe(newExport) },
+    diffSummaries(oldExport.summaries, newExport.summaries)
+  );
+}
+
+function shortUuid(uuid) {
+  return uuid ? uuid.substring(0, 8) : '--------';
+}
+
+function formatMessageLine(marker, message) {
+  return `      ${marker} #${message.index + 1} ${message.sender} ${message.updatedAt || message.createdAt || ''}: ${message.preview || '(empty)'}`;
+}
+
+// Human readable diff
+function formatDiffText(diff, { verbose = false } = {}) {
+  const lines = [];
+  const { summary } = diff;
+  
+  if (diff.old && diff.new) {
+    lines.push(`Comparing ${diff.old.source} (${diff.old.count} conversations)`);
+    lines.push(`     with ${diff.new.source} (${diff.new.count} conversations)`);
+    
+    const withoutUuid = diff.old.withoutUuid + diff.new.withoutUuid;
+    if (withoutUuid > 0) {
+      lines.push(`${withoutUuid} conversations without a uuid could not be compared`);
+    }
+    lines.push('');
+  }
+  
+  if (diff.added.length > 0) {
+    lines.push(`Added conversations (${diff.added.length}):`);
+    diff.added.forEach(conversation => {
+      lines.push(`  + ${conversation.title} [${shortUuid(conversation.uuid)}] ${conversation.messageCount} messages`);
+    });
+    lines.push('');
+  }
+  
+  if (diff.deleted.length > 0) {
+    lines.push(`Deleted conversations (${diff.deleted.length}):`);
+    diff.deleted.forEach(conversation => {
+      lines.push(`  - ${conversation.title} [${shortUuid(conversation.uuid)}] ${conversation.messageCount} messages`);
+    });
+    lines.push('');
+  }
+  
+  if (diff.renamed.length > 0) {
+    lines.push(`Renamed conversations (${diff.renamed.length}):`);
+    diff.renamed.forEach(rename => {
+      lines.push(`  ~ "${rename.from}" -> "${rename.to}" [${shortUuid(rename.uuid)}]`);
+    });
+    lines.push('');
+  }
+  
+  if (diff.changed.length > 0) {
+    lines.push(`Changed conversations (${diff.changed.length}):`);
+    diff.changed.forEach(change => {
+      const counts = [
+        `${change.addedMessages.length} added`,
+        `${change.editedMessages.length} edited`,
+        `${change.deletedMessages.length} deleted`
+      ].join(', ');
+      lines.push(`  * ${change.title} [${shortUuid(change.uuid)}] messages: ${counts}`);
+      
+      if (verbose) {
+        change.addedMessages.forEach(message => lines.push(formatMessageLine('+', message)));
+        change.editedMessages.forEach(message => lines.push(formatMessageLine('~', message)));
+        change.deletedMessages.forEach(message => lines.push(formatMessageLine('-', message)));
+      }
+    });
+    lines.push('');
+  }
+  
+  if (!hasDifferences(diff)) {
+    lines.push('No differences found.');
+  } else {
+    lines.push(
+      `Summary: ${summary.added} added, ${summary.deleted} deleted, ${summary.renamed} renamed, ` +
+      `${summary.changed} changed, ${summary.unchanged} unchanged conversations; ` +
+      `${summary.addedMessages} messages added, ${summary.editedMessages} edited, ${summary.deletedMessages} deleted`
+    );
+  }
+  
+  return lines.join('\n');
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'text' },
+        verbose: { type: 'boolean', short: 'v', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+  
+  const options = parsed.values;
+  
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.identical;
+  }
+  
+  if (!['text', 'json'].includes(options.format)) {
+    console.error(`Unknown format: ${options.format}. Available formats: text, json`);
+    return EXIT_CODES.usage;
+  }
+  
+  if (parsed.positionals.length !== 2) {
+    console.error(`Expected two exports to compare\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+  
+  let diff;
+  try {
+    diff = await diffExports(parsed.positionals[0], parsed.positionals[1]);
+  } catch (error) {
+    console.error(`Error reading export: ${error.message}`);
+    return EXIT_CODES.unreadableFile;
+  }
+  
+  if (options.format === 'json') {
+    console.log(JSON.stringify(diff, null, 2));
+  } else {
+    console.log(formatDiffText(diff, { verbose: options.verbose }));
+  }
+  
+  return hasDifferences(diff) ? EXIT_CODES.different : EXIT_CODES.identical;
+}
+
+module.exports = {
+  summarizeConversation,
+  summarizeConversations,
+  readConversationSummaries,
+  diffSummaries,
+  diffExports,
+  hasDifferences,
+  formatDiffText,
+  EXIT_CODES
+};
+
+// Run the diff when invoked directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      console.error('Unexpected error:', error);
+      process.exitCode = EXIT_CODES.unreadableFile;
+    });
+}
@@ -9,10 +9,41 @@
  */
 
 const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
 const blessed = require('blessed');
 const contrib = require('blessed-contrib');
 const moment = require('moment');
 const chalk = require('chalk');
+const { openExport, streamConversations } = require('./export-source');
+const {
+  getMessages,
+  getMessageText,
+  getTextPartOffsets,
+  normalizeContentPart,
+  getConversationTitle,
+  hasNonEmptyMessages,
+  normalizeSender,
+  parseDate
+} = require('./conversation-model');
+const { readConversationSummaries, summarizeConversations, diffSummaries } = require('./conversation-diff');
+const { tokenize, findTokenOffset, getConversationKeys, ensureSearchIndex } = require('./search-index');
+const { parseQuery, matchesQuery, parseDatePeriod, getQueryHelp } = require('./conversation-query');
+const { DEFAULT_FILENAME_TEMPLATE, DEFAULT_FORMAT, exportConversation: writeConversation, exportAll } = require('./conversation-export');
+const { getExporter, getExporterForFile, listExporters } = require('./export-formats');
+const { DETECTOR_NAMES, createRedactor, formatStats } = require('./conversation-redactor');
+const { renderMarkdown, findCodeBlocks, wrapTagged } = require('./markdown-renderer');
+const { highlight, getFileExtension } = require('./syntax-highlight');
+const {
+  ATTACHMENT_SORTS,
+  collectAttachments,
+  sortAttachments,
+  describeType,
+  getAttachmentLanguage,
+  formatSize,
+  getSaveFileName
+} = require('./conversation-attachments');
+const { DEFAULT_OPTIONS, escapeRegExp, describeSearchOptions, createSearchMatcher } = require('./search-matcher');
 
 // Create a screen object
 const screen = blessed.screen({
@@ -29,7 +60,28 @@ const config = {
     highlightBg: 'blue',
     highlightFg: 'white',
     borderColor: 'white',
-    timestampColor: 'gray'
+    timestampColor: 'gray',
+    matchColor: 'yellow',       // Background of search matches in a message
+    currentMatchColor: 'green', // Background of the match n/N moved to
+    // Content parts other than text (see renderMessageContent)
+    thinkingColor: 'gray',
+    toolColor: 'cyan',
+    toolErrorColor: 'red',
+    citationColor: 'cyan',
+    // Markdown in messages (see markdown-renderer.js)
+    markdown: {
+      headingColor: 'cyan',
+      codeColor: 'green',
+      codeBackground: 'black',
+      inlineCodeColor: 'yellow',
+      linkColor: 'cyan',
+      quoteColor: 'gray',
+      emphasisColor: 'magenta',
+      tableBorderColor: 'gray'
+    },
+    // Token colors in code blocks, over the defaults in syntax-highlight.js,
+    // e.g. { keyword: 'red', comment: 'white' }
+    syntax: {}
   },
   navigation: {
     messageListWidth: '20%',  // Can be collapsed to 0%
@@ -38,6 +90,43 @@ const config = {
   formatting: {
     timestampFormat: 'YYYY-MM-DD HH:mm',
     maxPreviewLength: 30
+  },
+  // Sort keys cycled with s, in order; descending marks keys whose natural
+  // order is largest/newest first
+  sortKeys: [
+    { key: 'created', label: 'created', descending: true },
+    { key: 'updated', label: 'updated', descending: true },
+    { key: 'title', label: 'title', descending: false },
+    { key: 'messages', label: 'message count', descending: true },
+    { key: 'characters', label: 'total characters', descending: true }
+  ],
+  export: {
+    // File names for :export-all ({date}, {slug}, {uuid}, {index}; see conversation-export.js)
+    filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+    // Format when neither --format nor the file extension names one
+    format: DEFAULT_FORMAT,
+    // What --redact removes (see conversation-redactor.js): built-in
+    // detectors, names to redact, custom rules [{ label, pattern }] and
+    // numbered pseudonyms ([EMAIL_1]) or plain masks ([EMAIL])
+    redaction: {
+      detectors: DETECTOR_NAMES,
+      names: [],
+      rules: [],
+      pseudonyms: true
+    }
+  },
+  attachments: {
+    maxPreviewLines: 1000 // Lines of an attachment shown in the preview; :attachments save writes all
+  },
+  transcript: {
+    // Messages rendered at a time in transcript mode; more are rendered while
+    // scrolling towards either end, and at most three chunks are kept
+    chunkSize: 50
+  },
+  search: {
+    maxListedResults: 1000, // Results shown in the list; n/N still visit all of them
+    snippetBefore: 30,      // Characters of context around a match
+    snippetAfter: 60
   }
 };
 
@@ -46,6 +135,7 @@ const state = {
   // Current data
   allConversations: [],      // All loaded conversations
   filteredConversations: [], // Conversations after filtering
+  relatedFiles: {},          // Other JSON files of the export (users, projects)
   currentConversationIndex: 0,
   conversation: null,
   messages: [],
@@ -53,18 +143,43 @@ const state = {
   
   // UI state
   isLoading: false,
+  loadId: 0,                 // Incremented per file load, to cancel stale loads
   searchMode: false,
   searchTerm: '',
-  searchResults: [],
+  searchScope: 'conversation', // 'conversation' (/) or 'all' (:search)
+  searchResults: [],           // { conversation, messageIndex, position, length }
   searchIndex: 0,
+  searchOptions: Object.assign({}, DEFAULT_OPTIONS), // Toggled in the search prompt
+  searchMatcher: null,         // Highlights matches while searching (see search-matcher.js)
+  searchMatches: [],           // { index, length } of the matches in the current message
+  searchMatchIndex: 0,
   navCollapsed: false,
-  viewMode: 'normal', // 'normal', 'raw', 'metadata'
+  viewMode: 'normal', // 'normal', 'raw', 'metadata', 'transcript'
+  transcript: null,   // Rendered window of the transcript (see renderTranscript)
+  expandToolResults: false, // Tool results show their content (x) or only a header
+  
+  // Attachment browser listing (see showAttachmentBrowser):
+  // { scope: 'conversation' | 'all' | 'find', entries, sort, matcher, term }
+  attachments: null,
   
   // Extra modes
   conversationSwitcherActive: false,
   
   // Filters
-  hideEmptyConversations: false
+  hideEmptyConversations: false,
+  filterQuery: null,         // { text, tree } from :filter or the filter dialog (see conversation-query.js)
+  dateFilter: null,          // { field: 'created' | 'updated', from, to, min, max } (see setDateFilter)
+  
+  // Order of the conversation list: null keeps the export order
+  sortKey: null,
+  sortReversed: false,
+  
+  // Comparison with a previous export (see compareWithPreviousExport)
+  diff: null,
+  
+  // Full-text index of the loaded export (see buildFullTextIndex):
+  // { index, conversationsByKey } once it is ready
+  fullTextIndex: null
 };
 
 // UI Components
@@ -99,6 +214,17 @@ const ui = {
   // Filter settings modal
   filterSettings: null,
   
+  // Changes since a previous export
+  diffList: null,
+  
+  // Results of a search across all conversations
+  searchResultsList: null,
+  
+  // Attachment browser: list and preview
+  attachmentBrowser: null,
+  attachmentList: null,
+  attachmentPreview: null,
+  
   // Initialize the UI components with full screen layout
   init() {
     // Create the grid layout
@@ -163,6 +289,9 @@ const ui = {
       ui.render();
     });
     
+    // Keep the message list on the message being read in transcript mode
+    this.messageContent.on('scroll', syncTranscriptScroll);
+    
     // Status bar with shortcut hints
     this.statusBar = this.grid.set(11, 0, 1, 12, blessed.text, {
       content: ' {bold}Enhanced Conversation Viewer{/bold} | Press {bold}?{/bold} for help | {bold}q{/bold} to quit',
@@ -250,11 +379,121 @@ const ui = {
       tags: true
     });
     
+    // Changed conversations since a previous export (:diff)
+    this.diffList = blessed.list({
+      parent: screen,
+      width: '70%',
+      height: '70%',
+      top: 'center',
+      left: 'center',
+      keys: true,
+      vi: true,
+      mouse: true,
+      border: {type: 'line'},
+      style: {
+        selected: {
+          bg: config.theme.highlightBg,
+          fg: config.theme.highlightFg,
+          bold: true
+        },
+        border: {fg: config.theme.borderColor}
+      },
+      scrollbar: {
+        ch: ' ',
+        style: {bg: 'blue'}
+      },
+      label: ' Changes Since Previous Export ',
+      hidden: true
+    });
+    
+    // Search results across all conversations (:search)
+    this.searchResultsList = blessed.list({
+      parent: screen,
+      width: '80%',
+      height: '70%',
+      top: 'center',
+      left: 'center',
+      keys: true,
+      vi: true,
+      mouse: true,
+      border: {type: 'line'},
+      style: {
+        selected: {
+          bg: config.theme.highlightBg,
+          fg: config.theme.highlightFg,
+          bold: true
+        },
+        border: {fg: config.theme.borderColor}
+      },
+      scrollbar: {
+        ch: ' ',
+        style: {bg: 'blue'}
+      },
+      label: ' Search Results ',
+      hidden: true,
+      tags: true
+    });
+    
+    // Attachments and files (:attachments), listed on the left with a
+    // preview of the selected one on the right
+    this.attachmentBrowser = blessed.box({
+      parent: screen,
+      width: '90%',
+      height: '80%',
+      top: 'center',
+      left: 'center',
+      border: {type: 'line'},
+      style: {border: {fg: config.theme.borderColor}},
+      label: ' Attachments ',
+      hidden: true,
+      tags: true
+    });
+    
+    this.attachmentList = blessed.list({
+      parent: this.attachmentBrowser,
+      top: 0,
+      left: 0,
+      width: '40%',
+      height: '100%-2',
+      keys: true,
+      vi: true,
+      mouse: true,
+      style: {
+        selected: {
+          bg: config.theme.highlightBg,
+          fg: config.theme.highlightFg,
+          bold: true
+        }
+      },
+      scrollbar: {
+        ch: ' ',
+        style: {bg: 'blue'}
+      },
+      tags: true
+    });
+    
+    this.attachmentPreview = blessed.box({
+      parent: this.attachmentBrowser,
+      top: 0,
+      left: '40%',
+      width: '60%-2',
+      height: '100%-2',
+      border: {type: 'line'},
+      style: {border: {fg: config.theme.borderColor}},
+      scrollable: true,
+      alwaysScroll: true,
+      keys: true,
+      vi: true,
+      mouse: true,
+      padding: {left: 1, right: 1},
+      tags: true
+    });
+    
     // Filter settings modal
     this.filterSettings = blessed.form({
       parent: screen,
-      width: '50%',
-      height: '40%',
+      width: '60%',
+      height: 16,
       top: 'center',
       left: 'center',
       keys: true,
@@ -268,7 +507,7 @@ const ui = {
     // Add checkbox for hiding empty conversations
     this.hideEmptyCheckbox = blessed.checkbox({
       parent: this.filterSettings,
-      top: 2,
+      top: 1,
       left: 2,
       height: 1,
       width: '100%-4',
@@ -282,10 +521,54 @@ const ui = {
       }
     });
     
+    // Add query input with a reminder of the syntax
+    blessed.text({
+      parent: this.filterSettings,
+      top: 3,
+      left: 2,
+      content: 'Query (Enter to apply):'
+    });
+    
+    this.filterQueryInput = blessed.textbox({
+      parent: this.filterSettings,
+      top: 4,
+      left: 2,
+      height: 1,
+      width: '100%-6',
+      inputOnFocus: true,
+      style: {
+        fg: 'white',
+        bg: 'black',
+        focus: {
+          bg: 'blue'
+        }
+      }
+    });
+    
+    this.filterQueryHelp = blessed.text({
+      parent: this.filterSettings,
+      top: 6,
+      left: 2,
+      width: '100%-6',
+      height: 3,
+      content: getQueryHelp(),
+      style: { fg: 'gray' }
+    });
+    
+    this.filterQueryError = blessed.text({
+      parent: this.filterSettings,
+      top: 9,
+      left: 2,
+      width: '100%-6',
+      height: 1,
+      content: '',
+      style: { fg: 'red' }
+    });
+    
     // Add filter apply button
     this.applyFilterButton = blessed.button({
       parent: this.filterSettings,
-      top: 5,
+      top: 11,
       left: 2,
       height: 1,
       width: 10,
@@ -302,7 +585,7 @@ const ui = {
     // Add filter cancel button
     this.cancelFilterButton = blessed.button({
       parent: this.filterSettings,
-      top: 5,
+      top: 11,
       left: 15,
       height: 1,
       width: 10,
@@ -316,20 +599,31 @@ const ui = {
       }
     });
     
-    // Handle apply button
-    this.applyFilterButton.on('press', () => {
+    // Handle apply button; an invalid query keeps the dialog open
+    const apply = () => {
+      const error = setFilterQuery(this.filterQueryInput.getValue());
+      if (error) {
+        this.filterQueryError.setContent(error);
+        this.render();
+        return;
+      }
+      
       state.hideEmptyConversations = this.hideEmptyCheckbox.checked;
       this.filterSettings.hide();
       applyFilters();
       this.render();
-    });
+    };
+    this.applyFilterButton.on('press', apply);
+    this.filterQueryInput.on('submit', apply);
     
     // Handle cancel button
-    this.cancelFilterButton.on('press', () => {
+    const cancel = () => {
       this.hideEmptyCheckbox.checked = state.hideEmptyConversations; // Reset to current state
       this.filterSettings.hide();
       this.render();
-    });
+    };
+    this.cancelFilterButton.on('press', cancel);
+    this.filterQueryInput.on('cancel', cancel);
   },
   
   // Get help text content
@@ -344,31 +638,85 @@ Home/End/g/G  Jump to first/last message
 Page Up/Down  Scroll content up/down
 
 {bold}Display{/bold}
-t             Toggle message list panel
-m             Cycle view modes (normal, raw, metadata)
+b             Toggle message list panel
+m             Cycle view modes (normal with Markdown rendered, raw, metadata,
+              transcript: the whole conversation as one scrolling page, where
+              ↑/↓/j/k scroll and n/p move by message)
+y             Copy a code block of the message (:code for more)
+x             Expand/collapse tool results
 +/-           Increase/decrease font size
 
 {bold}Conversation Switching{/bold}
 c             Open conversation switcher
 [/] or ←/→    Previous/Next conversation
+E             In the switcher: export all listed conversations
 ESC           Close conversation switcher
 
 {bold}Search{/bold}
 /             Search (text search in conversation)
-n             Next search result
-N             Previous search result
+S             Search all conversations
+n             Next match: within the message first, then the next result
+              (moves to the next conversation)
+N             Previous match / result
+Ctrl-R/W/E    In the search prompt: toggle regex, whole word, case-sensitive
 ESC           Clear search results
 
-{bold}Filters{/bold}
-f             Open filter settings
+{bold}Filters and Sorting{/bold}
+f             Open filter settings (empty conversations, query)
 h             Toggle hide empty conversations
+t             Filter by date range (created or updated)
+s             Sort by created, updated, title, message count, total characters
+r             Reverse the sort order
+
+{bold}Attachments{/bold}
+a             Browse the attachments and files of the conversation
+A             Browse every attachment in the export
+Enter / Tab   In the browser: go to the message / scroll the preview
+o             In the browser: order by message, size, type or name
+/             In the browser: search inside attachments
+
+{bold}Changes Since a Previous Export{/bold}
+D             Show changed conversations (after :diff)
++ / ~         Marks new / edited messages in the message list
 
 {bold}Commands{/bold}
 :             Command mode
-  :load path/to/file.json   Load conversation file
-  :export output.md         Export conversation
+  :load path/to/file.json   Load conversation file (.json, export folder or .zip)
+  :export output.md         Export conversation; the format follows the extension
+                            (.md .json .jsonl .html .txt .csv) or --format html;
+                            --format markdown-full keeps tool calls, thinking and
+                            attachment contents, with YAML front matter
+  :export-all folder        Export every conversation in the current (filtered) list,
+                            one file each plus an index; --format html, --template {date}-{slug}-{uuid}
+                            sets the file names ({index} is the position in the list)
+                            Both take --redact: emails, API keys, phone numbers, paths
+                            and configured names become placeholders like [EMAIL_1]
   :theme light/dark         Change theme
   :filter empty=true/false  Set empty conversation filter
+  :filter <query>           Filter by query, e.g. sender:human created:>2024-06-01
+                            messages:>20 has:attachment content_type:tool_use
+                            title:"foo" words; AND, OR, NOT and ( ) combine terms
+  :filter 2024-01-01 to 2024-02-01
+                            Filter by creation date (prefix "updated" for updated_at;
+                            either end may be omitted)
+  :filter off               Clear the query and the date range
+  :sort created|updated|title|messages|characters|none [asc|desc]
+  :sort reverse             Reverse the sort order
+  :search keyword           Search all conversations (:search alone reopens the results);
+                            with the search index: all words must match, "quoted phrases"
+                            match exactly, results ranked by relevance
+  :code                     List the code blocks of the message
+  :code copy 2              Copy code block 2 to the clipboard (also y)
+  :code save 2 file.py      Save code block 2 to a file
+  :attachments              Browse the attachments and files of the conversation
+                            with a preview of their content (also a)
+  :attachments all size     Every attachment in the export, by size, type, name or
+                            message (also A; o changes the order in the browser)
+  :attachments find text    Attachments whose content matches (also / in the browser)
+  :attachments save [n] [file]
+                            Save the content of the selected (or nth) attachment
+  :diff path/to/previous    Compare with a previous export
+  :diff off                 Stop highlighting changes
 
 {bold}Other Commands{/bold}
 ?             Show/hide this help
@@ -384,6 +732,12 @@ Press any key to close help
     this.loadingBox.show();
   },
   
+  // Update the loading indicator text (e.g. with progress)
+  updateLoading(message) {
+    this.loadingBox.setContent(message);
+    this.render();
+  },
+  
   // Hide loading indicator
   hideLoading() {
     this.loadingBox.stop();
@@ -397,27 +751,42 @@ Press any key to close help
       return;
     }
     
-    const title = conversation.name || `Conversation ${conversation.uuid.substring(0, 8)}`;
+    const title = getConversationTitle(conversation);
     const date = formatDate(conversation.created_at);
     const msgCount = state.messages.length;
     
     let filterInfo = '';
-    if (state.hideEmptyConversations) {
+    if (isFiltered()) {
       filterInfo = ' {bold}[Filtered]{/bold}';
     }
     
     const convInfo = state.filteredConversations.length > 1 ? 
       `Conv: ${state.currentConversationIndex + 1}/${state.filteredConversations.length}${filterInfo} | ` : '';
     
+    // Changes since the previous export, when comparing
+    let diffInfo = '';
+    const changes = getConversationChanges(conversation);
+    if (changes) {
+      diffInfo = changes.added ?
+        ' | {green-fg}{bold}New conversation{/bold}{/green-fg}' :
+        ` | {green-fg}{bold}+${changes.newCount} new, ~${changes.editedCount} edited{/bold}{/green-fg}`;
+    }
+    
     this.header.setContent(
-      ` {bold}${title}{/bold} | ${convInfo}Created: ${date} | Messages: ${msgCount} | ${state.currentMessageIndex + 1}/${msgCount}`
+      ` {bold}${title}{/bold} | ${convInfo}Created: ${date} | Messages: ${msgCount} | ${state.currentMessageIndex + 1}/${msgCount}${diffInfo}`
     );
   },
   
   // Update the status bar
   updateStatus(message) {
-    const filterStatus = state.hideEmptyConversations ? 
+    let filterStatus = state.hideEmptyConversations ? 
       ' | Empty convs hidden' : '';
+    if (state.dateFilter) {
+      filterStatus += ` | ${describeDateFilter()}`;
+    }
+    if (state.filterQuery) {
+      filterStatus += ` | Query: ${blessed.escape(state.filterQuery.text)}`;
+    }
     
     this.statusBar.setContent(
       ` ${message}${filterStatus} | Press {bold}?{/bold} for help | {bold}q{/bold} to quit | {bold}f{/bold} filters`
@@ -465,6 +834,15 @@ Press any key to close help
       ui.render();
     });
     
+    this.messageContent.on('scroll', syncTranscriptScroll);
+    
+    // Markdown is wrapped to the box width, which only now is known
+    if (state.viewMode === 'transcript' && state.messages.length > 0) {
+      showTranscriptMessage(state.currentMessageIndex);
+    } else {
+      refreshMessageContent();
+    }
+    
     // Force a full redraw
     screen.realloc();
     screen.clearRegion(0, 0, screen.width, screen.height);
@@ -474,6 +852,8 @@ Press any key to close help
   // Show filter settings
   showFilterSettings() {
     this.hideEmptyCheckbox.checked = state.hideEmptyConversations;
+    this.filterQueryInput.setValue(state.filterQuery ? state.filterQuery.text : '');
+    this.filterQueryError.setContent('');
     this.filterSettings.show();
     this.hideEmptyCheckbox.focus();
     screen.render();
@@ -495,56 +875,22 @@ function formatDate(dateStr, format = config.formatting.timestampFormat) {
   }
 }
 
-// Check if a conversation has any non-empty messages
-function hasNonEmptyMessages(conversation) {
-  if (!conversation || !Array.isArray(conversation.chat_messages)) {
-    return false;
-  }
-  
-  // Check each message for content
-  return conversation.chat_messages.some(msg => {
-    const text = getMessageText(msg);
-    return text && text.trim().length > 0;
-  });
-}
-
-// Get message text content from various formats
-function getMessageText(message) {
-  if (!message) return '';
-  
-  // Direct text field
-  if (message.text && typeof message.text === 'string') {
-    return message.text;
-  }
-  
-  // Content array with text fields
-  if (Array.isArray(message.content)) {
-    return message.content
-      .filter(item => item && item.text)
-      .map(item => item.text)
-      .join('\n\n');
-  }
-  
-  return '';
-}
-
 // Format message with sender and timestamp
 function formatMessage(message, viewMode = 'normal') {
   if (!message) return 'No message selected';
   
   const sender = message.sender || 'unknown';
   const timestamp = formatDate(message.created_at);
-  const text = getMessageText(message);
   
   // Different view modes
   if (viewMode === 'raw') {
     // Raw JSON view
-    return JSON.stringify(message, null, 2);
+    return blessed.escape(JSON.stringify(message, null, 2));
   } else if (viewMode === 'metadata') {
     // Metadata focused view
     let output = `{bold}Message ${state.currentMessageIndex + 1}{/bold}\n\n`;
-    output += `UUID: ${message.uuid}\n`;
-    output += `Sender: ${sender}\n`;
+    output += `UUID: ${blessed.escape(String(message.uuid))}\n`;
+    output += `Sender: ${blessed.escape(sender)}\n`;
     output += `Created: ${timestamp}\n`;
     output += `Updated: ${formatDate(message.updated_at)}\n\n`;
     
@@ -552,7 +898,7 @@ function formatMessage(message, viewMode = 'normal') {
     if (Array.isArray(message.attachments) && message.attachments.length > 0) {
       output += `{bold}Attachments (${message.attachments.length}):{/bold}\n`;
       message.attachments.forEach((a, i) => {
-        output += `${i+1}. ${a.file_name || 'Unnamed'} (${a.file_type || 'unknown'})\n`;
+        output += `${i+1}. ${blessed.escape(a.file_name || 'Unnamed')} (${blessed.escape(a.file_type || 'unknown')})\n`;
       });
       output += '\n';
     }
@@ -560,136 +906,618 @@ function formatMessage(message, viewMode = 'normal') {
     // Show content structure
     if (Array.isArray(message.content) && message.content.length > 0) {
       output += `{bold}Content Structure (${message.content.length} parts):{/bold}\n`;
-      message.content.forEach((part, i) => {
-        output += `Part ${i+1}: ${part.type || 'unknown'} (${part.text ? part.text.length : 0} chars)\n`;
+      message.content.forEach((raw, i) => {
+        const part = normalizeContentPart(raw);
+        const name = part.name ? ` ${blessed.escape(part.name)}` : '';
+        const citations = part.citations.length > 0 ? `, ${part.citations.length} citations` : '';
+        output += `Part ${i+1}: ${blessed.escape(part.type)}${name} (${part.text.length} chars${citations})${formatPartDuration(part)}\n`;
       });
     }
     
     return output;
   } else {
     // Normal readable view
-    let senderColor = config.theme.userColor;
-    if (sender.toLowerCase().includes('assistant')) {
-      senderColor = config.theme.assistantColor;
-    } else if (sender.toLowerCase().includes('system')) {
-      senderColor = config.theme.systemColor;
-    }
-    
-    let output = `{${senderColor}-fg}{bold}${sender}{/bold}{/${senderColor}-fg} `;
-    output += `{${config.theme.timestampColor}-fg}[${timestamp}]{/${config.theme.timestampColor}-fg}\n\n`;
-    
-    // Handle code blocks with syntax highlighting
-    let formattedText = text;
-    
-    // Simple markdown-style code block handling
-    formattedText = formattedText.replace(/```(\w+)?\n([\s\S]*?)\n```/g, (match, lang, code) => {
-      return `\n{white-bg}{black-fg}${lang || 'Code'}:{/black-fg}{/white-bg}\n{black-bg}{green-fg}${code}{/green-fg}{/black-bg}\n`;
-    });
-    
-    output += formattedText;
-    return output;
+    return formatMessageBody(message, state.currentMessageIndex);
   }
 }
 
-// Apply filters to the conversation list
-function applyFilters() {
-  // Force screen reallocation to prevent UI artifacts
-  screen.realloc();
-  
-  // Start with all conversations
-  if (state.hideEmptyConversations) {
-    // Filter to only show conversations with non-empty messages
-    state.filteredConversations = state.allConversations.filter(hasNonEmptyMessages);
-  } else {
-    // Show all conversations
-    state.filteredConversations = [...state.allConversations];
+// Sender, timestamp, changes since the previous export and the rendered
+// Markdown of a message. Search matches are marked in the current message only.
+function formatMessageBody(message, index) {
+  const sender = message.sender || 'unknown';
+  const timestamp = formatDate(message.created_at);
+  const text = getMessageText(message);
+  const current = index === state.currentMessageIndex;
+  
+  let senderColor = config.theme.userColor;
+  const role = normalizeSender(sender);
+  if (role === 'assistant') {
+    senderColor = config.theme.assistantColor;
+  } else if (role === 'system') {
+    senderColor = config.theme.systemColor;
   }
   
-  // Update status bar
-  const message = state.hideEmptyConversations 
-    ? `Showing ${state.filteredConversations.length} non-empty conversations (filtered from ${state.allConversations.length})`
-    : `Showing all ${state.allConversations.length} conversations`;
+  let output = `{${senderColor}-fg}{bold}${blessed.escape(sender)}{/bold}{/${senderColor}-fg} `;
+  output += `{${config.theme.timestampColor}-fg}[${timestamp}]${formatMessageDuration(message)}{/${config.theme.timestampColor}-fg}\n\n`;
   
-  ui.updateStatus(message);
+  // Mark messages that are new or edited since the previous export
+  const diffStatus = getMessageDiffStatus(state.conversation, message, index);
+  if (diffStatus === 'new') {
+    output += `{green-fg}{bold}New since previous export{/bold}{/green-fg}\n\n`;
+  } else if (diffStatus === 'edited') {
+    output += `{yellow-fg}{bold}Edited since previous export{/bold}{/yellow-fg}\n\n`;
+  }
+  
+  const content = renderMessageContent(message, current ? state.searchMatches : []);
+  output += current ? highlightSearchMarkers(content) : content;
+  return output;
+}
 
-  // Reset conversation index or choose best valid one
-  if (state.filteredConversations.length === 0) {
-    // No conversations match the filter
-    state.currentConversationIndex = -1;
-    state.conversation = null;
-    state.messages = [];
-    
-    // Update UI to show no conversations available
-    ui.messageList.clearItems();
-    ui.messageContent.setContent('No conversations match current filters. Press {bold}h{/bold} to show all conversations.');
-    ui.updateHeader(null);
-    
-    // Force a full screen redraw to prevent UI artifacts
-    screen.clearRegion(0, 0, screen.width, screen.height);
-    screen.render();
-    
-    return false;
-  } else if (state.currentConversationIndex >= state.filteredConversations.length) {
-    // Current index is now out of bounds, reset to the last valid one
-    state.currentConversationIndex = state.filteredConversations.length - 1;
-    loadConversation(state.currentConversationIndex);
-  } else if (state.currentConversationIndex < 0 && state.filteredConversations.length > 0) {
-    // No current conversation but we have valid ones, load the first
-    state.currentConversationIndex = 0;
-    loadConversation(0);
-  } else if (state.conversation) {
-    // Check if current conversation is still in filtered list
-    const currentUuid = state.conversation.uuid;
-    const stillExists = state.filteredConversations.some(c => c.uuid === currentUuid);
-    
-    if (!stillExists) {
-      // Current conversation was filtered out, load first available
-      state.currentConversationIndex = 0;
-      loadConversation(0);
-    } else {
-      // Current conversation still valid, refresh UI
-      updateConversationSwitcher();
-      ui.updateHeader(state.conversation);
-      
-      // Force a full screen redraw to prevent UI artifacts
-      screen.clearRegion(0, 0, screen.width, screen.height);
-      screen.render();
+// Duration of a content part from its start and stop timestamps, e.g. " (2.5s)"
+function formatPartDuration(part) {
+  if (!part.startedAt || !part.stoppedAt || part.stoppedAt < part.startedAt) return '';
+  return ` (${formatDuration(part.stoppedAt - part.startedAt)})`;
+}
+
+// Time from the first start to the last stop of a message's content parts
+function formatMessageDuration(message) {
+  const parts = Array.isArray(message.content) ? message.content.map(normalizeContentPart) : [];
+  const starts = parts.filter(part => part.startedAt).map(part => part.startedAt.getTime());
+  const stops = parts.filter(part => part.stoppedAt).map(part => part.stoppedAt.getTime());
+  if (starts.length === 0 || stops.length === 0) return '';
+  
+  const duration = Math.max(...stops) - Math.min(...starts);
+  return duration >= 0 ? ` ${formatDuration(duration)}` : '';
+}
+
+function formatDuration(ms) {
+  const seconds = ms / 1000;
+  if (seconds < 10) return `${Math.round(seconds * 10) / 10}s`;
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}m ${Math.round(seconds - minutes * 60)}s`;
+}
+
+// Tagged text of a message's content. Text parts are rendered as Markdown
+// with numbered citation marks and the sources listed at the end; thinking
+// is dimmed, tool calls show their input as JSON and tool results are
+// collapsed to a header unless expanded (x). The message's own text is
+// rendered when it has no text parts.
+function renderMessageContent(message, matches) {
+  const width = getMessageContentWidth();
+  const offsets = getTextPartOffsets(message);
+  let codeBlocks = 0;
+  // Search matches are positions in getMessageText(); a part not found in it has offset -1
+  const renderText = (text, offset, insertions) => {
+    const marked = markSearchMatches(text, offset === -1 ? [] : matches, offset, insertions);
+    return renderMarkdown(marked, {
+      width,
+      theme: config.theme.markdown,
+      firstCodeBlock: codeBlocks + 1,
+      highlightCode: (code, language) => {
+        codeBlocks++;
+        return highlight(code, language, { colors: config.theme.syntax });
+      }
+    });
+  };
+  
+  if (!offsets || message.content.length === 0) {
+    return renderText(getMessageText(message), 0, []).join('\n');
+  }
+  
+  const blocks = [];
+  const sources = [];
+  message.content.forEach(raw => {
+    const part = normalizeContentPart(raw);
+    
+    if (offsets.has(raw)) {
+      const marks = part.citations.map(citation => {
+        sources.push(citation);
+        const end = typeof citation.end_index === 'number' ? citation.end_index : part.text.length;
+        return {
+          index: Math.max(0, Math.min(part.text.length, end)),
+          text: `${CITATION_MARKERS.start}[${sources.length}]${CITATION_MARKERS.end}`
+        };
+      });
+      blocks.push(renderText(part.text, offsets.get(raw), marks));
+    } else if (part.type !== 'text' && part.type !== 'unknown') {
+      blocks.push(renderContentPart(part, width));
     }
+  });
+  
+  // Tool calls and the like without text parts, next to a text field
+  const text = getMessageText(message);
+  if (offsets.size === 0 && text) {
+    blocks.push(renderText(text, 0, []));
   }
   
-  return true;
+  if (sources.length > 0) {
+    blocks.push(['{bold}Sources{/bold}'].concat(sources.map((citation, i) => {
+      const details = citation.details || {};
+      const title = citation.title || details.title || '';
+      const url = citation.url || details.url || '';
+      return `{${config.theme.citationColor}-fg}[${i + 1}]{/${config.theme.citationColor}-fg} ` +
+        blessed.escape(title || url || 'Unnamed source') +
+        (title && url ? ` {${config.theme.timestampColor}-fg}(${blessed.escape(url)}){/${config.theme.timestampColor}-fg}` : '');
+    })));
+  }
+  
+  const citationTags = `{${config.theme.citationColor}-fg}`;
+  return blocks.map(lines => lines.join('\n')).join('\n\n')
+    .split(CITATION_MARKERS.start).join(citationTags)
+    .split(CITATION_MARKERS.end).join(`{/${config.theme.citationColor}-fg}`);
 }
 
-// Data loading
-async function loadConversationFile(filePath) {
-  try {
-    ui.showLoading('Loading conversation file...');
-    
-    // Read and parse the file
-    const rawData = fs.readFileSync(filePath, 'utf8');
-    const data = JSON.parse(rawData);
-    
-    if (Array.isArray(data)) {
-      // Store all conversations
-      state.allConversations = data;
-      
-      // Apply filters - will repopulate filteredConversations
-      const hasValidConversations = applyFilters();
-      
-      ui.updateStatus(`Loaded ${data.length} conversations from ${filePath}`);
+// Tagged lines of a thinking, tool or other non-text content part
+function renderContentPart(part, width) {
+  const color = (name, text) => `{${name}-fg}${text}{/${name}-fg}`;
+  const duration = color(config.theme.timestampColor, formatPartDuration(part));
+  const indent = lines => lines.map(line => '  ' + line);
+  const wrap = text => indent(wrapTagged(blessed.escape(text), width - 2));
+  
+  switch (part.type) {
+    case 'thinking':
+      return [color(config.theme.thinkingColor, '{bold}Thinking{/bold}') + duration]
+        .concat(wrap(part.text || '(empty)').map(line => color(config.theme.thinkingColor, line)));
+    case 'tool_use': {
+      const input = JSON.stringify(part.input === undefined ? null : part.input, null, 2);
+      const lines = highlight(input, 'json', { colors: config.theme.syntax }) || input.split('\n').map(blessed.escape);
+      return [color(config.theme.toolColor, `{bold}Tool call: ${blessed.escape(part.name || 'unnamed')}{/bold}`) + duration]
+        .concat(indent(lines));
+    }
+    case 'tool_result': {
+      const headerColor = part.isError ? config.theme.toolErrorColor : config.theme.toolColor;
+      const error = part.isError ? ' (error)' : '';
+      const header = color(headerColor, `{bold}${state.expandToolResults ? '▾' : '▸'} Tool result: ` +
+        `${blessed.escape(part.name || 'unnamed')}{/bold}${error}`) + duration;
       
-      if (hasValidConversations) {
-        // Load the first conversation if we haven't already in applyFilters
-        if (state.currentConversationIndex < 0 && state.filteredConversations.length > 0) {
-          loadConversation(0);
-        }
+      if (!state.expandToolResults) {
+        return [header + color(config.theme.timestampColor, ` ${part.text ? describeLines(part.text) : 'empty'}, x to expand`)];
       }
-    } else {
-      // Single conversation object
-      state.allConversations = [data];
-      
-      // Apply filters
-      const hasValidConversations = applyFilters();
+      return [header].concat(wrap(part.text || '(empty)'));
+    }
+    default:
+      // image, document, voice_note and types added later
+      return [color(config.theme.timestampColor, `[${blessed.escape(part.type)}]`)]
+        .concat(part.text ? wrap(part.text) : []);
+  }
+}
+
+// Width of the text in the message box, inside its border and padding
+function getMessageContentWidth() {
+  const box = ui.messageContent;
+  if (box && box.parent) {
+    return Math.max(20, box.width - box.iwidth);
+  }
+  return Math.max(20, screen.width - 4);
+}
+
+// Private-use characters marking search matches while a message is formatted
+const MATCH_MARKERS = {
+  start: '\uE000',
+  end: '\uE001',
+  currentStart: '\uE002',
+  currentEnd: '\uE003'
+};
+
+function getMatchTags(current) {
+  const color = current ? config.theme.currentMatchColor : config.theme.matchColor;
+  return { open: `{black-fg}{${color}-bg}`, close: `{/${color}-bg}{/black-fg}` };
+}
+
+// Private-use characters around citation marks, made tags once rendered
+const CITATION_MARKERS = {
+  start: '\uE004',
+  end: '\uE005'
+};
+
+// Surround search matches with markers. The matches are positions in the
+// message text, of which text is the part starting at offset; insertions
+// ({ index, text }, positions in text) are added along with the markers.
+function markSearchMatches(text, matches, offset = 0, insertions = []) {
+  const marks = [];
+  matches.forEach((match, i) => {
+    const start = Math.max(match.index, offset) - offset;
+    const end = Math.min(match.index + match.length, offset + text.length) - offset;
+    if (end < start || (end === start && match.length > 0)) return;
+    
+    const current = i === state.searchMatchIndex;
+    marks.push({ index: start, text: current ? MATCH_MARKERS.currentStart : MATCH_MARKERS.start });
+    marks.push({ index: end, text: current ? MATCH_MARKERS.currentEnd : MATCH_MARKERS.end });
+  });
+  
+  // Stable sort: marks at the same position keep their order
+  const sorted = marks.concat(insertions)
+    .map((mark, order) => Object.assign({ order }, mark))
+    .sort((a, b) => a.index - b.index || a.order - b.order);
+  
+  let marked = '';
+  let last = 0;
+  sorted.forEach(mark => {
+    marked += text.substring(last, mark.index) + mark.text;
+    last = mark.index;
+  });
+  
+  return marked + text.substring(last);
+}
+
+function highlightSearchMarkers(text) {
+  if (state.searchMatches.length === 0) return text;
+  
+  const tags = getMatchTags(false);
+  const currentTags = getMatchTags(true);
+  return text
+    .split(MATCH_MARKERS.start).join(tags.open)
+    .split(MATCH_MARKERS.end).join(tags.close)
+    .split(MATCH_MARKERS.currentStart).join(currentTags.open)
+    .split(MATCH_MARKERS.currentEnd).join(currentTags.close);
+}
+
+// Scroll the message box so the current search match is visible
+function scrollToCurrentMatch() {
+  const box = ui.messageContent;
+  const content = box.content || '';
+  const position = content.indexOf(getMatchTags(true).open);
+  
+  if (position === -1 || !box._clines || !box._clines.ftor) {
+    box.scrollTo(0);
+    return;
+  }
+  
+  // Source line of the match, then the wrapped line holding its column
+  const before = content.substring(0, position);
+  const line = before.split('\n').length - 1;
+  let column = blessed.stripTags(before.substring(before.lastIndexOf('\n') + 1)).length;
+  const wrapped = box._clines.ftor[line] || [0];
+  let target = wrapped[0];
+  
+  for (const index of wrapped) {
+    target = index;
+    const length = blessed.stripTags(box._clines[index] || '').replace(/\x1b\[[\d;]*m/g, '').length;
+    if (column < length) break;
+    column -= length;
+  }
+  
+  // Keep a few lines of context above the match
+  box.scrollTo(Math.max(0, target - 2));
+}
+
+// Whether any filter is active
+function isFiltered() {
+  return state.hideEmptyConversations || state.filterQuery !== null || state.dateFilter !== null;
+}
+
+// Date range filter: "2024-01-01 to 2024-02-01", optionally preceded by
+// created (default) or updated; either end may be left out. Both ends are
+// inclusive and may be a year, month or day. Returns null when the text is
+// not a date range.
+const DATE_RANGE_PATTERN = /^(?:(created|updated)\s+)?(\d{4}[-\d]*)?\s*\bto\b\s*(\d{4}[-\d]*)?$/i;
+
+function parseDateRange(text) {
+  const match = text.trim().match(DATE_RANGE_PATTERN);
+  if (!match || (!match[2] && !match[3])) return null;
+  return { field: (match[1] || 'created').toLowerCase(), from: match[2] || null, to: match[3] || null };
+}
+
+// Set the date range filter. Returns an error message for invalid dates.
+function setDateFilter({ field, from, to }) {
+  const start = from ? parseDatePeriod(from) : null;
+  const end = to ? parseDatePeriod(to) : null;
+  
+  if ((from && !start) || (to && !end)) {
+    return `Invalid date "${from && !start ? from : to}". Use e.g. 2024-01-01 to 2024-02-01`;
+  }
+  if (start && end && start.start >= end.end) {
+    return `The range ${from} to ${to} is empty`;
+  }
+  
+  state.dateFilter = { field, from, to, min: start ? start.start : null, max: end ? end.end : null };
+  return null;
+}
+
+function describeDateFilter() {
+  const { field, from, to } = state.dateFilter;
+  const label = field === 'updated' ? 'Updated' : 'Created';
+  if (!from) return `${label} until ${to}`;
+  if (!to) return `${label} from ${from}`;
+  return `${label} ${from} to ${to}`;
+}
+
+function matchesDateFilter(conversation) {
+  const { field, min, max } = state.dateFilter;
+  const date = parseDate(conversation[`${field}_at`]);
+  if (!date) return false;
+  
+  const time = date.getTime();
+  return (min === null || time >= min) && (max === null || time < max);
+}
+
+// Total message text length of a conversation, cached (used for sorting)
+const characterCounts = new WeakMap();
+
+function getCharacterCount(conversation) {
+  if (!characterCounts.has(conversation)) {
+    const count = getMessages(conversation).reduce((sum, message) => sum + getMessageText(message).length, 0);
+    characterCounts.set(conversation, count);
+  }
+  return characterCounts.get(conversation);
+}
+
+// Sort value of a conversation; null sorts last in either direction
+function getSortValue(conversation, key) {
+  switch (key) {
+    case 'created':
+    case 'updated': {
+      const date = parseDate(conversation[`${key}_at`]);
+      return date ? date.getTime() : null;
+    }
+    case 'title':
+      return getConversationTitle(conversation).toLowerCase();
+    case 'messages':
+      return getMessages(conversation).length;
+    case 'characters':
+      return getCharacterCount(conversation);
+    default:
+      return null;
+  }
+}
+
+function getSortDefinition() {
+  return config.sortKeys.find(definition => definition.key === state.sortKey) || null;
+}
+
+// Sort the filtered list in place by the current sort key (stable, so
+// equal values keep the export order)
+function sortConversations() {
+  const definition = getSortDefinition();
+  if (!definition) return;
+  
+  const descending = definition.descending !== state.sortReversed;
+  const values = new Map(state.filteredConversations.map(conv => [conv, getSortValue(conv, definition.key)]));
+  
+  state.filteredConversations.sort((a, b) => {
+    const valueA = values.get(a);
+    const valueB = values.get(b);
+    if (valueA === valueB) return 0;
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    
+    const order = typeof valueA === 'string' ? valueA.localeCompare(valueB, undefined, { numeric: true }) : valueA - valueB;
+    return descending ? -order : order;
+  });
+}
+
+function describeSort() {
+  const definition = getSortDefinition();
+  if (!definition) return state.sortReversed ? 'export order, reversed' : 'export order';
+  
+  const descending = definition.descending !== state.sortReversed;
+  const directions = {
+    created: ['oldest first', 'newest first'],
+    updated: ['oldest first', 'newest first'],
+    title: ['A-Z', 'Z-A']
+  };
+  const [ascendingLabel, descendingLabel] = directions[definition.key] || ['smallest first', 'largest first'];
+  return `sorted by ${definition.label}, ${descending ? descendingLabel : ascendingLabel}`;
+}
+
+// Change the sort key and/or direction and re-order the list, keeping the
+// current conversation
+function setSort(key, reversed = state.sortReversed) {
+  state.sortKey = key;
+  state.sortReversed = reversed;
+  
+  state.filteredConversations = state.allConversations.filter(conversationMatchesFilters);
+  orderFilteredConversations();
+  
+  if (state.conversation) {
+    state.currentConversationIndex = Math.max(0, state.filteredConversations.indexOf(state.conversation));
+  }
+  
+  updateConversationSwitcher();
+  ui.updateHeader(state.conversation);
+  ui.updateStatus(`Conversations ${describeSort()}`);
+  ui.render();
+}
+
+// Apply the sort (or the reversed export order) to the filtered list
+function orderFilteredConversations() {
+  if (state.sortKey) {
+    sortConversations();
+  } else if (state.sortReversed) {
+    state.filteredConversations.reverse();
+  }
+}
+
+// Move to the next sort key (after the last one, back to the export order)
+function cycleSortKey() {
+  const keys = config.sortKeys.map(definition => definition.key);
+  const next = state.sortKey === null ? keys[0] : keys[keys.indexOf(state.sortKey) + 1] || null;
+  setSort(next, false);
+}
+
+// Set the filter query (an empty query clears it). Returns an error
+// message for an invalid query, leaving the current query in place.
+function setFilterQuery(text) {
+  const query = (text || '').trim();
+  
+  try {
+    const tree = parseQuery(query);
+    state.filterQuery = tree ? { text: query, tree } : null;
+    return null;
+  } catch (err) {
+    return `Invalid query: ${err.message}`;
+  }
+}
+
+// Check a conversation against the active filters
+function conversationMatchesFilters(conversation) {
+  // Optionally only show conversations with non-empty messages
+  if (state.hideEmptyConversations && !hasNonEmptyMessages(conversation)) {
+    return false;
+  }
+  
+  if (state.filterQuery && !matchesQuery(state.filterQuery.tree, conversation)) {
+    return false;
+  }
+  
+  if (state.dateFilter && !matchesDateFilter(conversation)) {
+    return false;
+  }
+  
+  return true;
+}
+
+// Apply filters to the conversation list
+function applyFilters() {
+  // Force screen reallocation to prevent UI artifacts
+  screen.realloc();
+  
+  // Start with all conversations
+  state.filteredConversations = state.allConversations.filter(conversationMatchesFilters);
+  orderFilteredConversations();
+  
+  // Update status bar
+  let message = `Showing all ${state.allConversations.length} conversations`;
+  if (state.filterQuery) {
+    message = `Showing ${state.filteredConversations.length} of ${state.allConversations.length} conversations matching the query`;
+  } else if (state.dateFilter) {
+    message = `Showing ${state.filteredConversations.length} of ${state.allConversations.length} conversations in the date range`;
+  } else if (state.hideEmptyConversations) {
+    message = `Showing ${state.filteredConversations.length} non-empty conversations (filtered from ${state.allConversations.length})`;
+  }
+  
+  ui.updateStatus(message);
+
+  // Reset conversation index or choose best valid one
+  if (state.filteredConversations.length === 0) {
+    // No conversations match the filter
+    state.currentConversationIndex = -1;
+    state.conversation = null;
+    state.messages = [];
+    
+    // Update UI to show no conversations available
+    ui.messageList.clearItems();
+    ui.messageContent.setContent(state.filterQuery ?
+      'No conversations match the query. Use {bold}:filter off{/bold} to clear it.' :
+      'No conversations match current filters. Press {bold}h{/bold} to show all conversations.');
+    ui.updateHeader(null);
+    
+    // Force a full screen redraw to prevent UI artifacts
+    screen.clearRegion(0, 0, screen.width, screen.height);
+    screen.render();
+    
+    return false;
+  } else if (state.currentConversationIndex >= state.filteredConversations.length) {
+    // Current index is now out of bounds, reset to the last valid one
+    state.currentConversationIndex = state.filteredConversations.length - 1;
+    loadConversation(state.currentConversationIndex);
+  } else if (state.currentConversationIndex < 0 && state.filteredConversations.length > 0) {
+    // No current conversation but we have valid ones, load the first
+    state.currentConversationIndex = 0;
+    loadConversation(0);
+  } else if (state.conversation) {
+    // Check if current conversation is still in filtered list
+    const currentUuid = state.conversation.uuid;
+    const stillExists = state.filteredConversations.some(c => c.uuid === currentUuid);
+    
+    if (!stillExists) {
+      // Current conversation was filtered out, load first available
+      state.currentConversationIndex = 0;
+      loadConversation(0);
+    } else {
+      // Its position may have changed with the filters or the sort order
+      state.currentConversationIndex = Math.max(0, state.filteredConversations.indexOf(state.conversation));
+      
+      // Current conversation still valid, refresh UI
+      updateConversationSwitcher();
+      ui.updateHeader(state.conversation);
+      
+      // Force a full screen redraw to prevent UI artifacts
+      screen.clearRegion(0, 0, screen.width, screen.height);
+      screen.render();
+    }
+  }
+  
+  return true;
+}
+
+// Data loading
+// The file is streamed: conversations become browsable as soon as the first
+// ones are parsed, while the rest keep loading in the background.
+async function loadConversationFile(filePath) {
+  // A newer load supersedes one that is still streaming
+  const loadId = ++state.loadId;
+  state.isLoading = true;
+  
+  try {
+    ui.showLoading('Loading conversation file...');
+    
+    // Locate the file (plain JSON, export folder or zip archive)
+    const exportSource = openExport(filePath);
+    state.relatedFiles = exportSource.readRelatedFiles();
+    
+    // Start from an empty archive; a comparison with another export and
+    // search results no longer apply
+    state.diff = null;
+    state.fullTextIndex = null;
+    state.searchMode = false;
+    state.searchMatcher = null;
+    state.searchResults = [];
+    state.allConversations = [];
+    state.filteredConversations = [];
+    state.currentConversationIndex = 0;
+    state.conversation = null;
+    state.messages = [];
+    ui.messageList.clearItems();
+    ui.conversationSwitcher.clearItems();
+    
+    let batch = [];
+    let lastFlush = 0;
+    
+    const result = await streamConversations(exportSource, {
+      onConversation: (conversation) => {
+        if (loadId !== state.loadId) return false;
+        batch.push(conversation);
+      },
+      onProgress: ({ bytesRead, totalBytes, count }) => {
+        if (loadId !== state.loadId) return;
+        
+        // Hand over what has been parsed so far, a few times per second
+        if (batch.length > 0 && (!state.conversation || Date.now() - lastFlush > 500)) {
+          appendConversations(batch);
+          batch = [];
+          lastFlush = Date.now();
+        }
+        
+        const percent = totalBytes > 0 ? Math.min(100, Math.floor(bytesRead / totalBytes * 100)) : 0;
+        ui.updateLoading(`Loading conversation file... ${percent}%\n${count} conversations parsed`);
+      }
+    });
+    
+    if (loadId !== state.loadId) return;
+    
+    if (result.isArray) {
+      appendConversations(batch);
+      
+      // Apply filters once more to settle the final list
+      const hasValidConversations = applyFilters();
+      if (hasValidConversations && !state.conversation) {
+        loadConversation(0);
+      }
+      
+      const related = Object.keys(state.relatedFiles);
+      const relatedInfo = related.length > 0 ? ` (with ${related.join(', ')})` : '';
+      ui.updateStatus(`Loaded ${result.count} conversations from ${filePath}${relatedInfo}`);
+      
+      // Indexing runs in the background; search scans linearly until it is ready
+      buildFullTextIndex(exportSource, loadId);
+    } else {
+      // Single conversation object
+      state.allConversations = [result.value];
+      
+      // Apply filters
+      const hasValidConversations = applyFilters();
       
       if (hasValidConversations) {
         loadConversation(0);
@@ -697,16 +1525,88 @@ async function loadConversationFile(filePath) {
       }
     }
     
+    state.isLoading = false;
     ui.hideLoading();
     ui.render();
     
   } catch (err) {
+    if (loadId !== state.loadId) return;
+    state.isLoading = false;
     ui.hideLoading();
     ui.updateStatus(`Error loading conversation: ${err.message}`);
     console.error('Error loading conversation:', err);
   }
 }
 
+// Load the search index stored next to the export, building or updating it
+// when the export changed since it was written
+async function buildFullTextIndex(exportSource, loadId) {
+  const conversations = state.allConversations;
+  const phases = { hashing: 'Checking', loading: 'Loading', indexing: 'Updating' };
+  
+  try {
+    const result = await ensureSearchIndex(exportSource, conversations, {
+      onProgress: ({ phase, done, total }) => {
+        if (loadId !== state.loadId) return;
+        const progress = phase === 'indexing' ? ` ${done}/${total} conversations` : '';
+        ui.updateStatus(`${phases[phase]} search index...${progress}`);
+        ui.render();
+      }
+    });
+    if (loadId !== state.loadId) return;
+    
+    const keys = getConversationKeys(conversations);
+    state.fullTextIndex = {
+      index: result.index,
+      conversationsByKey: new Map(keys.map((key, i) => [key, conversations[i]]))
+    };
+    
+    const docs = result.index.docs.length;
+    const details = {
+      loaded: `Search index loaded (${docs} messages)`,
+      updated: `Search index updated: ${result.indexed} conversations re-indexed, ${result.reused} unchanged`,
+      built: `Search index built (${docs} messages)`
+    };
+    const notSaved = result.writeError ? ` - not saved: ${result.writeError.message}` : '';
+    ui.updateStatus(details[result.status] + notSaved);
+  } catch (err) {
+    if (loadId !== state.loadId) return;
+    ui.updateStatus(`Search index unavailable: ${err.message}`);
+  }
+  ui.render();
+}
+
+// Add streamed conversations without disturbing the conversation being read
+function appendConversations(conversations) {
+  if (conversations.length === 0) return;
+  
+  const firstNewIndex = state.filteredConversations.length;
+  state.allConversations.push(...conversations);
+  state.filteredConversations.push(...conversations.filter(conversationMatchesFilters));
+  
+  if (state.sortKey || state.sortReversed) {
+    // New conversations can land anywhere in a sorted list
+    state.filteredConversations = state.allConversations.filter(conversationMatchesFilters);
+    orderFilteredConversations();
+    if (state.conversation) {
+      state.currentConversationIndex = Math.max(0, state.filteredConversations.indexOf(state.conversation));
+    }
+    updateConversationSwitcher();
+  } else {
+    // Extend the switcher list in place so its selection is kept
+    for (let i = firstNewIndex; i < state.filteredConversations.length; i++) {
+      ui.conversationSwitcher.addItem(formatSwitcherItem(state.filteredConversations[i], i));
+    }
+  }
+  
+  if (!state.conversation && state.filteredConversations.length > 0) {
+    loadConversation(0);
+  } else {
+    ui.updateHeader(state.conversation);
+    ui.render();
+  }
+}
+
 // Load a specific conversation by index in the filtered list
 function loadConversation(index) {
   if (index < 0 || index >= state.filteredConversations.length) {
@@ -718,12 +1618,8 @@ function loadConversation(index) {
   state.conversation = state.filteredConversations[index];
   
   // Extract messages
-  if (state.conversation && Array.isArray(state.conversation.chat_messages)) {
-    state.messages = state.conversation.chat_messages;
-    state.currentMessageIndex = 0;
-  } else {
-    state.messages = [];
-  }
+  state.messages = getMessages(state.conversation);
+  state.currentMessageIndex = 0;
   
   // Update UI
   updateMessageList();
@@ -735,7 +1631,7 @@ function loadConversation(index) {
     ui.messageContent.setContent('No messages in this conversation');
   }
   
-  const filterIndicator = state.hideEmptyConversations ? 
+  const filterIndicator = isFiltered() ? 
     ' (filtered view)' : '';
   
   ui.updateStatus(`Loaded conversation ${index + 1} of ${state.filteredConversations.length}${filterIndicator}`);
@@ -746,6 +1642,9 @@ function loadConversation(index) {
 function updateMessageList() {
   ui.messageList.clearItems();
   
+  // The transcript is rendered again from the new list
+  state.transcript = null;
+  
   state.messages.forEach((msg, idx) => {
     const sender = msg.sender || 'unknown';
     const text = getMessageText(msg);
@@ -759,7 +1658,11 @@ function updateMessageList() {
       preview = '(empty)';
     }
     
-    ui.messageList.addItem(`${idx + 1}. ${sender}: ${preview}`);
+    // Changes since the previous export: + new, ~ edited
+    const diffStatus = getMessageDiffStatus(state.conversation, msg, idx);
+    const marker = diffStatus === 'new' ? '+ ' : diffStatus === 'edited' ? '~ ' : '';
+    
+    ui.messageList.addItem(`${marker}${idx + 1}. ${sender}: ${preview}`);
   });
   
   if (state.currentMessageIndex >= 0 && state.currentMessageIndex < state.messages.length) {
@@ -767,8 +1670,9 @@ function updateMessageList() {
   }
 }
 
-// Show a specific message
-function showMessage(index) {
+// Show a specific message. While searching, its matches are highlighted
+// and the first one (or the last, with lastMatch) is scrolled into view.
+function showMessage(index, { lastMatch = false } = {}) {
   if (index < 0 || index >= state.messages.length) {
     return;
   }
@@ -776,8 +1680,20 @@ function showMessage(index) {
   state.currentMessageIndex = index;
   const message = state.messages[index];
   
-  ui.messageContent.setContent(formatMessage(message, state.viewMode));
-  ui.messageContent.scrollTo(0);
+  const highlight = state.searchMode && state.searchMatcher &&
+    (state.viewMode === 'normal' || state.viewMode === 'transcript');
+  state.searchMatches = highlight ? state.searchMatcher.findAll(getMessageText(message)) : [];
+  state.searchMatchIndex = lastMatch ? Math.max(0, state.searchMatches.length - 1) : 0;
+  
+  if (state.viewMode === 'transcript') {
+    showTranscriptMessage(index);
+  } else {
+    ui.messageContent.setContent(formatMessage(message, state.viewMode));
+    ui.messageContent.scrollTo(0);
+  }
+  if (state.searchMatches.length > 0) {
+    scrollToCurrentMatch();
+  }
   
   ui.messageList.select(index);
   ui.updateHeader(state.conversation);
@@ -786,9 +1702,179 @@ function showMessage(index) {
   ui.render();
 }
 
-// Toggle view mode (cycles through normal, raw, metadata)
+// Re-render the message box in place, e.g. after a resize
+function refreshMessageContent() {
+  if (state.messages.length === 0) return;
+  
+  if (state.viewMode === 'transcript' && state.transcript) {
+    renderTranscript({ keepPosition: true });
+  } else if (state.viewMode === 'transcript') {
+    showTranscriptMessage(state.currentMessageIndex);
+  } else {
+    ui.messageContent.setContent(formatMessage(state.messages[state.currentMessageIndex], state.viewMode));
+  }
+}
+
+// Transcript mode shows the whole conversation as one scrolling document.
+// Only a window of config.transcript.chunkSize messages around the one
+// being read is rendered; scrolling to either end of the window renders
+// the next chunk and drops the farthest one.
+function getTranscriptWindowSize() {
+  return Math.max(1, config.transcript.chunkSize) * 3;
+}
+
+// Separator line, header and body of a message in the transcript. Bodies
+// are cached until the width changes, except for the message showing search
+// matches.
+function formatTranscriptEntry(index) {
+  const transcript = state.transcript;
+  const withMatches = index === state.currentMessageIndex && state.searchMatches.length > 0;
+  
+  if (withMatches || transcript.cache[index] === undefined) {
+    const label = `── Message ${index + 1} of ${state.messages.length} `;
+    const rule = label + '─'.repeat(Math.max(0, transcript.width - label.length));
+    const entry = `{${config.theme.timestampColor}-fg}${rule}{/${config.theme.timestampColor}-fg}\n\n` +
+      formatMessageBody(state.messages[index], index) + '\n';
+    if (withMatches) return entry;
+    transcript.cache[index] = entry;
+  }
+  
+  return transcript.cache[index];
+}
+
+// Render the messages from transcript.start to transcript.end and record the
+// screen line each of them starts on. With keepPosition, the message at the
+// top of the box stays where it was.
+function renderTranscript({ keepPosition = false } = {}) {
+  const box = ui.messageContent;
+  const transcript = state.transcript;
+  const width = getMessageContentWidth();
+  let anchor = null;
+  
+  if (keepPosition && transcript.offsets.length > 0) {
+    const index = getTranscriptMessageAt(box.childBase);
+    anchor = { index, delta: box.childBase - transcript.offsets[index - transcript.renderedStart] };
+  }
+  
+  if (transcript.width !== width) {
+    transcript.width = width;
+    transcript.cache = {};
+  }
+  
+  const parts = [];
+  const sourceLines = [];
+  let line = 0;
+  const add = text => {
+    parts.push(text);
+    line += text.split('\n').length;
+  };
+  
+  if (transcript.start > 0) {
+    add(`{${config.theme.timestampColor}-fg}↑ ${transcript.start} earlier messages{/${config.theme.timestampColor}-fg}\n`);
+  }
+  for (let i = transcript.start; i < transcript.end; i++) {
+    sourceLines.push(line);
+    add(formatTranscriptEntry(i));
+  }
+  const after = state.messages.length - transcript.end;
+  if (after > 0) {
+    add(`{${config.theme.timestampColor}-fg}↓ ${after} more messages{/${config.theme.timestampColor}-fg}`);
+  }
+  
+  transcript.updating = true;
+  box.setContent(parts.join('\n'));
+  
+  // Source lines wrap onto several screen lines
+  const ftor = box._clines && box._clines.ftor;
+  transcript.offsets = sourceLines.map(source => (ftor && ftor[source] ? ftor[source][0] : source));
+  transcript.renderedStart = transcript.start;
+  
+  if (anchor && anchor.index >= transcript.start && anchor.index < transcript.end) {
+    box.scrollTo(transcript.offsets[anchor.index - transcript.start] + anchor.delta);
+  }
+  transcript.updating = false;
+}
+
+// Index of the message shown on a screen line of the transcript
+function getTranscriptMessageAt(line) {
+  const { renderedStart: start, offsets } = state.transcript;
+  let index = 0;
+  while (index + 1 < offsets.length && offsets[index + 1] <= line) {
+    index++;
+  }
+  return start + index;
+}
+
+// Scroll the transcript to the start of a message, rendering the window
+// around it first if it is outside the current one
+function showTranscriptMessage(index) {
+  const count = state.messages.length;
+  
+  if (!state.transcript) {
+    state.transcript = { start: 0, end: 0, renderedStart: 0, offsets: [], cache: {}, width: 0, updating: false };
+  }
+  
+  const transcript = state.transcript;
+  if (index < transcript.start || index >= transcript.end) {
+    const chunk = Math.max(1, config.transcript.chunkSize);
+    transcript.start = Math.max(0, Math.min(index - Math.floor(chunk / 2), count - chunk));
+    transcript.end = Math.min(count, transcript.start + chunk);
+  }
+  
+  renderTranscript();
+  transcript.updating = true;
+  ui.messageContent.scrollTo(transcript.offsets[index - transcript.start]);
+  transcript.updating = false;
+}
+
+// After the transcript is scrolled: render more messages near either end of
+// the window and select the message at the top of the box in the list
+function syncTranscriptScroll() {
+  const transcript = state.transcript;
+  if (state.viewMode !== 'transcript' || !transcript || transcript.updating) return;
+  
+  const box = ui.messageContent;
+  const count = state.messages.length;
+  const chunk = Math.max(1, config.transcript.chunkSize);
+  const visible = box.height - box.iheight;
+  const top = box.childBase;
+  
+  if (top === 0 && transcript.start > 0) {
+    transcript.start = Math.max(0, transcript.start - chunk);
+    transcript.end = Math.min(transcript.end, transcript.start + getTranscriptWindowSize());
+    renderTranscript({ keepPosition: true });
+  } else if (top + visible >= box.getScrollHeight() && transcript.end < count) {
+    const anchor = getTranscriptMessageAt(top);
+    transcript.end = Math.min(count, transcript.end + chunk);
+    transcript.start = Math.min(anchor, Math.max(transcript.start, transcript.end - getTranscriptWindowSize()));
+    renderTranscript({ keepPosition: true });
+  }
+  
+  // At the very end, the last message counts as read even if it starts further down
+  const atEnd = transcript.end === count && box.childBase + visible >= box.getScrollHeight();
+  const index = atEnd ? count - 1 : getTranscriptMessageAt(box.childBase);
+  if (index !== state.currentMessageIndex) {
+    state.currentMessageIndex = index;
+    ui.messageList.select(index);
+    ui.updateHeader(state.conversation);
+    ui.updateStatus(`Message ${index + 1} of ${count}`);
+  }
+}
+
+// Expand or collapse the tool results of every message
+function toggleToolResults() {
+  state.expandToolResults = !state.expandToolResults;
+  if (state.transcript) {
+    state.transcript.cache = {};
+  }
+  refreshMessageContent();
+  ui.updateStatus(`Tool results ${state.expandToolResults ? 'expanded' : 'collapsed'}`);
+  ui.render();
+}
+
+// Toggle view mode (cycles through normal, raw, metadata, transcript)
 function toggleViewMode() {
-  const modes = ['normal', 'raw', 'metadata'];
+  const modes = ['normal', 'raw', 'metadata', 'transcript'];
   const currentIndex = modes.indexOf(state.viewMode);
   state.viewMode = modes[(currentIndex + 1) % modes.length];
   
@@ -797,50 +1883,82 @@ function toggleViewMode() {
   ui.updateStatus(`View mode: ${state.viewMode}`);
 }
 
-// Export conversation to markdown
-function exportConversation(outputPath) {
+// Split :export / :export-all arguments into the target path and the
+// --format, --template and --redact options. A template runs up to the next
+// option, the path is everything else.
+function parseExportArgs(args) {
+  const options = { target: '', format: null, template: null, redact: false };
+  const target = [];
+  
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--redact') {
+      options.redact = true;
+    } else if (args[i] === '--format') {
+      options.format = args[++i] ? args[i].toLowerCase() : '';
+      if (!options.format) return { error: `Missing format after --format (formats: ${describeExportFormats()})` };
+    } else if (args[i] === '--template') {
+      const words = [];
+      while (i + 1 < args.length && !args[i + 1].startsWith('--')) words.push(args[++i]);
+      options.template = words.join(' ');
+      if (!options.template) return { error: 'Missing template after --template (placeholders: {date}, {slug}, {uuid}, {index})' };
+    } else if (args[i] !== '') {
+      target.push(args[i]);
+    }
+  }
+  
+  options.target = target.join(' ');
+  return options;
+}
+
+// Names of the export formats, for messages
+function describeExportFormats() {
+  return listExporters().map(exporter => exporter.name).join(', ');
+}
+
+// Redactor for an export with the configured rules; null (with the error
+// in the status bar) when the configuration is invalid
+function createExportRedactor() {
+  try {
+    return createRedactor(config.export.redaction);
+  } catch (err) {
+    ui.updateStatus(`Redaction settings: ${err.message}`);
+    return null;
+  }
+}
+
+// Export conversation to a file; the format is the one given, else the one
+// of the file extension, else the configured default
+function exportConversation(outputPath, { format = null, redact = false } = {}) {
   try {
     if (!state.conversation || state.messages.length === 0) {
       ui.updateStatus('No conversation to export');
       return false;
     }
     
-    let output = '';
-    
-    // Add conversation metadata
-    const title = state.conversation.name || `Conversation ${state.conversation.uuid}`;
-    const date = formatDate(state.conversation.created_at);
-    
-    output += `# ${title}\n`;
-    output += `Date: ${date}\n`;
-    output += `UUID: ${state.conversation.uuid}\n\n`;
-    
-    // Add messages
-    state.messages.forEach((msg, index) => {
-      const role = msg.sender || 'unknown';
-      const date = formatDate(msg.created_at);
-      
-      output += `## Message ${index + 1} (${role}) - ${date}\n\n`;
-      
-      // Get message text
-      const text = getMessageText(msg);
-      output += `${text || '(empty message)'}\n\n`;
-      
-      // Add attachments if any
-      if (Array.isArray(msg.attachments) && msg.attachments.length > 0) {
-        output += `### Attachments\n`;
-        msg.attachments.forEach((attach, i) => {
-          output += `- ${attach.file_name || 'Unnamed'} (${attach.file_type || 'unknown'})\n`;
-        });
-        output += '\n';
+    let exporter = format ? getExporter(format) : null;
+    if (format && !exporter) {
+      ui.updateStatus(`Unknown format "${format}" (formats: ${describeExportFormats()})`);
+      return false;
+    }
+    if (!exporter && outputPath && path.extname(outputPath)) {
+      exporter = getExporterForFile(outputPath);
+      if (!exporter) {
+        ui.updateStatus(`No format for "${path.extname(outputPath)}"; add --format (${describeExportFormats()})`);
+        return false;
       }
-    });
+    }
+    exporter = exporter || getExporter(config.export.format);
+    
+    const redactor = redact ? createExportRedactor() : null;
+    if (redact && !redactor) return false;
     
     // Write to file
-    const finalPath = outputPath || `conversation_export_${state.conversation.uuid.substring(0, 8)}.md`;
-    fs.writeFileSync(finalPath, output);
+    const finalPath = outputPath ||
+      `conversation_export_${(state.conversation.uuid || 'no-uuid').substring(0, 8)}${exporter.extensions[0] || ''}`;
+    writeConversation(state.conversation, finalPath, exporter.name, { redactor });
     
-    ui.updateStatus(`Exported ${state.messages.length} messages to ${finalPath}`);
+    ui.updateStatus(`Exported ${state.messages.length} messages to ${finalPath} (${exporter.name})` +
+      (redactor ? `, redacted: ${formatStats(redactor.getStats())}` : ''));
     return true;
     
   } catch (err) {
@@ -850,6 +1968,156 @@ function exportConversation(outputPath) {
   }
 }
 
+// Export every conversation of the filtered list into a folder, one file
+// each plus an index, with progress in the loading box
+async function exportAllConversations(dir, {
+  template = config.export.filenameTemplate,
+  format = config.export.format,
+  redact = false
+} = {}) {
+  const conversations = state.filteredConversations.slice();
+  
+  if (conversations.length === 0) {
+    ui.updateStatus('No conversations to export');
+    return;
+  }
+  if (state.isLoading) {
+    ui.updateStatus('Wait for the conversation file to finish loading before exporting');
+    return;
+  }
+  
+  const redactor = redact ? createExportRedactor() : null;
+  if (redact && !redactor) return;
+  
+  try {
+    ui.showLoading(`Exporting ${conversations.length} conversations...`);
+    
+    const result = await exportAll(conversations, dir, {
+      format,
+      template,
+      redactor,
+      onProgress: ({ done, total }) => {
+        ui.updateLoading(`Exporting conversations... ${Math.floor(done / total * 100)}%\n${done} of ${total} written to ${dir}`);
+      }
+    });
+    
+    ui.hideLoading();
+    ui.updateStatus(`Exported ${result.files.length} conversations to ${dir} (index: ${result.indexPath})` +
+      (redactor ? `, redacted: ${formatStats(redactor.getStats())}` : ''));
+  } catch (err) {
+    ui.hideLoading();
+    ui.updateStatus(`Error exporting conversations: ${err.message}`);
+  }
+  ui.render();
+}
+
+function describeLines(code) {
+  const count = code.split('\n').length;
+  return `${count} ${count === 1 ? 'line' : 'lines'}`;
+}
+
+// Code blocks of the current message, numbered like their labels
+function getCurrentCodeBlocks() {
+  const message = state.messages[state.currentMessageIndex];
+  return message ? findCodeBlocks(getMessageText(message)) : [];
+}
+
+// Copy text with the platform's clipboard tool, or else with the OSC 52
+// sequence most terminals understand. Returns what copied it.
+function copyToClipboard(text) {
+  const tools = process.platform === 'darwin' ? [['pbcopy', []]] :
+    process.platform === 'win32' ? [['clip', []]] :
+      [['wl-copy', []], ['xclip', ['-selection', 'clipboard']], ['xsel', ['--clipboard', '--input']]];
+  
+  for (const [command, args] of tools) {
+    const result = spawnSync(command, args, { input: text, stdio: ['pipe', 'ignore', 'ignore'], timeout: 2000 });
+    if (!result.error && result.status === 0) return command;
+  }
+  
+  screen.program.write(`\x1b]52;c;${Buffer.from(text).toString('base64')}\x07`);
+  return 'the terminal';
+}
+
+// A default file name that no existing file has: name-2.ext, name-3.ext, ...
+function getUnusedFileName(file) {
+  const extension = path.extname(file);
+  const base = file.substring(0, file.length - extension.length);
+  let candidate = file;
+  for (let n = 2; fs.existsSync(candidate); n++) {
+    candidate = `${base}-${n}${extension}`;
+  }
+  return candidate;
+}
+
+/**
+ * :code - list the code blocks of the current message
+ * :code copy [n] - copy block n (default 1) to the clipboard
+ * :code save [n] [file] - save block n to a file, named after the
+ *   conversation and block by default (without replacing an existing
+ *   file; a file given explicitly is overwritten)
+ */
+function runCodeCommand(args) {
+  const blocks = getCurrentCodeBlocks();
+  if (blocks.length === 0) {
+    ui.updateStatus('No code blocks in this message');
+    return;
+  }
+  
+  const action = (args[0] || 'list').toLowerCase();
+  if (action === 'list') {
+    const list = blocks.map((block, i) =>
+      `[${i + 1}] ${block.language || 'code'}, ${describeLines(block.code)}`).join('; ');
+    ui.updateStatus(`${list} | :code copy N or :code save N file`);
+    return;
+  }
+  
+  if (action !== 'copy' && action !== 'save') {
+    ui.updateStatus('Usage: code [list] | code copy [n] | code save [n] [file]');
+    return;
+  }
+  
+  const rest = args.slice(1);
+  const number = /^\d+$/.test(rest[0] || '') ? Number(rest.shift()) : 1;
+  const block = blocks[number - 1];
+  if (!block) {
+    ui.updateStatus(`No code block ${number}; this message has ${blocks.length}`);
+    return;
+  }
+  
+  if (action === 'copy') {
+    const via = copyToClipboard(block.code);
+    ui.updateStatus(`Copied code block ${number} (${describeLines(block.code)}) with ${via}`);
+    return;
+  }
+  
+  const file = rest.join(' ') ||
+    getUnusedFileName(`code_${(state.conversation.uuid || 'no-uuid').substring(0, 8)}_${state.currentMessageIndex + 1}_${number}${getFileExtension(block.language)}`);
+  try {
+    fs.writeFileSync(file, block.code.endsWith('\n') ? block.code : block.code + '\n');
+    ui.updateStatus(`Saved code block ${number} to ${file}`);
+  } catch (err) {
+    ui.updateStatus(`Error saving code block: ${err.message}`);
+  }
+}
+
+// Matcher for a search term with the current search modes; null (with the
+// error in the status bar) for an invalid regular expression
+function createMatcherForSearch(term) {
+  try {
+    return createSearchMatcher(term, state.searchOptions);
+  } catch (err) {
+    state.searchMode = false;
+    ui.updateStatus(err.message);
+    return null;
+  }
+}
+
+// First match of a matcher in a message, as a search result
+function findSearchResult(matcher, conversation, msg, idx) {
+  const [match] = matcher.findAll(getMessageText(msg), 1);
+  return match ? { conversation, messageIndex: idx, position: match.index, length: match.length } : null;
+}
+
 // Search in conversation
 function searchInConversation(term) {
   if (!term || term.length === 0) {
@@ -859,46 +2127,209 @@ function searchInConversation(term) {
     return;
   }
   
+  const matcher = createMatcherForSearch(term);
+  if (!matcher) return;
+  
   state.searchTerm = term;
+  state.searchScope = 'conversation';
+  state.searchMatcher = matcher;
   state.searchResults = [];
   state.searchIndex = 0;
   
   // Search in all messages
   state.messages.forEach((msg, idx) => {
-    const text = getMessageText(msg).toLowerCase();
-    if (text.includes(term.toLowerCase())) {
-      state.searchResults.push(idx);
-    }
+    const result = findSearchResult(matcher, state.conversation, msg, idx);
+    if (result) state.searchResults.push(result);
   });
   
+  const modes = describeSearchOptions(state.searchOptions);
+  
   if (state.searchResults.length > 0) {
     state.searchMode = true;
-    ui.updateStatus(`Found ${state.searchResults.length} results for "${term}"`);
     
     // Jump to first result
-    showMessage(state.searchResults[0]);
+    showMessage(state.searchResults[0].messageIndex);
+    ui.updateStatus(`Found ${state.searchResults.length} results for "${blessed.escape(term)}" (${modes}) - n/N move between matches`);
+  } else {
+    state.searchMode = false;
+    ui.updateStatus(`No results found for "${blessed.escape(term)}" (${modes})`);
+  }
+}
+
+// Search the messages of every loaded conversation
+function searchAllConversations(term) {
+  if (!term || term.length === 0) {
+    state.searchResults = [];
+    state.searchMode = false;
+    ui.updateStatus('Search canceled');
+    return;
+  }
+  
+  const matcher = createMatcherForSearch(term);
+  if (!matcher) return;
+  
+  state.searchTerm = term;
+  state.searchScope = 'all';
+  state.searchMatcher = matcher;
+  state.searchResults = [];
+  state.searchIndex = 0;
+  
+  // Ranked results from the index once it is ready (terms without any
+  // words, such as punctuation, and the regex, whole-word and
+  // case-sensitive modes still need the scan)
+  const options = state.searchOptions;
+  const terms = tokenize(term);
+  const useIndex = state.fullTextIndex && terms.length > 0 &&
+    !options.regex && !options.wholeWord && !options.caseSensitive;
+  
+  if (useIndex) {
+    // Highlight every word of the query, as the index matched them
+    state.searchMatcher = createSearchMatcher(terms.map(escapeRegExp).join('|'), { regex: true, wholeWord: true });
+    
+    const { index, conversationsByKey } = state.fullTextIndex;
+    index.search(term, { limit: Infinity }).forEach(hit => {
+      const conv = conversationsByKey.get(hit.key);
+      const msg = conv && getMessages(conv)[hit.message];
+      if (!msg) return;
+      
+      const match = findTokenOffset(getMessageText(msg), hit.position) || { offset: 0, length: 0 };
+      state.searchResults.push({ conversation: conv, messageIndex: hit.message, position: match.offset, length: match.length });
+    });
   } else {
+    state.allConversations.forEach(conv => {
+      getMessages(conv).forEach((msg, idx) => {
+        const result = findSearchResult(matcher, conv, msg, idx);
+        if (result) state.searchResults.push(result);
+      });
+    });
+  }
+  
+  const stillLoading = state.isLoading ? ' (file still loading)' : '';
+  const ranked = useIndex ? ', ranked by relevance' : ` (${describeSearchOptions(options)})`;
+  
+  if (state.searchResults.length === 0) {
     state.searchMode = false;
-    ui.updateStatus(`No results found for "${term}"`);
+    ui.updateStatus(`No results found for "${blessed.escape(term)}" in ${state.allConversations.length} conversations${stillLoading}`);
+    return;
   }
+  
+  state.searchMode = true;
+  showSearchResults();
+  ui.updateStatus(`Found ${state.searchResults.length} results for "${blessed.escape(term)}" in ${state.allConversations.length} conversations${ranked}${stillLoading}`);
+}
+
+// Text around a search match, with the match highlighted
+function formatSearchSnippet(text, position, length) {
+  const start = Math.max(0, position - config.search.snippetBefore);
+  const end = Math.min(text.length, position + length + config.search.snippetAfter);
+  const clean = (part) => blessed.escape(part.replace(/\s+/g, ' '));
+  
+  return (start > 0 ? '...' : '') +
+    clean(text.substring(start, position)) +
+    `{yellow-bg}{black-fg}${clean(text.substring(position, position + length))}{/black-fg}{/yellow-bg}` +
+    clean(text.substring(position + length, end)) +
+    (end < text.length ? '...' : '');
+}
+
+// Format a search result as a line in the results list
+function formatSearchResult(result) {
+  const msg = getMessages(result.conversation)[result.messageIndex];
+  const title = blessed.escape(getConversationTitle(result.conversation));
+  const date = formatDate(result.conversation.created_at);
+  const snippet = formatSearchSnippet(getMessageText(msg), result.position, result.length);
+  
+  return `${title} | ${date} | #${result.messageIndex + 1} | ${snippet}`;
+}
+
+// Show the list of search results across conversations
+function showSearchResults() {
+  if (state.searchScope !== 'all' || state.searchResults.length === 0) {
+    ui.updateStatus('No search results. Usage: search keyword');
+    ui.render();
+    return;
+  }
+  
+  const listed = state.searchResults.slice(0, config.search.maxListedResults);
+  const more = state.searchResults.length > listed.length ? `, first ${listed.length} listed` : '';
+  
+  ui.searchResultsList.setLabel(` Search Results for "${blessed.escape(state.searchTerm)}" (${state.searchResults.length}${more}) `);
+  ui.searchResultsList.setItems(listed.map(formatSearchResult));
+  ui.searchResultsList.select(Math.min(state.searchIndex, listed.length - 1));
+  ui.searchResultsList.show();
+  ui.searchResultsList.focus();
+  ui.render();
+}
+
+// Hide the search results list
+function hideSearchResults() {
+  ui.searchResultsList.hide();
+  ui.messageContent.focus();
+  ui.render();
+}
+
+// Show a search result, switching conversations when needed
+function goToSearchResult(index, { lastMatch = false } = {}) {
+  const result = state.searchResults[index];
+  if (!result) return;
+  
+  state.searchIndex = index;
+  
+  if (result.conversation !== state.conversation) {
+    const conversationIndex = state.filteredConversations.indexOf(result.conversation);
+    if (conversationIndex === -1) {
+      ui.updateStatus(`Result ${index + 1} of ${state.searchResults.length} is in a conversation hidden by the current filters`);
+      ui.render();
+      return;
+    }
+    loadConversation(conversationIndex);
+  }
+  
+  showMessage(result.messageIndex, { lastMatch });
+  updateSearchMatchStatus();
+  ui.render();
+}
+
+function updateSearchMatchStatus() {
+  const result = state.searchResults[state.searchIndex];
+  const where = state.searchScope === 'all' ? ` in "${blessed.escape(getConversationTitle(result.conversation))}"` : '';
+  const match = state.searchMatches.length > 1 ?
+    ` - match ${state.searchMatchIndex + 1} of ${state.searchMatches.length} in this message` : '';
+  ui.updateStatus(`Result ${state.searchIndex + 1} of ${state.searchResults.length} for "${blessed.escape(state.searchTerm)}"${where}${match}`);
+}
+
+// Status bar while the search prompt is open
+function updateSearchPromptStatus() {
+  const modes = describeSearchOptions(state.searchOptions);
+  ui.updateStatus(`Search (${modes}): type and press Enter | Ctrl-R regex, Ctrl-W whole word, Ctrl-E case`);
 }
 
-// Go to next/previous search result
+// Go to the next/previous match: first within the message showing the
+// current result, then on to the next/previous result
 function navigateSearchResults(forward = true) {
   if (!state.searchMode || state.searchResults.length === 0) {
     return;
   }
   
-  if (forward) {
-    state.searchIndex = (state.searchIndex + 1) % state.searchResults.length;
-  } else {
-    state.searchIndex = (state.searchIndex - 1 + state.searchResults.length) % state.searchResults.length;
+  const current = state.searchResults[state.searchIndex];
+  const onResult = current && current.conversation === state.conversation &&
+    current.messageIndex === state.currentMessageIndex;
+  const nextMatch = state.searchMatchIndex + (forward ? 1 : -1);
+  
+  if (onResult && nextMatch >= 0 && nextMatch < state.searchMatches.length) {
+    state.searchMatchIndex = nextMatch;
+    refreshMessageContent();
+    scrollToCurrentMatch();
+    updateSearchMatchStatus();
+    ui.render();
+    return;
   }
   
-  const messageIndex = state.searchResults[state.searchIndex];
-  showMessage(messageIndex);
+  const count = state.searchResults.length;
+  const index = forward ?
+    (state.searchIndex + 1) % count :
+    (state.searchIndex - 1 + count) % count;
   
-  ui.updateStatus(`Result ${state.searchIndex + 1} of ${state.searchResults.length} for "${state.searchTerm}"`);
+  goToSearchResult(index, { lastMatch: !forward });
 }
 
 // Show conversation switcher
@@ -912,26 +2343,36 @@ function showConversationSwitcher() {
   ui.render();
 }
 
+// Format a conversation as a line in the switcher
+function formatSwitcherItem(conv, idx) {
+  const title = getConversationTitle(conv);
+  const date = formatDate(state.sortKey === 'updated' ? conv.updated_at : conv.created_at);
+  const msgCount = getMessages(conv).length;
+  const hasContent = hasNonEmptyMessages(conv) ? '' : ' (empty)';
+  const characters = state.sortKey === 'characters' ? ` | ${getCharacterCount(conv)} characters` : '';
+  
+  return `${idx + 1}. ${title} | ${date} | ${msgCount} messages${characters}${hasContent}`;
+}
+
 // Update the conversation switcher list
 function updateConversationSwitcher() {
   // Update conversation list
   ui.conversationSwitcher.clearItems();
   
   // Add filter indicator to title if needed
-  const filterInfo = state.hideEmptyConversations ? 
+  let filterInfo = state.hideEmptyConversations ? 
     ' (Filtered - Showing Non-Empty Only)' : '';
+  if (state.filterQuery) {
+    filterInfo = ` (Query: ${blessed.escape(state.filterQuery.text)})`;
+  } else if (state.dateFilter) {
+    filterInfo = ` (${describeDateFilter()})`;
+  }
+  const sortInfo = state.sortKey || state.sortReversed ? ` - ${describeSort()}` : '';
   
-  ui.conversationSwitcher.setLabel(` Select Conversation${filterInfo} `);
+  ui.conversationSwitcher.setLabel(` Select Conversation${filterInfo}${sortInfo} `);
   
   state.filteredConversations.forEach((conv, idx) => {
-    const title = conv.name || `Conversation ${conv.uuid.substring(0, 8)}`;
-    const date = formatDate(conv.created_at);
-    const msgCount = Array.isArray(conv.chat_messages) ? conv.chat_messages.length : 0;
-    const hasContent = hasNonEmptyMessages(conv) ? '' : ' (empty)';
-    
-    ui.conversationSwitcher.addItem(
-      `${idx + 1}. ${title} | ${date} | ${msgCount} messages${hasContent}`
-    );
+    ui.conversationSwitcher.addItem(formatSwitcherItem(conv, idx));
   });
   
   // Select current conversation
@@ -986,6 +2427,414 @@ function toggleEmptyConversationsFilter() {
   screen.render();
 }
 
+// Changes of a conversation since the previous export, or null when it is unchanged
+function getConversationChanges(conversation) {
+  if (!state.diff || !conversation) return null;
+  return state.diff.conversations.get(conversation.uuid) || null;
+}
+
+// 'new', 'edited' or null for a message, when comparing with a previous export
+function getMessageDiffStatus(conversation, message, index) {
+  const changes = getConversationChanges(conversation);
+  if (!changes) return null;
+  if (changes.added) return 'new';
+  
+  // Messages are matched like in the diff: by uuid, or by position without one
+  const key = message && message.uuid ? message.uuid : `#${index}`;
+  return changes.messages.get(key) || null;
+}
+
+// Compare the loaded conversations with a previous export of the same account
+async function compareWithPreviousExport(previousPath) {
+  if (state.isLoading) {
+    ui.updateStatus('Wait for the conversation file to finish loading before comparing');
+    return;
+  }
+  
+  if (state.allConversations.length === 0) {
+    ui.updateStatus('Load a conversation file before comparing');
+    return;
+  }
+  
+  try {
+    ui.showLoading('Reading previous export...');
+    
+    const previous = await readConversationSummaries(previousPath, {
+      onProgress: ({ bytesRead, totalBytes, count }) => {
+        const percent = totalBytes > 0 ? Math.min(100, Math.floor(bytesRead / totalBytes * 100)) : 0;
+        ui.updateLoading(`Reading previous export... ${percent}%\n${count} conversations parsed`);
+      }
+    });
+    const current = summarizeConversations(state.allConversations);
+    const result = diffSummaries(previous.summaries, current.summaries);
+    
+    // Index the changes by conversation and message for the views
+    const conversations = new Map();
+    const items = [];
+    
+    result.added.forEach(conv => {
+      conversations.set(conv.uuid, { added: true, newCount: conv.messageCount, editedCount: 0, messages: new Map(), firstChangedIndex: 0 });
+      items.push({ uuid: conv.uuid, label: `+ ${conv.title} | ${formatDate(conv.createdAt)} | new conversation, ${conv.messageCount} messages` });
+    });
+    
+    result.changed.forEach(change => {
+      const messages = new Map();
+      change.addedMessages.forEach(msg => messages.set(msg.uuid || `#${msg.index}`, 'new'));
+      change.editedMessages.forEach(msg => messages.set(msg.uuid || `#${msg.index}`, 'edited'));
+      
+      const changedIndexes = change.addedMessages.concat(change.editedMessages).map(msg => msg.index);
+      conversations.set(change.uuid, {
+        added: false,
+        newCount: change.addedMessages.length,
+        editedCount: change.editedMessages.length,
+        messages,
+        firstChangedIndex: changedIndexes.length > 0 ? Math.min(...changedIndexes) : 0
+      });
+      
+      const renamed = change.renamedFrom ? ` (renamed from "${change.renamedFrom}")` : '';
+      items.push({
+        uuid: change.uuid,
+        label: `* ${change.title} | +${change.addedMessages.length} new, ~${change.editedMessages.length} edited, ` +
+          `-${change.deletedMessages.length} deleted${renamed}`
+      });
+    });
+    
+    result.deleted.forEach(conv => {
+      items.push({ uuid: conv.uuid, deleted: true, label: `- ${conv.title} | deleted, had ${conv.messageCount} messages` });
+    });
+    
+    state.diff = { previousPath, result, conversations, items };
+    ui.hideLoading();
+    
+    // Refresh the markers of the conversation being read
+    if (state.conversation) {
+      updateMessageList();
+      showMessage(state.currentMessageIndex);
+    }
+    
+    const { summary } = result;
+    showDiffList();
+    ui.updateStatus(
+      `Since ${previousPath}: ${summary.added} added, ${summary.changed} changed, ${summary.deleted} deleted conversations, ` +
+      `${summary.addedMessages} new messages`
+    );
+    ui.render();
+    
+  } catch (err) {
+    ui.hideLoading();
+    ui.updateStatus(`Error comparing with ${previousPath}: ${err.message}`);
+    ui.render();
+  }
+}
+
+// Show the conversations that changed since the previous export
+function showDiffList() {
+  if (!state.diff) {
+    ui.updateStatus('No comparison. Usage: diff path/to/previous-export');
+    ui.render();
+    return;
+  }
+  
+  if (state.diff.items.length === 0) {
+    ui.updateStatus(`No differences since ${state.diff.previousPath}`);
+    ui.render();
+    return;
+  }
+  
+  ui.diffList.setLabel(` Changes Since ${state.diff.previousPath} `);
+  ui.diffList.setItems(state.diff.items.map(item => item.label));
+  ui.diffList.show();
+  ui.diffList.focus();
+  ui.render();
+}
+
+// Hide the list of changed conversations
+function hideDiffList() {
+  ui.diffList.hide();
+  ui.messageContent.focus();
+  ui.render();
+}
+
+// Open a changed conversation at its first new or edited message
+function openDiffItem(index) {
+  const item = state.diff && state.diff.items[index];
+  hideDiffList();
+  if (!item) return;
+  
+  if (item.deleted) {
+    ui.updateStatus('This conversation was deleted since the previous export');
+    return;
+  }
+  
+  const conversationIndex = state.filteredConversations.findIndex(conv => conv.uuid === item.uuid);
+  if (conversationIndex === -1) {
+    ui.updateStatus('This conversation is hidden by the current filters');
+    return;
+  }
+  
+  loadConversation(conversationIndex);
+  
+  const changes = state.diff.conversations.get(item.uuid);
+  if (changes && changes.firstChangedIndex < state.messages.length) {
+    showMessage(changes.firstChangedIndex);
+  }
+}
+
+// Stop highlighting changes since a previous export
+function clearDiff() {
+  state.diff = null;
+  if (state.conversation) {
+    updateMessageList();
+    showMessage(state.currentMessageIndex);
+  }
+  ui.updateStatus('Comparison cleared');
+}
+
+// Open the attachment browser on a listing: the current conversation's
+// attachments and files, every one in the export ('all'), or those whose
+// content matches a search ('find')
+function showAttachmentBrowser(scope, { sort = null, term = null } = {}) {
+  const conversations = scope === 'conversation' ? (state.conversation ? [state.conversation] : []) : state.allConversations;
+  let entries = collectAttachments(conversations);
+  let matcher = null;
+  
+  if (scope === 'find') {
+    try {
+      matcher = createSearchMatcher(term, state.searchOptions);
+    } catch (err) {
+      ui.updateStatus(err.message);
+      ui.render();
+      return;
+    }
+    entries = entries.filter(entry => matcher.test(entry.content));
+  }
+  
+  if (entries.length === 0) {
+    ui.updateStatus(scope === 'find' ? `No attachment contains "${blessed.escape(term)}"` :
+      scope === 'all' ? 'No attachments or files in this export' : 'No attachments or files in this conversation');
+    ui.render();
+    return;
+  }
+  
+  state.attachments = { scope, entries, sort: sort || (scope === 'all' ? 'size' : 'message'), matcher, term };
+  updateAttachmentList();
+  
+  // In a conversation, start at the current message
+  if (scope === 'conversation') {
+    const index = state.attachments.entries.findIndex(entry => entry.messageIndex >= state.currentMessageIndex);
+    ui.attachmentList.select(Math.max(0, index));
+  }
+  showAttachmentPreview();
+  
+  ui.attachmentBrowser.show();
+  ui.attachmentList.focus();
+  ui.updateStatus('Enter: go to message | Tab: scroll the preview | o: order | :attachments save [file] | Esc: close');
+  ui.render();
+}
+
+// Fill the list with the current listing in its order
+function updateAttachmentList() {
+  const listing = state.attachments;
+  listing.entries = sortAttachments(listing.entries, listing.sort);
+  
+  const titles = {
+    conversation: `Attachments in "${getConversationTitle(state.conversation)}"`,
+    all: 'All attachments',
+    find: `Attachments containing "${listing.term}"`
+  };
+  ui.attachmentBrowser.setLabel(` ${blessed.escape(titles[listing.scope])} (${listing.entries.length}, by ${listing.sort}) `);
+  
+  ui.attachmentList.setItems(listing.entries.map((entry, i) => {
+    const count = listing.matcher ? listing.matcher.findAll(entry.content).length : 0;
+    const details = `${describeType(entry)}, ${formatSize(entry.size)}` +
+      (listing.matcher ? `, ${count} ${count === 1 ? 'match' : 'matches'}` : '');
+    return `${i + 1}. ${blessed.escape(entry.fileName)} {${config.theme.timestampColor}-fg}${blessed.escape(details)}{/${config.theme.timestampColor}-fg}`;
+  }));
+}
+
+// Cycle the order of the listing through ATTACHMENT_SORTS
+function cycleAttachmentSort() {
+  const listing = state.attachments;
+  const selected = listing.entries[ui.attachmentList.selected];
+  const sorts = Object.keys(ATTACHMENT_SORTS);
+  listing.sort = sorts[(sorts.indexOf(listing.sort) + 1) % sorts.length];
+  
+  updateAttachmentList();
+  ui.attachmentList.select(Math.max(0, listing.entries.indexOf(selected)));
+  showAttachmentPreview();
+  ui.render();
+}
+
+// Header and content of the selected entry in the preview. Code, JSON and
+// CSV are highlighted and Markdown rendered; while searching, matches are
+// highlighted instead and the preview starts at the first one.
+function showAttachmentPreview() {
+  const box = ui.attachmentPreview;
+  const entry = state.attachments && state.attachments.entries[ui.attachmentList.selected];
+  if (!entry) {
+    box.setContent('');
+    return;
+  }
+  
+  const gray = text => `{${config.theme.timestampColor}-fg}${text}{/${config.theme.timestampColor}-fg}`;
+  const message = `message ${entry.messageIndex + 1}, ${entry.sender}, ${formatDate(entry.message.created_at)}`;
+  const header = [
+    `{bold}${blessed.escape(entry.fileName)}{/bold}`,
+    gray(blessed.escape(`${entry.kind}, ${describeType(entry)}, ${formatSize(entry.size)}`)),
+    gray(blessed.escape(`${getConversationTitle(entry.conversation)}, ${message}`)),
+    ''
+  ];
+  box.setLabel(` ${blessed.escape(entry.fileName)} `);
+  
+  if (!entry.content) {
+    const reference = entry.fileUuid ? ` (file ${blessed.escape(entry.fileUuid)})` : '';
+    box.setContent(header.concat(gray(`The export has no extracted content for this ${entry.kind}${reference}`)).join('\n'));
+    box.scrollTo(0);
+    return;
+  }
+  
+  const sourceLines = entry.content.split('\n');
+  const matches = state.attachments.matcher ? state.attachments.matcher.findAll(entry.content) : [];
+  const matchLine = matches.length > 0 ? entry.content.substring(0, matches[0].index).split('\n').length - 1 : 0;
+  const start = Math.max(0, Math.min(matchLine - 5, sourceLines.length - config.attachments.maxPreviewLines));
+  const end = Math.min(sourceLines.length, start + config.attachments.maxPreviewLines);
+  const shown = sourceLines.slice(start, end).join('\n');
+  
+  let lines;
+  if (matches.length > 0) {
+    const offset = sourceLines.slice(0, start).join('\n').length + (start > 0 ? 1 : 0);
+    const tags = getMatchTags(false);
+    let marked = '';
+    let last = 0;
+    matches.forEach(match => {
+      const index = match.index - offset;
+      if (index < last || index + match.length > shown.length) return;
+      marked += blessed.escape(shown.substring(last, index)) + tags.open + blessed.escape(shown.substr(index, match.length)) + tags.close;
+      last = index + match.length;
+    });
+    lines = (marked + blessed.escape(shown.substring(last))).split('\n');
+  } else {
+    const language = getAttachmentLanguage(entry);
+    const width = Math.max(20, box.width - box.iwidth);
+    lines = language === 'markdown' ?
+      renderMarkdown(shown, { width, theme: config.theme.markdown, highlightCode: (code, lang) => highlight(code, lang, { colors: config.theme.syntax }) }) :
+      (language && highlight(shown, language, { colors: config.theme.syntax })) || shown.split('\n').map(line => blessed.escape(line));
+  }
+  
+  if (start > 0) lines.unshift(gray(`… ${start} earlier lines`));
+  if (end < sourceLines.length) lines.push(gray(`… ${sourceLines.length - end} more lines (:attachments save writes them all)`));
+  
+  box.setContent(header.concat(lines).join('\n'));
+  box.scrollTo(0);
+  
+  // Keep a few lines above the first match
+  if (matches.length > 0 && box._clines && box._clines.ftor) {
+    const line = header.length + (start > 0 ? 1 : 0) + matchLine - start;
+    const wrapped = box._clines.ftor[line] || [line];
+    box.scrollTo(Math.max(0, wrapped[0] - 2));
+  }
+}
+
+// Close the attachment browser
+function hideAttachmentBrowser() {
+  ui.attachmentBrowser.hide();
+  ui.messageContent.focus();
+  ui.render();
+}
+
+// Go to the message an entry of the listing was sent in
+function openAttachmentEntry(index) {
+  const entry = state.attachments && state.attachments.entries[index];
+  if (!entry) return;
+  
+  if (entry.conversation !== state.conversation) {
+    const conversationIndex = state.filteredConversations.indexOf(entry.conversation);
+    if (conversationIndex === -1) {
+      ui.updateStatus(`${blessed.escape(entry.fileName)} is in a conversation hidden by the current filters`);
+      ui.render();
+      return;
+    }
+    loadConversation(conversationIndex);
+  }
+  
+  hideAttachmentBrowser();
+  showMessage(entry.messageIndex);
+}
+
+/**
+ * :attachments - browse the attachments and files of the conversation
+ * :attachments all [size|type|name|message] - every one in the export, largest first by default
+ * :attachments find text - those whose content matches, with the search modes
+ * :attachments save [n] [file] - save the content of entry n of the listing
+ *   (by default the selected one) to a file, by default under its own name
+ *   (suffixed -2, -3, ... rather than replacing an existing file)
+ */
+function runAttachmentsCommand(args) {
+  const action = (args[0] || '').toLowerCase();
+  
+  if (action === '') {
+    if (!state.conversation) {
+      ui.updateStatus('No conversation loaded');
+      return;
+    }
+    showAttachmentBrowser('conversation');
+  } else if (action === 'all') {
+    const sort = (args[1] || 'size').toLowerCase();
+    if (!(sort in ATTACHMENT_SORTS)) {
+      ui.updateStatus(`Unknown order: ${sort}. Use ${Object.keys(ATTACHMENT_SORTS).join(', ')}`);
+      return;
+    }
+    showAttachmentBrowser('all', { sort });
+  } else if (action === 'find') {
+    const term = args.slice(1).join(' ');
+    if (!term) {
+      ui.updateStatus('Usage: attachments find text');
+      return;
+    }
+    showAttachmentBrowser('find', { term });
+  } else if (action === 'save') {
+    saveAttachment(args.slice(1));
+  } else {
+    ui.updateStatus('Usage: attachments [all [size|type|name|message] | find text | save [n] [file]]');
+  }
+}
+
+function saveAttachment(args) {
+  const rest = args.slice();
+  let entry;
+  if (/^\d+$/.test(rest[0] || '')) {
+    const number = Number(rest.shift());
+    const entries = state.attachments ? state.attachments.entries : collectAttachments(state.conversation ? [state.conversation] : []);
+    entry = entries[number - 1];
+    if (!entry) {
+      ui.updateStatus(`No attachment ${number}; the listing has ${entries.length}`);
+      return;
+    }
+  } else if (state.attachments && ui.attachmentBrowser.visible) {
+    entry = state.attachments.entries[ui.attachmentList.selected];
+  } else {
+    entry = collectAttachments(state.conversation ? [state.conversation] : [])
+      .find(candidate => candidate.messageIndex === state.currentMessageIndex && candidate.content);
+  }
+  
+  if (!entry) {
+    ui.updateStatus('No attachment to save; open :attachments and select one');
+    return;
+  }
+  if (!entry.content) {
+    ui.updateStatus(`${blessed.escape(entry.fileName)} has no extracted content in the export`);
+    return;
+  }
+  
+  const file = rest.join(' ') || getUnusedFileName(getSaveFileName(entry));
+  try {
+    fs.writeFileSync(file, entry.content);
+    ui.updateStatus(`Saved ${blessed.escape(entry.fileName)} (${formatSize(Buffer.byteLength(entry.content))}) to ${file}`);
+  } catch (err) {
+    ui.updateStatus(`Error saving attachment: ${err.message}`);
+  }
+}
+
 // Process command input
 function handleCommand(cmd) {
   cmd = cmd.trim();
@@ -1006,8 +2855,34 @@ function handleCommand(cmd) {
     loadConversationFile(args[0]);
     
   } else if (command === 'export') {
-    const outputPath = args.length >= 1 ? args[0] : null;
-    exportConversation(outputPath);
+    // export [--format html] [--redact] [path]
+    const options = parseExportArgs(args);
+    if (options.error) {
+      ui.updateStatus(options.error);
+      return;
+    }
+    exportConversation(options.target || null, options);
+    
+  } else if (command === 'export-all') {
+    // export-all <dir> [--format html] [--redact] [--template {date}-{slug}]
+    const options = parseExportArgs(args);
+    if (options.error) {
+      ui.updateStatus(options.error);
+      return;
+    }
+    if (!options.target) {
+      ui.updateStatus('Missing folder. Usage: export-all path/to/folder [--format markdown] [--template {date}-{slug}-{uuid}]');
+      return;
+    }
+    if (options.format && !getExporter(options.format)) {
+      ui.updateStatus(`Unknown format "${options.format}" (formats: ${describeExportFormats()})`);
+      return;
+    }
+    exportAllConversations(options.target, {
+      template: options.template || config.export.filenameTemplate,
+      format: options.format || config.export.format,
+      redact: options.redact
+    });
     
   } else if (command === 'theme') {
     if (args.length < 1) {
@@ -1060,11 +2935,72 @@ function handleCommand(cmd) {
         return;
       }
       
+      applyFilters();
+    } else if (args.length === 1 && (args[0] === 'off' || args[0] === 'clear')) {
+      state.filterQuery = null;
+      state.dateFilter = null;
+      applyFilters();
+    } else if (parseDateRange(args.join(' '))) {
+      const error = setDateFilter(parseDateRange(args.join(' ')));
+      if (error) {
+        ui.updateStatus(error);
+        return;
+      }
+      applyFilters();
+    } else if (args.length >= 1) {
+      const error = setFilterQuery(args.join(' '));
+      if (error) {
+        ui.updateStatus(error);
+        return;
+      }
       applyFilters();
     } else {
       ui.showFilterSettings();
     }
     
+  } else if (command === 'sort') {
+    const keys = config.sortKeys.map(definition => definition.key);
+    const [key, direction] = args.map(arg => arg.toLowerCase());
+    
+    if (!key) {
+      ui.updateStatus(`Conversations ${describeSort()}. Usage: sort ${keys.join('|')}|none [asc|desc] or sort reverse`);
+    } else if (key === 'reverse') {
+      setSort(state.sortKey, !state.sortReversed);
+    } else if (key === 'none' || key === 'off') {
+      setSort(null, false);
+    } else if (!keys.includes(key)) {
+      ui.updateStatus(`Unknown sort key "${key}". Use ${keys.join(', ')} or none`);
+    } else if (direction && direction !== 'asc' && direction !== 'desc') {
+      ui.updateStatus('Sort direction must be asc or desc');
+    } else {
+      // Reversed means against the key's natural direction
+      const definition = config.sortKeys.find(item => item.key === key);
+      const reversed = direction ? (direction === 'desc') !== definition.descending : false;
+      setSort(key, reversed);
+    }
+    
+  } else if (command === 'search') {
+    if (args.length < 1) {
+      showSearchResults();
+    } else {
+      searchAllConversations(args.join(' '));
+    }
+    
+  } else if (command === 'code') {
+    runCodeCommand(args.filter(arg => arg !== ''));
+    
+  } else if (command === 'attachments') {
+    runAttachmentsCommand(args.filter(arg => arg !== ''));
+    
+  } else if (command === 'diff') {
+    if (args.length < 1) {
+      showDiffList();
+    } else if (args[0] === 'off') {
+      clearDiff();
+    } else {
+      compareWithPreviousExport(args.join(' '));
+    }
+    
   } else {
     ui.updateStatus(`Unknown command: ${command}`);
   }
@@ -1072,6 +3008,14 @@ function handleCommand(cmd) {
 
 // Set up event listeners
 function setupEventListeners() {
+  // Lists and tables in messages are wrapped to the width of the box
+  screen.on('resize', function() {
+    if (state.viewMode === 'normal' || state.viewMode === 'transcript') {
+      refreshMessageContent();
+      ui.render();
+    }
+  });
+  
   // Quit
   screen.key(['escape', 'q', 'C-c'], function() {
     if (state.conversationSwitcherActive) {
@@ -1081,10 +3025,17 @@ function setupEventListeners() {
       // If filter settings is visible, escape closes it
       ui.filterSettings.hide();
       ui.render();
+    } else if (ui.attachmentBrowser.visible) {
+      hideAttachmentBrowser();
+    } else if (ui.diffList.visible) {
+      hideDiffList();
+    } else if (ui.searchResultsList.visible) {
+      hideSearchResults();
     } else if (state.searchMode) {
-      // If in search mode, escape clears search
+      // If in search mode, escape clears search (and its highlights)
       state.searchMode = false;
       state.searchResults = [];
+      showMessage(state.currentMessageIndex);
       ui.updateStatus('Search cleared');
       ui.render();
     } else {
@@ -1105,13 +3056,20 @@ function setupEventListeners() {
   });
   
   // Message navigation
-  screen.key(['up', 'k', 'p'], function() {
+  screen.key(['up', 'k', 'p'], function(ch, key) {
+    // The transcript scrolls by line (in the message box); p still moves by message
+    if (state.viewMode === 'transcript' && key.name !== 'p') return;
+    
     if (state.currentMessageIndex > 0) {
       showMessage(state.currentMessageIndex - 1);
     }
   });
   
-  screen.key(['down', 'j', 'n'], function() {
+  screen.key(['down', 'j', 'n'], function(ch, key) {
+    // While searching, n moves to the next search result instead
+    if (key.name === 'n' && state.searchMode) return;
+    if (state.viewMode === 'transcript' && key.name !== 'n') return;
+    
     if (state.currentMessageIndex < state.messages.length - 1) {
       showMessage(state.currentMessageIndex + 1);
     }
@@ -1124,7 +3082,7 @@ function setupEventListeners() {
     }
   });
   
-  screen.key(['end', 'G'], function() {
+  screen.key(['end', 'S-g'], function() {
     if (state.messages.length > 0) {
       showMessage(state.messages.length - 1);
     }
@@ -1134,15 +3092,60 @@ function setupEventListeners() {
   // and also when it's recreated in toggleNavPanel()
   
   // Toggle navigation panel
-  screen.key('t', function() {
+  screen.key('b', function() {
     ui.toggleNavPanel();
   });
   
+  // Date range filter
+  screen.key('t', function() {
+    const current = state.dateFilter ?
+      `${state.dateFilter.field === 'updated' ? 'updated ' : ''}${state.dateFilter.from || ''} to ${state.dateFilter.to || ''}` : '';
+    ui.cmdInput.setValue(`:filter ${current}`);
+    ui.cmdInput.show();
+    ui.cmdInput.focus();
+    ui.updateStatus('Date range: e.g. 2024-01-01 to 2024-02-01 (years and months work too; start with "updated" to use updated_at)');
+    ui.render();
+  });
+  
+  // Sorting
+  screen.key('s', function() {
+    cycleSortKey();
+  });
+  
+  screen.key('r', function() {
+    setSort(state.sortKey, !state.sortReversed);
+  });
+  
+  // Copy the message's code block, or pick one when there are several
+  screen.key('y', function() {
+    const blocks = getCurrentCodeBlocks();
+    if (blocks.length === 1) {
+      runCodeCommand(['copy', '1']);
+      ui.render();
+      return;
+    }
+    if (blocks.length === 0) {
+      ui.updateStatus('No code blocks in this message');
+      ui.render();
+      return;
+    }
+    ui.cmdInput.setValue(':code copy ');
+    ui.cmdInput.show();
+    ui.cmdInput.focus();
+    ui.updateStatus(`Code block to copy: 1 to ${blocks.length} (numbered in their labels)`);
+    ui.render();
+  });
+  
   // Toggle view mode
   screen.key('m', function() {
     toggleViewMode();
   });
   
+  // Expand/collapse tool results
+  screen.key('x', function() {
+    toggleToolResults();
+  });
+  
   // Message list selection
   ui.messageList.on('select', function(item, index) {
     showMessage(index);
@@ -1163,6 +3166,60 @@ function setupEventListeners() {
     loadConversation(index);
   });
   
+  // Export every listed conversation (asks for the folder)
+  ui.conversationSwitcher.key('S-e', function() {
+    hideConversationSwitcher();
+    ui.cmdInput.setValue(':export-all ');
+    ui.cmdInput.show();
+    ui.cmdInput.focus();
+    ui.updateStatus(`Export the ${state.filteredConversations.length} listed conversations: enter a folder and press Enter`);
+    ui.render();
+  });
+  
+  // Changes since a previous export (:diff)
+  screen.key('S-d', function() {
+    showDiffList();
+  });
+  
+  ui.diffList.on('select', function(item, index) {
+    openDiffItem(index);
+  });
+  
+  // Attachment browser (:attachments)
+  screen.key('a', function() {
+    runAttachmentsCommand([]);
+    ui.render();
+  });
+  
+  screen.key('S-a', function() {
+    runAttachmentsCommand(['all']);
+    ui.render();
+  });
+  
+  ui.attachmentList.on('select item', function() {
+    showAttachmentPreview();
+    ui.render();
+  });
+  
+  ui.attachmentList.on('select', function(item, index) {
+    openAttachmentEntry(index);
+  });
+  
+  ui.attachmentList.key('o', function() {
+    cycleAttachmentSort();
+  });
+  
+  // Tab moves between the list and the preview, to scroll it
+  ui.attachmentList.key('tab', function() {
+    ui.attachmentPreview.focus();
+    ui.render();
+  });
+  
+  ui.attachmentPreview.key('tab', function() {
+    ui.attachmentList.focus();
+    ui.render();
+  });
+  
   // Next/previous conversation
   screen.key(['[', 'left'], function() {
     switchConversation(-1); // Previous
@@ -1172,15 +3229,40 @@ function setupEventListeners() {
     switchConversation(1); // Next
   });
   
-  // Search mode
+  // Search mode; in the attachment browser, search inside attachments
   screen.key('/', function() {
-    ui.cmdInput.setValue('');
+    ui.cmdInput.setValue(ui.attachmentBrowser.visible ? ':attachments find ' : '');
+    ui.cmdInput.show();
+    ui.cmdInput.focus();
+    updateSearchPromptStatus();
+    ui.render();
+  });
+  
+  // Search across all conversations
+  screen.key('S-s', function() {
+    ui.cmdInput.setValue(':search ');
     ui.cmdInput.show();
     ui.cmdInput.focus();
-    ui.updateStatus('Search: Type your search term and press Enter');
+    updateSearchPromptStatus();
     ui.render();
   });
   
+  // Search modes, toggled while typing in the prompt
+  const searchModeKeys = { 'C-r': 'regex', 'C-w': 'wholeWord', 'C-e': 'caseSensitive' };
+  Object.keys(searchModeKeys).forEach(key => {
+    ui.cmdInput.key(key, function() {
+      const option = searchModeKeys[key];
+      state.searchOptions[option] = !state.searchOptions[option];
+      updateSearchPromptStatus();
+      ui.render();
+    });
+  });
+  
+  ui.searchResultsList.on('select', function(item, index) {
+    hideSearchResults();
+    goToSearchResult(index);
+  });
+  
   // Search navigation
   screen.key('n', function() {
     if (state.searchMode) {
@@ -1188,7 +3270,7 @@ function setupEventListeners() {
     }
   });
   
-  screen.key('N', function() {
+  screen.key('S-n', function() {
     if (state.searchMode) {
       navigateSearchResults(false);
     }
@@ -1260,7 +3342,7 @@ Or if provided on the command line, it will load automatically.
 
 {bold}Key Features:{/bold}
 • Efficient screen utilization for better readability
-• Multiple view modes (normal, raw, metadata)
+• Multiple view modes (normal, raw, metadata, transcript)
 • Full-text search within conversations
 • Ability to hide empty conversations with 'h' key
 • Export to markdown for sharing
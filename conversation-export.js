@@ -0,0 +1,140 @@
+/**
+ * Conversation Export
+ *
+ * Writes conversations to files in any of the formats registered in
+ * export-formats.js: one conversation, or a whole list of conversations into
+ * a folder, one file each, named by a template and linked from an index
+ * file. Used by the explorer's :export and :export-all commands.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { getExporter, listExporters } = require('./export-formats');
+
+// File names of exported conversations. Placeholders:
+//   {date}  creation date (YYYY-MM-DD)     {slug}  the name in lowercase-with-dashes
+//   {uuid}  first 8 characters of the uuid {index} position in the list (0001, 0002, ...)
+const DEFAULT_FILENAME_TEMPLATE = '{date}-{slug}-{uuid}';
+
+const DEFAULT_FORMAT = 'markdown';
+
+// Name of the index file, without extension
+const INDEX_NAME = 'index';
+
+// Longest slug kept in file names
+const MAX_SLUG_LENGTH = 60;
+
+// Lowercase words joined by dashes, safe in file names on every platform
+function slugify(text, maxLength = MAX_SLUG_LENGTH) {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // accents split off by NFKD
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+  
+  return slug.substring(0, maxLength).replace(/-+$/, '') || 'untitled';
+}
+
+/**
+ * File name (without extension) of a conversation from a template.
+ * Unknown placeholders are left as they are.
+ */
+function formatFilename(template, conversation, index = 0) {
+  const created = moment(conversation.created_at);
+  const values = {
+    date: conversation.created_at && created.isValid() ? created.format('YYYY-MM-DD') : 'undated',
+    slug: slugify(conversation.name),
+    uuid: conversation.uuid ? String(conversation.uuid).substring(0, 8) : 'no-uuid',
+    index: String(index + 1).padStart(4, '0')
+  };
+  
+  return template
+    .replace(/\{(\w+)\}/g, (match, name) => values[name] !== undefined ? values[name] : match)
+    .replace(/[/\\:*?"<>|]/g, '-');
+}
+
+// Exporter by name, or an error naming the formats there are
+function requireExporter(format) {
+  const exporter = getExporter(format);
+  if (!exporter) {
+    throw new Error(`Unknown format "${format}" (formats: ${listExporters().map(e => e.name).join(', ')})`);
+  }
+  return exporter;
+}
+
+// Write one conversation to a file in the given format, redacted first
+// when a redactor (see conversation-redactor.js) is given
+function exportConversation(conversation, file, format = DEFAULT_FORMAT, { redactor = null } = {}) {
+  const exporter = requireExporter(format);
+  fs.writeFileSync(file, exporter.render(redactor ? redactor.redactConversation(conversation) : conversation));
+  return file;
+}
+
+/**
+ * Export conversations into a folder (created when missing), one file per
+ * conversation plus an index file. File names that would repeat get a
+ * numeric suffix instead of overwriting each other. Formats without an
+ * index of their own get a Markdown index.
+ *
+ * Options:
+ *   format      - exporter name (see export-formats.js), markdown by default
+ *   template    - file name template (see DEFAULT_FILENAME_TEMPLATE)
+ *   redactor    - redacts every conversation before it is written, names
+ *                 included; one redactor keeps pseudonyms consistent
+ *                 across all the files
+ *   onProgress  - called with { done, total } after each file
+ *
+ * Resolves to { dir, files: [path], indexPath }.
+ */
+async function exportAll(conversations, dir, {
+  format = DEFAULT_FORMAT,
+  template = DEFAULT_FILENAME_TEMPLATE,
+  redactor = null,
+  onProgress = () => {}
+} = {}) {
+  const exporter = requireExporter(format);
+  const indexExporter = exporter.renderIndex ? exporter : requireExporter(DEFAULT_FORMAT);
+  const extension = exporter.extensions[0] || '';
+  const indexFile = INDEX_NAME + (indexExporter.extensions[0] || '');
+  
+  fs.mkdirSync(dir, { recursive: true });
+  
+  const used = new Set([indexFile.toLowerCase()]);
+  const entries = [];
+  
+  for (let i = 0; i < conversations.length; i++) {
+    const conversation = redactor ? redactor.redactConversation(conversations[i]) : conversations[i];
+    const base = formatFilename(template, conversation, i);
+    
+    // Case-insensitive, for file systems that are
+    let file = `${base}${extension}`;
+    for (let n = 2; used.has(file.toLowerCase()); n++) {
+      file = `${base}-${n}${extension}`;
+    }
+    used.add(file.toLowerCase());
+    
+    fs.writeFileSync(path.join(dir, file), exporter.render(conversation));
+    entries.push({ conversation, file });
+    
+    onProgress({ done: i + 1, total: conversations.length });
+    
+    // Let the interface redraw between files
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  
+  const indexPath = path.join(dir, indexFile);
+  fs.writeFileSync(indexPath, indexExporter.renderIndex(entries));
+  
+  return { dir, files: entries.map(entry => path.join(dir, entry.file)), indexPath };
+}
+
+module.exports = {
+  DEFAULT_FILENAME_TEMPLATE,
+  DEFAULT_FORMAT,
+  slugify,
+  formatFilename,
+  exportConversation,
+  exportAll
+};
@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+
+/**
+ * Conversation Export Merge
+ *
+ * Every export is a full snapshot, so several exports of the same account
+ * overlap almost entirely. This merges any number of exports into a single
+ * conversations.json:
+ *
+ *   - conversations are deduplicated by uuid; the version with the newest
+ *     updated_at provides the conversation fields
+ *   - messages of all versions are deduplicated by uuid the same way and
+ *     ordered by created_at
+ *   - a merge report records which export each conversation and message was
+ *     taken from, and every conflict: versions that differ but cannot be
+ *     ordered by updated_at (equal or missing timestamps). Those are resolved
+ *     in favour of the later input.
+ *
+ * The merged file is a plain export array, so the explorer, the analyzer and
+ * the validator can open it like any other conversations.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { resolveInputPaths, streamConversations } = require('./export-source');
+const { getMessages, getConversationTitle, parseDate } = require('./conversation-model');
+
+const USAGE = `Usage: node conversation-merge.js [options] <export> <export> [...]
+
+Merges several exports (JSON files, export folders, .zip archives or glob
+patterns) into one conversations.json, keeping the newest version of each
+conversation and message. List older exports first: when two versions
+cannot be ordered by updated_at, the later input wins.
+
+Options:
+  -o, --output <file>     Merged conversations file (default: merged-conversations.json)
+  -r, --report <file>     Merge report (default: merge-report.json next to the output)
+  -h, --help              Show this help
+
+Exit codes: 0 merged, 2 unreadable export, 64 bad usage, 73 output not writable`;
+
+const EXIT_CODES = {
+  merged: 0,
+  unreadableFile: 2,
+  usage: 64,
+  writeFailed: 73
+};
+
+function hashRecord(record) {
+  return crypto.createHash('sha1').update(JSON.stringify(record)).digest('hex');
+}
+
+// Conversation fields without the messages, which are merged separately
+function withoutMessages(conversation) {
+  const { chat_messages, ...fields } = conversation;
+  return fields;
+}
+
+/**
+ * Decide between the version kept so far and a new one.
+ * Returns { replace, conflict } where conflict names the reason when the
+ * versions differ but updated_at cannot tell which one is newer.
+ */
+function compareVersions(kept, candidate) {
+  if (kept.hash === candidate.hash) {
+    return { replace: false, conflict: null };
+  }
+  
+  if (kept.updatedAt && candidate.updatedAt) {
+    if (candidate.updatedAt > kept.updatedAt) return { replace: true, conflict: null };
+    if (candidate.updatedAt < kept.updatedAt) return { replace: false, conflict: null };
+    return { replace: true, conflict: 'same-updated-at' };
+  }
+  
+  // A version with a valid timestamp beats one without
+  if (kept.updatedAt) return { replace: false, conflict: 'missing-updated-at' };
+  return { replace: true, conflict: 'missing-updated-at' };
+}
+
+function describeVersion(version) {
+  return {
+    source: version.source,
+    updatedAt: version.rawUpdatedAt
+  };
+}
+
+/**
+ * Create a merger. Conversations are added one at a time, in input order.
+ * Returns { addConversation(conversation, source), getConversations(), getReport() }.
+ */
+function createMerger() {
+  // uuid -> { uuid, version, foundIn, messages: Map(key -> message version) }
+  const conversations = new Map();
+  
+  // Conversations without a uuid cannot be deduplicated and are kept as they are
+  const withoutUuid = [];
+  
+  const conflicts = [];
+  const stats = {
+    conversationsRead: 0,
+    duplicateConversations: 0,
+    replacedConversations: 0,
+    messagesRead: 0,
+    duplicateMessages: 0,
+    replacedMessages: 0
+  };
+  let sequence = 0;
+  
+  function recordConflict(kind, reason, uuid, conversationUuid, kept, discarded) {
+    conflicts.push({
+      kind,
+      reason,
+      uuid,
+      conversationUuid,
+      kept: describeVersion(kept),
+      discarded: describeVersion(discarded)
+    });
+  }
+  
+  function mergeMessage(entry, message, index, source) {
+    stats.messagesRead++;
+    
+    // Messages without a uuid can only be matched by position
+    const key = message && message.uuid ? message.uuid : `#${index}`;
+    const version = {
+      message,
+      source,
+      hash: hashRecord(message),
+      updatedAt: parseDate(message && message.updated_at),
+      rawUpdatedAt: message && message.updated_at ? message.updated_at : null,
+      createdAt: parseDate(message && message.created_at),
+      sequence: sequence++
+    };
+    
+    const kept = entry.messages.get(key);
+    if (!kept) {
+      entry.messages.set(key, version);
+      return;
+    }
+    
+    stats.duplicateMessages++;
+    const { replace, conflict } = compareVersions(kept, version);
+    if (conflict) {
+      recordConflict('message', conflict, key, entry.uuid, replace ? version : kept, replace ? kept : version);
+    }
+    if (replace) {
+      // Keep the position of the first version for messages without a timestamp
+      version.sequence = kept.sequence;
+      entry.messages.set(key, version);
+      stats.replacedMessages++;
+    }
+  }
+  
+  function addConversation(conversation, source) {
+    stats.conversationsRead++;
+    
+    if (!conversation || typeof conversation !== 'object' || typeof conversation.uuid !== 'string' || !conversation.uuid) {
+      withoutUuid.push({ conversation, source });
+      return;
+    }
+    
+    const fields = withoutMessages(conversation);
+    const version = {
+      fields,
+      keys: Object.keys(conversation),
+      source,
+      hash: hashRecord(fields),
+      updatedAt: parseDate(conversation.updated_at),
+      rawUpdatedAt: conversation.updated_at || null
+    };
+    
+    let entry = conversations.get(conversation.uuid);
+    if (!entry) {
+      entry = { uuid: conversation.uuid, version, foundIn: new Set(), messages: new Map() };
+      conversations.set(conversation.uuid, entry);
+    } else {
+      stats.duplicateConversations++;
+      const { replace, conflict } = compareVersions(entry.version, version);
+      if (conflict) {
+        recordConflict('conversation', conflict, entry.uuid, entry.uuid, replace ? version : entry.version, replace ? entry.version : version);
+      }
+      if (replace) {
+        entry.version = version;
+        stats.replacedConversations++;
+      }
+    }
+    
+    entry.foundIn.add(source);
+    getMessages(conversation).forEach((message, index) => mergeMessage(entry, message, index, source));
+  }
+  
+  // Messages of an entry in chronological order; undated ones keep their position
+  function getSortedMessages(entry) {
+    return Array.from(entry.messages.values()).sort((a, b) => {
+      if (a.createdAt && b.createdAt && a.createdAt.getTime() !== b.createdAt.getTime()) {
+        return a.createdAt - b.createdAt;
+      }
+      return a.sequence - b.sequence;
+    });
+  }
+  
+  // The merged conversations, in the order they were first seen
+  function getConversations() {
+    const merged = Array.from(conversations.values()).map(entry => {
+      // Keep the field order of the kept version, with chat_messages in place
+      const { fields, keys } = entry.version;
+      const conversation = {};
+      keys.concat(keys.includes('chat_messages') ? [] : ['chat_messages']).forEach(key => {
+        conversation[key] = key === 'chat_messages' ? getSortedMessages(entry).map(version => version.message) : fields[key];
+      });
+      return conversation;
+    });
+    
+    return merged.concat(withoutUuid.map(item => item.conversation));
+  }
+  
+  /**
+   * The merge report: summary counts, conflicts and, per conversation, the
+   * export its fields came from, every export it was found in, how many
+   * of its messages were taken from each export and the export each message
+   * (by uuid, or #position without one) was taken from.
+   */
+  function getReport() {
+    let messagesWritten = 0;
+    
+    const provenance = Array.from(conversations.values()).map(entry => {
+      const messageSources = {};
+      const messages = {};
+      entry.messages.forEach((version, key) => {
+        messageSources[version.source] = (messageSources[version.source] || 0) + 1;
+        messages[key] = version.source;
+      });
+      messagesWritten += entry.messages.size;
+      
+      return {
+        uuid: entry.uuid,
+        title: getConversationTitle(entry.version.fields),
+        source: entry.version.source,
+        updatedAt: entry.version.rawUpdatedAt,
+        foundIn: Array.from(entry.foundIn),
+        messageSources,
+        messages
+      };
+    });
+    
+    withoutUuid.forEach(item => {
+      messagesWritten += getMessages(item.conversation).length;
+    });
+    
+    return {
+      summary: Object.assign({}, stats, {
+        conversationsWritten: conversations.size + withoutUuid.length,
+        conversationsWithoutUuid: withoutUuid.length,
+        messagesWritten,
+        conflicts: conflicts.length
+      }),
+      conflicts,
+      provenance,
+      withoutUuid: withoutUuid.map(item => ({ source: item.source, title: getConversationTitle(item.conversation) }))
+    };
+  }
+  
+  return {
+    addConversation,
+    getConversations,
+    getReport
+  };
+}
+
+/**
+ * Merge exports, oldest first.
+ * Resolves to { conversations, report } where report also lists the inputs.
+ */
+async function mergeExports(inputs, { onProgress } = {}) {
+  const merger = createMerger();
+  const sources = [];
+  
+  for (const input of inputs) {
+    let count = 0;
+    const result = await streamConversations(input, {
+      onConversation: (conversation) => {
+        count++;
+        merger.addConversation(conversation, input);
+      },
+      onProgress
+    });
+    
+    // A single conversation object instead of an array
+    if (!result.isArray) {
+      count++;
+      merger.addConversation(result.value, input);
+    }
+    
+    sources.push({ source: input, conversations: count });
+  }
+  
+  return {
+    conversations: merger.getConversations(),
+    report: Object.assign({ inputs: sources }, merger.getReport())
+  };
+}
+
+// Write conversations as an export array, one conversation at a time
+function writeConversationsFile(filePath, conversations) {
+  const fd = fs.openSync(filePath, 'w');
+  try {
+    fs.writeSync(fd, '[');
+    conversations.forEach((conversation, i) => {
+      fs.writeSync(fd, (i > 0 ? ',\n' : '\n') + JSON.stringify(conversation));
+    });
+    fs.writeSync(fd, '\n]\n');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function formatReportSummary(report) {
+  const { summary } = report;
+  const lines = report.inputs.map(input => `  ${input.source}: ${input.conversations} conversations`);
+  
+  return [
+    `Merged ${report.inputs.length} exports:`,
+    ...lines,
+    '',
+    `Conversations: ${summary.conversationsRead} read, ${summary.duplicateConversations} duplicates, ` +
+      `${summary.replacedConversations} replaced by newer versions, ${summary.conversationsWritten} written`,
+    `Messages: ${summary.messagesRead} read, ${summary.duplicateMessages} duplicates, ` +
+      `${summary.replacedMessages} replaced by newer versions, ${summary.messagesWritten} written`,
+    `Conflicts: ${summary.conflicts}` +
+      (summary.conversationsWithoutUuid > 0 ? ` | Conversations without uuid (kept as is): ${summary.conversationsWithoutUuid}` : '')
+  ].join('\n');
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o', default: 'merged-conversations.json' },
+        report: { type: 'string', short: 'r' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+  
+  const options = parsed.values;
+  
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.merged;
+  }
+  
+  const { files, missing } = resolveInputPaths(parsed.positionals);
+  if (missing.length > 0) {
+    console.error(`No such file or export folder: ${missing.join(', ')}`);
+    return EXIT_CODES.unreadableFile;
+  }
+  
+  if (files.length < 2) {
+    console.error(`Expected at least two exports to merge\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+  
+  const reportPath = options.report || path.join(path.dirname(options.output), 'merge-report.json');
+  
+  let merged;
+  try {
+    merged = await mergeExports(files);
+  } catch (error) {
+    console.error(`Error reading export: ${error.message}`);
+    return EXIT_CODES.unreadableFile;
+  }
+  
+  let writing = options.output;
+  try {
+    fs.mkdirSync(path.dirname(options.output), { recursive: true });
+    writeConversationsFile(options.output, merged.conversations);
+    writing = reportPath;
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(Object.assign({ output: options.output }, merged.report), null, 2));
+  } catch (error) {
+    console.error(`Error writing ${writing}: ${error.message}`);
+    return EXIT_CODES.writeFailed;
+  }
+  
+  console.log(formatReportSummary(merged.report));
+  console.log(`\nMerged conversations written to: ${options.output}`);
+  console.log(`Merge report written to: ${reportPath}`);
+  
+  return EXIT_CODES.merged;
+}
+
+module.exports = {
+  createMerger,
+  mergeExports,
+  writeConversationsFile,
+  formatReportSummary,
+  EXIT_CODES
+};
+
+// Run the merge when invoked directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      console.error('Unexpected error:', error);
+      process.exitCode = EXIT_CODES.unreadableFile;
+    });
+}
@@ -0,0 +1,287 @@
+/**
+ * Conversation Data Model
+ *
+ * One definition of what an exported conversation and its messages contain,
+ * shared by the explorer, the analyzer and the validator. The helpers accept
+ * raw export records (as found in conversations.json) and never modify them;
+ * normalizeConversation() builds the canonical model described below.
+ */
+
+/**
+ * @typedef {Object} ContentPart
+ * @property {string} type         text, thinking, tool_use, tool_result, ...
+ * @property {string} text         Readable text of the part ('' when none)
+ * @property {string} [name]       Tool name (tool_use, tool_result)
+ * @property {*} [input]           Tool input (tool_use)
+ * @property {boolean} [isError]   Whether the tool failed (tool_result)
+ * @property {Array} citations     Citations attached to the part
+ * @property {Date|null} startedAt
+ * @property {Date|null} stoppedAt
+ * @property {Object} raw          The part as exported
+ */
+
+/**
+ * @typedef {Object} Attachment
+ * @property {string} fileName
+ * @property {number|null} fileSize
+ * @property {string} fileType
+ * @property {string} extractedContent
+ */
+
+/**
+ * @typedef {Object} FileRef
+ * @property {string} fileName
+ * @property {string|null} fileUuid
+ */
+
+/**
+ * @typedef {Object} Message
+ * @property {string} uuid
+ * @property {number} index        Position in the conversation
+ * @property {string} sender       human, assistant, system or the exported value
+ * @property {Date|null} createdAt
+ * @property {Date|null} updatedAt
+ * @property {string} text         Message text (see getMessageText)
+ * @property {ContentPart[]} parts
+ * @property {Attachment[]} attachments
+ * @property {FileRef[]} files
+ * @property {Object} raw
+ */
+
+/**
+ * @typedef {Object} Conversation
+ * @property {string} uuid
+ * @property {string} name         Exported name ('' for untitled conversations)
+ * @property {string} title        Name, or a placeholder built from the uuid
+ * @property {Date|null} createdAt
+ * @property {Date|null} updatedAt
+ * @property {string|null} accountUuid
+ * @property {Message[]} messages
+ * @property {Object} raw
+ */
+
+// Senders defined by the export schema
+const SENDERS = ['human', 'assistant'];
+
+// Content part types found in exports
+const CONTENT_TYPES = ['text', 'thinking', 'tool_use', 'tool_result', 'image', 'document', 'voice_note'];
+
+// Separator between the text of consecutive content parts
+const PART_SEPARATOR = '\n\n';
+
+// Parse a timestamp; returns null for missing or invalid values
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Month bucket (YYYY-MM, local time) for a timestamp
+function getMonthKey(value) {
+  const date = parseDate(value);
+  if (!date) return 'invalid-date';
+  return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0');
+}
+
+// Map exported sender values onto human/assistant/system
+function normalizeSender(sender) {
+  if (!sender || typeof sender !== 'string') return 'unknown';
+  
+  const lower = sender.toLowerCase();
+  if (lower === 'human' || lower === 'user') return 'human';
+  if (lower.includes('assistant')) return 'assistant';
+  if (lower.includes('system')) return 'system';
+  return sender;
+}
+
+// Messages of a raw conversation (always an array)
+function getMessages(conversation) {
+  return conversation && Array.isArray(conversation.chat_messages) ? conversation.chat_messages : [];
+}
+
+// Display title of a raw conversation
+function getConversationTitle(conversation) {
+  if (!conversation) return 'Untitled conversation';
+  if (conversation.name) return conversation.name;
+  return conversation.uuid ? `Conversation ${conversation.uuid.substring(0, 8)}` : 'Untitled conversation';
+}
+
+// Readable text of a single raw content part
+function getPartText(part) {
+  if (!part) return '';
+  
+  if (part.type === 'thinking') {
+    return typeof part.thinking === 'string' ? part.thinking : '';
+  }
+  
+  if (part.type === 'tool_result') {
+    if (typeof part.content === 'string') return part.content;
+    return Array.isArray(part.content) ?
+      part.content.map(getPartText).filter(Boolean).join(PART_SEPARATOR) :
+      '';
+  }
+  
+  return typeof part.text === 'string' ? part.text : '';
+}
+
+/**
+ * Text of a raw message. The message's own text field wins when it is
+ * non-empty; otherwise the text of its text content parts is joined with a
+ * blank line. Thinking and tool parts are not part of the message text.
+ */
+function getMessageText(message) {
+  if (!message) return '';
+  
+  if (typeof message.text === 'string' && message.text.length > 0) {
+    return message.text;
+  }
+  
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter(part => part && (part.type === 'text' || part.type === undefined) && typeof part.text === 'string')
+      .map(part => part.text)
+      .filter(text => text.length > 0)
+      .join(PART_SEPARATOR);
+  }
+  
+  return '';
+}
+
+/**
+ * Position of each non-empty text part of a raw message in getMessageText(),
+ * as a Map from the raw part to its offset. When the message has a text
+ * field of its own, the parts are looked up in it in order, and a part it
+ * does not contain gets -1. Null when the message has no content parts.
+ */
+function getTextPartOffsets(message) {
+  if (!message || !Array.isArray(message.content)) return null;
+  
+  const text = getMessageText(message);
+  const parts = message.content.filter(part => part && (part.type === 'text' || part.type === undefined) &&
+    typeof part.text === 'string' && part.text.length > 0);
+  const offsets = new Map();
+  
+  if (parts.map(part => part.text).join(PART_SEPARATOR) === text) {
+    let offset = 0;
+    parts.forEach(part => {
+      offsets.set(part, offset);
+      offset += part.text.length + PART_SEPARATOR.length;
+    });
+    return offsets;
+  }
+  
+  let from = 0;
+  parts.forEach(part => {
+    const offset = text.indexOf(part.text, from);
+    offsets.set(part, offset);
+    if (offset !== -1) from = offset + part.text.length;
+  });
+  return offsets;
+}
+
+// Whether a raw message has no visible text
+function isEmptyMessage(message) {
+  return getMessageText(message).trim().length === 0;
+}
+
+// Whether a raw conversation has at least one message with text
+function hasNonEmptyMessages(conversation) {
+  return getMessages(conversation).some(message => !isEmptyMessage(message));
+}
+
+/** @returns {ContentPart} */
+function normalizeContentPart(part) {
+  const raw = part || {};
+  const normalized = {
+    type: raw.type || 'unknown',
+    text: getPartText(raw),
+    citations: Array.isArray(raw.citations) ? raw.citations : [],
+    startedAt: parseDate(raw.start_timestamp),
+    stoppedAt: parseDate(raw.stop_timestamp),
+    raw
+  };
+  
+  if (raw.type === 'tool_use' || raw.type === 'tool_result') {
+    normalized.name = raw.name || '';
+  }
+  if (raw.type === 'tool_use') {
+    normalized.input = raw.input;
+  }
+  if (raw.type === 'tool_result') {
+    normalized.isError = Boolean(raw.is_error);
+  }
+  
+  return normalized;
+}
+
+/** @returns {Attachment} */
+function normalizeAttachment(attachment) {
+  const raw = attachment || {};
+  return {
+    fileName: raw.file_name || 'Unnamed',
+    fileSize: typeof raw.file_size === 'number' ? raw.file_size : null,
+    fileType: raw.file_type || 'unknown',
+    extractedContent: typeof raw.extracted_content === 'string' ? raw.extracted_content : ''
+  };
+}
+
+/** @returns {FileRef} */
+function normalizeFile(file) {
+  const raw = file || {};
+  return {
+    fileName: raw.file_name || 'Unnamed',
+    fileUuid: raw.file_uuid || null
+  };
+}
+
+/** @returns {Message} */
+function normalizeMessage(message, index = 0) {
+  const raw = message || {};
+  return {
+    uuid: raw.uuid || '',
+    index,
+    sender: normalizeSender(raw.sender),
+    createdAt: parseDate(raw.created_at),
+    updatedAt: parseDate(raw.updated_at),
+    text: getMessageText(raw),
+    parts: Array.isArray(raw.content) ? raw.content.map(normalizeContentPart) : [],
+    attachments: Array.isArray(raw.attachments) ? raw.attachments.map(normalizeAttachment) : [],
+    files: Array.isArray(raw.files) ? raw.files.map(normalizeFile) : [],
+    raw
+  };
+}
+
+/** @returns {Conversation} */
+function normalizeConversation(conversation) {
+  const raw = conversation || {};
+  return {
+    uuid: raw.uuid || '',
+    name: typeof raw.name === 'string' ? raw.name : '',
+    title: getConversationTitle(raw),
+    createdAt: parseDate(raw.created_at),
+    updatedAt: parseDate(raw.updated_at),
+    accountUuid: raw.account && raw.account.uuid ? raw.account.uuid : null,
+    messages: getMessages(raw).map(normalizeMessage),
+    raw
+  };
+}
+
+module.exports = {
+  SENDERS,
+  CONTENT_TYPES,
+  parseDate,
+  getMonthKey,
+  normalizeSender,
+  getMessages,
+  getConversationTitle,
+  getPartText,
+  getMessageText,
+  getTextPartOffsets,
+  isEmptyMessage,
+  hasNonEmptyMessages,
+  normalizeContentPart,
+  normalizeAttachment,
+  normalizeFile,
+  normalizeMessage,
+  normalizeConversation
+};
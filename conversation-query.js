@@ -0,0 +1,331 @@
+/**
+ * Conversation Query Language
+ *
+ * Parses filter queries such as
+ *
+ *   sender:human created:>2024-06-01 (has:attachment OR content_type:tool_use) NOT title:"draft"
+ *
+ * into a tree that is evaluated against raw conversations. Used by the
+ * explorer's :filter command and filter dialog.
+ *
+ * Terms:
+ *   word, "some phrase"        free text in the title or any message (case-insensitive)
+ *   title:foo, title:"foo bar" text in the title
+ *   sender:human               has a message from that sender (human, assistant, system)
+ *   created:, updated:         date of the conversation: 2024, 2024-06, 2024-06-01, with
+ *                              >, >=, <, <= or a range 2024-01..2024-03 (either end optional)
+ *   messages:>20               message count: a number, with >, >=, <, <= or a range 10..20
+ *   has:attachment, has:file   has a message with attachments / files
+ *   content_type:tool_use      has a content part of that type
+ *
+ * Terms next to each other must all match (AND). AND, OR and NOT (in
+ * capitals) and parentheses combine them; NOT binds tightest, then AND, then OR.
+ */
+
+const {
+  parseDate,
+  normalizeSender,
+  getMessages,
+  getConversationTitle,
+  getMessageText
+} = require('./conversation-model');
+
+const FIELDS = ['title', 'sender', 'created', 'updated', 'messages', 'has', 'content_type'];
+
+const HAS_VALUES = {
+  attachment: message => Array.isArray(message.attachments) && message.attachments.length > 0,
+  file: message => Array.isArray(message.files) && message.files.length > 0
+};
+
+const OPERATORS = ['>=', '<=', '>', '<'];
+
+// Split a query into tokens: ( ) AND OR NOT, terms and free text.
+// Each token keeps its source text and position for error messages.
+function lexQuery(query) {
+  const tokens = [];
+  let i = 0;
+  
+  const push = (token, start) => tokens.push(Object.assign(token, { source: query.substring(start, i), position: start + 1 }));
+  
+  const readQuoted = () => {
+    const end = query.indexOf('"', i + 1);
+    if (end === -1) {
+      throw new Error(`Unterminated quote at position ${i + 1}`);
+    }
+    const text = query.substring(i + 1, end);
+    i = end + 1;
+    return text;
+  };
+  
+  while (i < query.length) {
+    const char = query[i];
+    const start = i;
+    
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      i++;
+      push({ type: char }, start);
+    } else if (char === '"') {
+      push({ type: 'text', value: readQuoted() }, start);
+    } else {
+      // A bare word, possibly field:value where the value may be quoted
+      let word = '';
+      while (i < query.length && !/[\s()"]/.test(query[i])) {
+        word += query[i++];
+      }
+      
+      const field = word.match(/^([a-z_]+):(.*)$/i);
+      if (field && field[2] === '' && query[i] === '"') {
+        push({ type: 'field', field: field[1].toLowerCase(), value: readQuoted() }, start);
+      } else if (field) {
+        push({ type: 'field', field: field[1].toLowerCase(), value: field[2] }, start);
+      } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        push({ type: word }, start);
+      } else {
+        push({ type: 'text', value: word }, start);
+      }
+    }
+  }
+  
+  return tokens;
+}
+
+/**
+ * Period covered by a date value: 2024 (the year), 2024-06 (the month),
+ * 2024-06-01 (the day) in local time, or any timestamp parseDate accepts.
+ * Returns { start, end } with end exclusive, or null.
+ */
+function parseDatePeriod(value) {
+  const parts = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (parts) {
+    const year = Number(parts[1]);
+    const month = parts[2] ? Number(parts[2]) - 1 : 0;
+    const day = parts[3] ? Number(parts[3]) : 1;
+    const start = new Date(year, month, day);
+    
+    // Reject dates that Date would roll over, such as 2024-13 or 2024-02-30
+    if (start.getMonth() !== month || start.getDate() !== day) return null;
+    
+    const end = parts[3] ? new Date(year, month, day + 1) :
+      parts[2] ? new Date(year, month + 1, 1) :
+        new Date(year + 1, 0, 1);
+    return { start: start.getTime(), end: end.getTime() };
+  }
+  
+  const date = parseDate(value);
+  return date ? { start: date.getTime(), end: date.getTime() + 1 } : null;
+}
+
+function parseNumberPeriod(value) {
+  if (!/^\d+$/.test(value)) return null;
+  const number = Number(value);
+  return { start: number, end: number + 1 };
+}
+
+/**
+ * Turn a comparison (>x, >=x, <x, <=x, x, x..y, x.., ..y) into a range
+ * { min, max } (min inclusive, max exclusive; null when open) using
+ * parsePeriod to find the period a single value covers.
+ */
+function parseRange(value, parsePeriod, describe) {
+  const period = (text) => {
+    const parsed = parsePeriod(text);
+    if (!parsed) throw new Error(`Invalid ${describe} "${text}"`);
+    return parsed;
+  };
+  
+  const operator = OPERATORS.find(op => value.startsWith(op));
+  if (operator) {
+    const { start, end } = period(value.substring(operator.length));
+    if (operator === '>') return { min: end, max: null };
+    if (operator === '>=') return { min: start, max: null };
+    if (operator === '<') return { min: null, max: start };
+    return { min: null, max: end };
+  }
+  
+  const range = value.split('..');
+  if (range.length === 2) {
+    if (!range[0] && !range[1]) throw new Error(`Invalid range "${value}"`);
+    return {
+      min: range[0] ? period(range[0]).start : null,
+      max: range[1] ? period(range[1]).end : null
+    };
+  }
+  
+  const { start, end } = period(value);
+  return { min: start, max: end };
+}
+
+function inRange(value, { min, max }) {
+  return (min === null || value >= min) && (max === null || value < max);
+}
+
+// Build the node for a field:value term
+function parseField(token) {
+  const { field, value, position } = token;
+  
+  if (!FIELDS.includes(field)) {
+    throw new Error(`Unknown field "${field}" at position ${position} (fields: ${FIELDS.join(', ')})`);
+  }
+  if (value === '') {
+    throw new Error(`Missing value for "${field}:" at position ${position}`);
+  }
+  
+  const node = { type: 'field', field, value };
+  
+  if (field === 'created' || field === 'updated') {
+    node.range = parseRange(value, parseDatePeriod, 'date');
+  } else if (field === 'messages') {
+    node.range = parseRange(value, parseNumberPeriod, 'message count');
+  } else if (field === 'has') {
+    node.value = value.toLowerCase().replace(/s$/, '');
+    if (!HAS_VALUES[node.value]) {
+      throw new Error(`Unknown value "has:${value}" (use ${Object.keys(HAS_VALUES).map(name => `has:${name}`).join(', ')})`);
+    }
+  } else if (field === 'sender') {
+    node.value = normalizeSender(value);
+  } else if (field === 'title') {
+    node.value = value.toLowerCase();
+  }
+  
+  return node;
+}
+
+/**
+ * Parse a query into a tree of nodes:
+ *   { type: 'and' | 'or', children: [node] }
+ *   { type: 'not', child: node }
+ *   { type: 'text', value }                  (lowercase)
+ *   { type: 'field', field, value, range? }
+ * An empty query parses to null (matches everything). Throws an Error
+ * describing the problem for invalid queries.
+ */
+function parseQuery(query) {
+  const tokens = lexQuery(query || '');
+  let i = 0;
+  
+  const peek = () => tokens[i];
+  const describe = (token) => `"${token.source}" at position ${token.position}`;
+  
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      i++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+  
+  // AND is implied between neighbouring terms
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') i++;
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+  
+  const parseNot = () => {
+    if (peek() && peek().type === 'NOT') {
+      i++;
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  };
+  
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('Incomplete query: expected a term at the end');
+    }
+    
+    i++;
+    if (token.type === '(') {
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw new Error(`Expected ")" to close "(" at position ${token.position}`);
+      }
+      i++;
+      return node;
+    }
+    if (token.type === 'text') {
+      return { type: 'text', value: token.value.toLowerCase() };
+    }
+    if (token.type === 'field') {
+      return parseField(token);
+    }
+    throw new Error(`Unexpected ${describe(token)}`);
+  };
+  
+  if (tokens.length === 0) return null;
+  
+  const tree = parseOr();
+  if (i < tokens.length) {
+    throw new Error(`Unexpected ${describe(tokens[i])}`);
+  }
+  return tree;
+}
+
+function matchesField(node, conversation) {
+  const messages = getMessages(conversation);
+  
+  switch (node.field) {
+    case 'title':
+      return getConversationTitle(conversation).toLowerCase().includes(node.value);
+    case 'sender':
+      return messages.some(message => message && normalizeSender(message.sender) === node.value);
+    case 'created':
+    case 'updated': {
+      const date = parseDate(conversation[`${node.field}_at`]);
+      return date !== null && inRange(date.getTime(), node.range);
+    }
+    case 'messages':
+      return inRange(messages.length, node.range);
+    case 'has':
+      return messages.some(message => message && HAS_VALUES[node.value](message));
+    case 'content_type':
+      return messages.some(message => message && Array.isArray(message.content) &&
+        message.content.some(part => part && part.type === node.value));
+    default:
+      return false;
+  }
+}
+
+// Whether a raw conversation matches a parsed query (null matches everything)
+function matchesQuery(node, conversation) {
+  if (!node) return true;
+  if (!conversation) return false;
+  
+  switch (node.type) {
+    case 'and':
+      return node.children.every(child => matchesQuery(child, conversation));
+    case 'or':
+      return node.children.some(child => matchesQuery(child, conversation));
+    case 'not':
+      return !matchesQuery(node.child, conversation);
+    case 'text':
+      return getConversationTitle(conversation).toLowerCase().includes(node.value) ||
+        getMessages(conversation).some(message => getMessageText(message).toLowerCase().includes(node.value));
+    default:
+      return matchesField(node, conversation);
+  }
+}
+
+// Short summary of the syntax, for the filter dialog
+function getQueryHelp() {
+  return [
+    'Words or "phrases", title:"..", sender:human, has:attachment|file,',
+    'created:>2024-06-01, updated:2024-01..2024-03, messages:>20,',
+    'content_type:tool_use; combine with AND, OR, NOT and ( )'
+  ].join('\n');
+}
+
+module.exports = {
+  FIELDS,
+  parseQuery,
+  matchesQuery,
+  parseDatePeriod,
+  getQueryHelp
+};
@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+
+/**
+ * Conversation Redactor
+ *
+ * Removes personal details from conversations before they are shared:
+ * emails, API keys, phone numbers, file paths, names given by the user and
+ * anything matching user-defined regex rules. Applies to the conversation
+ * name, message text, the text of content parts (including thinking and
+ * nested tool results) and attachment extracted_content.
+ *
+ * In pseudonym mode (the default) each distinct value gets a numbered
+ * placeholder such as [EMAIL_2] that stays the same everywhere it occurs,
+ * across all conversations redacted by the same redactor, so the text still
+ * reads sensibly. Mask mode replaces every value with [EMAIL].
+ *
+ * Used by the explorer's export --redact option, and standalone:
+ *
+ *   node conversation-redactor.js conversations.json -o redacted.json --name "Jane Doe"
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { resolveInputPaths, streamConversations } = require('./export-source');
+const { escapeRegExp } = require('./search-matcher');
+
+const USAGE = `Usage: node conversation-redactor.js [options] <export>
+
+Writes a copy of an export (JSON file, export folder or .zip archive) with
+emails, API keys, phone numbers, file paths, the given names and custom
+patterns replaced by placeholders.
+
+Options:
+  -o, --output <file>       Redacted conversations file (default: redacted-conversations.json)
+  -d, --detectors <list>    Built-in detectors to use, comma-separated
+                            (default: email,api_key,phone,path)
+  -n, --name <name>         A name to redact (repeatable), matched as whole words
+  -r, --rule <LABEL=regex>  A custom rule (repeatable), e.g. --rule 'TICKET=PROJ-\\d+'
+      --mask                Replace values with [LABEL] instead of numbered pseudonyms
+  -m, --mapping <file>      Also write the placeholder -> original value mapping
+                            (keep it private: it undoes the redaction)
+  -h, --help                Show this help
+
+Exit codes: 0 written, 2 unreadable export, 64 bad usage`;
+
+const EXIT_CODES = {
+  written: 0,
+  unreadableFile: 2,
+  usage: 64
+};
+
+// Built-in detectors, in priority order: where matches overlap the earlier
+// detector wins. validate() can reject a match the pattern let through.
+const DETECTORS = [
+  {
+    name: 'email',
+    label: 'EMAIL',
+    pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.\p{L}{2,}/gu
+  },
+  {
+    name: 'api_key',
+    label: 'API_KEY',
+    // Keys with a well-known prefix (OpenAI/Anthropic, AWS, GitHub, Slack,
+    // Google, Stripe), JSON web tokens and bearer tokens
+    pattern: new RegExp([
+      '\\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}',
+      '\\b(?:AKIA|ASIA)[0-9A-Z]{16}\\b',
+      '\\b(?:gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{40,})',
+      '\\bxox[abposr]-[A-Za-z0-9-]{10,}',
+      '\\bAIza[0-9A-Za-z_-]{35}',
+      '\\b[rs]k_(?:live|test)_[0-9A-Za-z]{16,}',
+      '\\beyJ[A-Za-z0-9_-]{8,}\\.eyJ[A-Za-z0-9_-]{8,}\\.[A-Za-z0-9_-]{8,}',
+      '(?<=\\bBearer )[A-Za-z0-9._~+/-]{20,}=*'
+    ].join('|'), 'g')
+  },
+  {
+    name: 'phone',
+    label: 'PHONE',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){2,4}(?![\w-])/g,
+    // Phone numbers have 9 to 15 digits; this also leaves dates and times,
+    // version numbers and plain long numbers alone
+    validate: (value) => {
+      const digits = value.replace(/\D/g, '').length;
+      if (digits < 9 || digits > 15) return false;
+      if (/^\d{4}-\d{2}-\d{2}/.test(value) || /^\d+(\.\d+){2,}$/.test(value)) return false;
+      return /[\s.()+-]/.test(value) || value.startsWith('+');
+    }
+  },
+  {
+    name: 'path',
+    label: 'PATH',
+    // Home folders and other absolute paths that reveal a user or machine,
+    // Unix and Windows; a trailing full stop ends the sentence, not the path
+    pattern: /(?:~|\/(?:home|Users|root|mnt|media|var|srv|opt|private))(?:\/[\w.@+-]*[\w@+-])+\/?|\b[A-Za-z]:\\(?:[\w.@+-]+\\)*(?:[\w.@+-]*[\w@+-])?/g
+  }
+];
+
+const DETECTOR_NAMES = DETECTORS.map(detector => detector.name);
+
+// Label of a custom rule or placeholder: uppercase letters, digits and _
+function normalizeLabel(label) {
+  return String(label || '').trim().toUpperCase().replace(/[^A-Z0-9_]+/g, '_') || 'REDACTED';
+}
+
+/**
+ * Parse a "LABEL=regex" rule as given on the command line.
+ * Throws for a missing label or an invalid regular expression.
+ */
+function parseRule(text) {
+  const separator = text.indexOf('=');
+  if (separator <= 0 || separator === text.length - 1) {
+    throw new Error(`Invalid rule "${text}" (expected LABEL=regex)`);
+  }
+  return { label: text.substring(0, separator), pattern: text.substring(separator + 1) };
+}
+
+/**
+ * Create a redactor. Options:
+ *   detectors   - names of the built-in detectors to use (default: all)
+ *   names       - names (people, companies) to redact as whole words, any case
+ *   rules       - custom rules [{ label, pattern, flags }]; pattern is a RegExp
+ *                 or its source
+ *   pseudonyms  - numbered, consistent placeholders (default true); false
+ *                 replaces every value with [LABEL]
+ *
+ * Throws for unknown detectors and invalid rule patterns. The redactor has:
+ *   redactText(text)                 - the text with matches replaced
+ *   redactConversation(conversation) - a redacted copy of a raw conversation
+ *   getStats()                       - { LABEL: number of replacements }
+ *   getMapping()                     - { placeholder: original value }
+ */
+function createRedactor({ detectors = DETECTOR_NAMES, names = [], rules = [], pseudonyms = true } = {}) {
+  const unknown = detectors.filter(name => !DETECTOR_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown detector "${unknown[0]}" (detectors: ${DETECTOR_NAMES.join(', ')})`);
+  }
+  
+  const active = DETECTORS.filter(detector => detectors.includes(detector.name));
+  
+  // Longest names first, so "Jane Doe" wins over "Jane"
+  const nameList = names.map(name => String(name).trim()).filter(Boolean).sort((a, b) => b.length - a.length);
+  if (nameList.length > 0) {
+    active.push({
+      label: 'NAME',
+      pattern: new RegExp(`(?<![\\p{L}\\p{N}_])(?:${nameList.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`, 'giu')
+    });
+  }
+  
+  rules.forEach(rule => {
+    const source = rule.pattern instanceof RegExp ? rule.pattern.source : rule.pattern;
+    const flags = rule.pattern instanceof RegExp ? rule.pattern.flags : (rule.flags || '');
+    let pattern;
+    try {
+      pattern = new RegExp(source, flags.includes('g') ? flags : flags + 'g');
+    } catch (err) {
+      throw new Error(`Invalid pattern for rule ${normalizeLabel(rule.label)}: ${err.message}`);
+    }
+    active.push({ label: normalizeLabel(rule.label), pattern });
+  });
+  
+  const stats = {};
+  const placeholders = new Map(); // "LABEL\0value" -> placeholder
+  const counters = {};
+  const mapping = {};
+  
+  const placeholderFor = (label, value) => {
+    stats[label] = (stats[label] || 0) + 1;
+    if (!pseudonyms) return `[${label}]`;
+    
+    // Names and emails are the same entity in any case
+    const key = `${label}\0${label === 'NAME' || label === 'EMAIL' ? value.toLowerCase() : value}`;
+    if (!placeholders.has(key)) {
+      counters[label] = (counters[label] || 0) + 1;
+      const placeholder = `[${label}_${counters[label]}]`;
+      placeholders.set(key, placeholder);
+      mapping[placeholder] = value;
+    }
+    return placeholders.get(key);
+  };
+  
+  const redactText = (text) => {
+    if (typeof text !== 'string' || text.length === 0) return text;
+    
+    // Collect the matches of every detector, then keep those that do not
+    // overlap a match of an earlier detector or an earlier position
+    const matches = [];
+    active.forEach((detector, priority) => {
+      detector.pattern.lastIndex = 0;
+      let match;
+      while ((match = detector.pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          detector.pattern.lastIndex++;
+          continue;
+        }
+        if (!detector.validate || detector.validate(match[0])) {
+          matches.push({ start: match.index, end: match.index + match[0].length, priority, label: detector.label });
+        }
+      }
+    });
+    if (matches.length === 0) return text;
+    
+    matches.sort((a, b) => a.priority - b.priority || a.start - b.start);
+    const kept = [];
+    matches.forEach(match => {
+      if (!kept.some(other => match.start < other.end && other.start < match.end)) kept.push(match);
+    });
+    kept.sort((a, b) => a.start - b.start);
+    
+    let output = '';
+    let last = 0;
+    kept.forEach(match => {
+      output += text.substring(last, match.start) + placeholderFor(match.label, text.substring(match.start, match.end));
+      last = match.end;
+    });
+    return output + text.substring(last);
+  };
+  
+  // Copy of a content part with its text redacted; tool results nest parts
+  const redactPart = (part) => {
+    if (!part || typeof part !== 'object') return part;
+    
+    const copy = Object.assign({}, part);
+    if (typeof copy.text === 'string') copy.text = redactText(copy.text);
+    if (typeof copy.thinking === 'string') copy.thinking = redactText(copy.thinking);
+    if (typeof copy.content === 'string') {
+      copy.content = redactText(copy.content);
+    } else if (Array.isArray(copy.content)) {
+      copy.content = copy.content.map(redactPart);
+    }
+    return copy;
+  };
+  
+  const redactMessage = (message) => {
+    if (!message || typeof message !== 'object') return message;
+    
+    const copy = Object.assign({}, message);
+    if (typeof copy.text === 'string') copy.text = redactText(copy.text);
+    if (Array.isArray(copy.content)) copy.content = copy.content.map(redactPart);
+    if (Array.isArray(copy.attachments)) {
+      copy.attachments = copy.attachments.map(attachment => {
+        if (!attachment || typeof attachment.extracted_content !== 'string') return attachment;
+        return Object.assign({}, attachment, { extracted_content: redactText(attachment.extracted_content) });
+      });
+    }
+    return copy;
+  };
+  
+  const redactConversation = (conversation) => {
+    if (!conversation || typeof conversation !== 'object') return conversation;
+    
+    const copy = Object.assign({}, conversation);
+    if (typeof copy.name === 'string') copy.name = redactText(copy.name);
+    if (Array.isArray(copy.chat_messages)) copy.chat_messages = copy.chat_messages.map(redactMessage);
+    return copy;
+  };
+  
+  return {
+    redactText,
+    redactConversation,
+    getStats: () => Object.assign({}, stats),
+    getMapping: () => Object.assign({}, mapping)
+  };
+}
+
+// "EMAIL 3, PHONE 1" or "nothing"
+function formatStats(stats) {
+  const entries = Object.entries(stats);
+  return entries.length > 0 ? entries.map(([label, count]) => `${label} ${count}`).join(', ') : 'nothing';
+}
+
+/**
+ * Redact every conversation of an export into a new conversations file,
+ * one conversation at a time. Resolves to { conversations } (the count).
+ */
+async function redactExport(input, output, redactor, { onProgress } = {}) {
+  const fd = fs.openSync(output, 'w');
+  let count = 0;
+  
+  try {
+    fs.writeSync(fd, '[');
+    const result = await streamConversations(input, {
+      onConversation: (conversation) => {
+        fs.writeSync(fd, (count > 0 ? ',\n' : '\n') + JSON.stringify(redactor.redactConversation(conversation)));
+        count++;
+      },
+      onProgress
+    });
+    
+    // A single conversation object instead of an array
+    if (!result.isArray) {
+      fs.writeSync(fd, '\n' + JSON.stringify(redactor.redactConversation(result.value)));
+      count++;
+    }
+    fs.writeSync(fd, '\n]\n');
+  } finally {
+    fs.closeSync(fd);
+  }
+  
+  return { conversations: count };
+}
+
+async function main(argv) {
+  let parsed;
+  let redactor;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o', default: 'redacted-conversations.json' },
+        detectors: { type: 'string', short: 'd', default: DETECTOR_NAMES.join(',') },
+        name: { type: 'string', short: 'n', multiple: true, default: [] },
+        rule: { type: 'string', short: 'r', multiple: true, default: [] },
+        mask: { type: 'boolean', default: false },
+        mapping: { type: 'string', short: 'm' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+    
+    if (!parsed.values.help) {
+      redactor = createRedactor({
+        detectors: parsed.values.detectors.split(',').map(name => name.trim()).filter(Boolean),
+        names: parsed.values.name,
+        rules: parsed.values.rule.map(parseRule),
+        pseudonyms: !parsed.values.mask
+      });
+    }
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+  
+  const options = parsed.values;
+  
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.written;
+  }
+  
+  if (parsed.positionals.length !== 1) {
+    console.error(`Expected one export to redact\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+  
+  const { files, missing } = resolveInputPaths(parsed.positionals);
+  if (missing.length > 0) {
+    console.error(`No such file or export folder: ${missing.join(', ')}`);
+    return EXIT_CODES.unreadableFile;
+  }
+  
+  let result;
+  try {
+    result = await redactExport(files[0], options.output, redactor);
+  } catch (error) {
+    console.error(`Error reading export: ${error.message}`);
+    return EXIT_CODES.unreadableFile;
+  }
+  
+  console.log(`Redacted ${result.conversations} conversations: ${formatStats(redactor.getStats())}`);
+  console.log(`Redacted conversations written to: ${options.output}`);
+  
+  if (options.mapping) {
+    fs.writeFileSync(options.mapping, JSON.stringify(redactor.getMapping(), null, 2));
+    console.log(`Placeholder mapping written to: ${options.mapping}`);
+  }
+  
+  return EXIT_CODES.written;
+}
+
+module.exports = {
+  DETECTORS,
+  DETECTOR_NAMES,
+  parseRule,
+  createRedactor,
+  formatStats,
+  redactExport,
+  EXIT_CODES
+};
+
+// Run the redaction when invoked directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      console.error('Unexpected error:', error);
+      process.exitCode = EXIT_CODES.unreadableFile;
+    });
+}
@@ -1,175 +1,696 @@
 // Conversation JSON Validator
-// This program validates the structure of nested conversation data
+// This program validates the structure of conversation data. Two schema
+// profiles are supported:
+//   export - the data export format (array of conversations with chat_messages)
+//   legacy - the older nested format ({ conversations: [{ messages[].replies }] })
+//
+// Every violation is reported as an issue with a JSON path (e.g.
+// [12].chat_messages[3].content[0].text), a rule id and a severity.
 
 // Import necessary libraries
-const fs = require('fs');
+const { parseArgs } = require('util');
+const { resolveInputPaths, openExport, streamConversations } = require('./export-source');
+const {
+  SENDERS: EXPORT_SENDERS,
+  CONTENT_TYPES: EXPORT_CONTENT_TYPES,
+  getMessageText
+} = require('./conversation-model');
 
-// Define the schema requirements for our conversation data
-const validateConversation = (conversation) => {
-  // Check if conversation has required fields
-  if (!conversation.id || typeof conversation.id !== 'string') {
-    return { valid: false, error: 'Conversation missing valid ID' };
+// ISO 8601 timestamp, e.g. 2024-05-01T10:00:00.123456Z or 2024-05-01T10:00:00+02:00
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/;
+
+// Rule ids with their severity and a short description for summaries
+const validationRules = {
+  'unreadable-file': { severity: 'error', description: 'File could not be read' },
+  'invalid-json': { severity: 'error', description: 'File is not valid JSON' },
+  'invalid-root': { severity: 'error', description: 'Root structure does not match the schema' },
+  'not-object': { severity: 'error', description: 'Value must be an object' },
+  'required-field': { severity: 'error', description: 'Required field is missing or empty' },
+  'invalid-type': { severity: 'error', description: 'Field has the wrong type' },
+  'invalid-timestamp': { severity: 'error', description: 'Timestamp is not ISO 8601' },
+  'invalid-sender': { severity: 'error', description: 'Sender is not one of the allowed values' },
+  'unknown-content-type': { severity: 'warning', description: 'Content part type is not recognized' },
+  'empty-message': { severity: 'warning', description: 'Message has no text, attachments or files' }
+};
+
+const isIsoTimestamp = (value) => {
+  return typeof value === 'string' &&
+    ISO_TIMESTAMP_PATTERN.test(value) &&
+    !isNaN(new Date(value).getTime());
+};
+
+// Collects validation issues. Once maxErrors errors have been recorded the
+// collector is full: further issues are dropped and validators stop early.
+const createIssueCollector = ({ maxErrors = Infinity } = {}) => {
+  const collector = {
+    issues: [],
+    errorCount: 0,
+    warningCount: 0,
+    truncated: false,
+    
+    isFull: () => collector.errorCount >= maxErrors,
+    
+    add: (path, rule, message) => {
+      if (collector.isFull()) {
+        collector.truncated = true;
+        return;
+      }
+      
+      const severity = validationRules[rule] ? validationRules[rule].severity : 'error';
+      collector.issues.push({ path, rule, severity, message });
+      
+      if (severity === 'error') {
+        collector.errorCount++;
+      } else {
+        collector.warningCount++;
+      }
+    }
+  };
+  
+  return collector;
+};
+
+// Convert a collector into the { valid, error } result returned by validators
+const toResult = (issues) => {
+  const firstError = issues.issues.find(issue => issue.severity === 'error');
+  
+  return {
+    valid: issues.errorCount === 0,
+    error: firstError ? `${firstError.path || '(root)'}: ${firstError.message}` : undefined,
+    issues: issues.issues
+  };
+};
+
+// Path helpers: [12].chat_messages[3].content[0].text
+const fieldPath = (path, field) => `${path}.${field}`;
+const indexPath = (path, index) => `${path}[${index}]`;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Field checks shared by both schemas. Each returns true when the field is valid.
+const checkString = (obj, field, path, issues, { allowEmpty = true, optional = false } = {}) => {
+  const value = obj[field];
+  
+  if (value === undefined || value === null || (!allowEmpty && value === '')) {
+    if (optional && value !== '') return true;
+    issues.add(fieldPath(path, field), 'required-field', `Missing ${field}`);
+    return false;
   }
   
-  if (!conversation.title || typeof conversation.title !== 'string') {
-    return { valid: false, error: `Conversation ${conversation.id} missing valid title` };
+  if (typeof value !== 'string') {
+    issues.add(fieldPath(path, field), 'invalid-type', `${field} must be a string (got ${typeof value})`);
+    return false;
   }
   
-  if (!Array.isArray(conversation.messages)) {
-    return { valid: false, error: `Conversation ${conversation.id} missing messages array` };
+  return true;
+};
+
+const checkTimestamp = (obj, field, path, issues, { nullable = false } = {}) => {
+  const value = obj[field];
+  
+  if (value === undefined || value === null) {
+    if (nullable) return true;
+    issues.add(fieldPath(path, field), 'required-field', `Missing ${field}`);
+    return false;
   }
   
-  // Validate each message
-  for (let i = 0; i < conversation.messages.length; i++) {
-    const message = conversation.messages[i];
-    
-    if (!message.id || typeof message.id !== 'string') {
-      return { valid: false, error: `Message at index ${i} in conversation ${conversation.id} has invalid ID` };
-    }
-    
-    if (!message.timestamp || isNaN(new Date(message.timestamp).getTime())) {
-      return { valid: false, error: `Message ${message.id} has invalid timestamp` };
+  if (!isIsoTimestamp(value)) {
+    issues.add(fieldPath(path, field), 'invalid-timestamp', `${field} is not an ISO 8601 timestamp: ${JSON.stringify(value)}`);
+    return false;
+  }
+  
+  return true;
+};
+
+const checkArray = (obj, field, path, issues, { optional = false } = {}) => {
+  const value = obj[field];
+  
+  if (value === undefined || value === null) {
+    if (optional) return false;
+    issues.add(fieldPath(path, field), 'required-field', `Missing ${field} array`);
+    return false;
+  }
+  
+  if (!Array.isArray(value)) {
+    issues.add(fieldPath(path, field), 'invalid-type', `${field} must be an array (got ${typeof value})`);
+    return false;
+  }
+  
+  return true;
+};
+
+// Validate a single content part of an exported message
+const validateExportContentPart = (part, path, issues) => {
+  if (!isObject(part)) {
+    issues.add(path, 'not-object', 'Content part is not an object');
+    return;
+  }
+  
+  if (!EXPORT_CONTENT_TYPES.includes(part.type)) {
+    issues.add(fieldPath(path, 'type'), 'unknown-content-type', `Unknown content type: ${JSON.stringify(part.type)}`);
+  }
+  
+  // Timestamps are optional but must be ISO strings (or null) when present
+  checkTimestamp(part, 'start_timestamp', path, issues, { nullable: true });
+  checkTimestamp(part, 'stop_timestamp', path, issues, { nullable: true });
+  
+  if (part.type === 'text') {
+    checkString(part, 'text', path, issues);
+  } else if (part.type === 'thinking') {
+    checkString(part, 'thinking', path, issues);
+  } else if (part.type === 'tool_use') {
+    checkString(part, 'name', path, issues, { allowEmpty: false });
+  } else if (part.type === 'tool_result') {
+    checkArray(part, 'content', path, issues, { optional: true });
+  }
+  
+  checkArray(part, 'citations', path, issues, { optional: true });
+};
+
+// Validate an attachment (file with extracted text) of an exported message
+const validateExportAttachment = (attachment, path, issues) => {
+  if (!isObject(attachment)) {
+    issues.add(path, 'not-object', 'Attachment is not an object');
+    return;
+  }
+  
+  checkString(attachment, 'file_name', path, issues);
+  checkString(attachment, 'file_type', path, issues, { optional: true });
+  checkString(attachment, 'extracted_content', path, issues, { optional: true });
+  
+  if (attachment.file_size !== undefined && typeof attachment.file_size !== 'number') {
+    issues.add(fieldPath(path, 'file_size'), 'invalid-type', `file_size must be a number (got ${typeof attachment.file_size})`);
+  }
+};
+
+// Validate a single message of an exported conversation
+const validateExportMessage = (message, path = '', issues = createIssueCollector({ maxErrors: 1 })) => {
+  if (!isObject(message)) {
+    issues.add(path, 'not-object', 'Message is not an object');
+    return toResult(issues);
+  }
+  
+  checkString(message, 'uuid', path, issues, { allowEmpty: false });
+  
+  if (message.sender === undefined || message.sender === null) {
+    issues.add(fieldPath(path, 'sender'), 'required-field', 'Missing sender');
+  } else if (!EXPORT_SENDERS.includes(message.sender)) {
+    issues.add(
+      fieldPath(path, 'sender'),
+      'invalid-sender',
+      `sender must be one of ${EXPORT_SENDERS.join(', ')} (got ${JSON.stringify(message.sender)})`
+    );
+  }
+  
+  checkTimestamp(message, 'created_at', path, issues);
+  checkTimestamp(message, 'updated_at', path, issues);
+  checkString(message, 'text', path, issues);
+  
+  // Same notion of message text as the explorer and the analyzer
+  const hasAttachments = Array.isArray(message.attachments) && message.attachments.length > 0;
+  const hasFiles = Array.isArray(message.files) && message.files.length > 0;
+  if (getMessageText(message).trim() === '' && !hasAttachments && !hasFiles) {
+    issues.add(path, 'empty-message', 'Message has no text, attachments or files');
+  }
+  
+  if (checkArray(message, 'content', path, issues)) {
+    for (let i = 0; i < message.content.length && !issues.isFull(); i++) {
+      validateExportContentPart(message.content[i], indexPath(fieldPath(path, 'content'), i), issues);
     }
-    
-    if (!message.sender || typeof message.sender !== 'string') {
-      return { valid: false, error: `Message ${message.id} has invalid sender` };
+  }
+  
+  if (checkArray(message, 'attachments', path, issues)) {
+    for (let i = 0; i < message.attachments.length && !issues.isFull(); i++) {
+      validateExportAttachment(message.attachments[i], indexPath(fieldPath(path, 'attachments'), i), issues);
     }
-    
-    if (message.content === undefined || typeof message.content !== 'string') {
-      return { valid: false, error: `Message ${message.id} has invalid content` };
+  }
+  
+  if (checkArray(message, 'files', path, issues)) {
+    for (let i = 0; i < message.files.length && !issues.isFull(); i++) {
+      const filePath = indexPath(fieldPath(path, 'files'), i);
+      if (!isObject(message.files[i])) {
+        issues.add(filePath, 'not-object', 'File is not an object');
+      } else {
+        checkString(message.files[i], 'file_name', filePath, issues);
+      }
     }
-    
-    // Check for nested replies if they exist
-    if (message.replies && !Array.isArray(message.replies)) {
-      return { valid: false, error: `Message ${message.id} has invalid replies format` };
+  }
+  
+  return toResult(issues);
+};
+
+// Validate a conversation in the data export format
+const validateExportConversation = (conversation, path = '', issues = createIssueCollector({ maxErrors: 1 })) => {
+  if (!isObject(conversation)) {
+    issues.add(path, 'not-object', 'Conversation is not an object');
+    return toResult(issues);
+  }
+  
+  checkString(conversation, 'uuid', path, issues, { allowEmpty: false });
+  
+  // Names may be empty for untitled conversations, but must be strings
+  checkString(conversation, 'name', path, issues);
+  checkTimestamp(conversation, 'created_at', path, issues);
+  checkTimestamp(conversation, 'updated_at', path, issues);
+  
+  if (!isObject(conversation.account)) {
+    issues.add(fieldPath(path, 'account'), 'required-field', 'Missing account object');
+  } else {
+    checkString(conversation.account, 'uuid', fieldPath(path, 'account'), issues, { allowEmpty: false });
+  }
+  
+  if (checkArray(conversation, 'chat_messages', path, issues)) {
+    for (let i = 0; i < conversation.chat_messages.length && !issues.isFull(); i++) {
+      validateExportMessage(conversation.chat_messages[i], indexPath(fieldPath(path, 'chat_messages'), i), issues);
     }
-    
-    // Recursively validate nested replies
-    if (message.replies && message.replies.length > 0) {
-      for (let j = 0; j < message.replies.length; j++) {
-        const reply = message.replies[j];
-        
-        // Apply the same validation to each reply
-        if (!reply.id || typeof reply.id !== 'string') {
-          return { valid: false, error: `Reply at index ${j} in message ${message.id} has invalid ID` };
-        }
-        
-        if (!reply.timestamp || isNaN(new Date(reply.timestamp).getTime())) {
-          return { valid: false, error: `Reply ${reply.id} has invalid timestamp` };
-        }
-        
-        if (!reply.sender || typeof reply.sender !== 'string') {
-          return { valid: false, error: `Reply ${reply.id} has invalid sender` };
-        }
-        
-        if (reply.content === undefined || typeof reply.content !== 'string') {
-          return { valid: false, error: `Reply ${reply.id} has invalid content` };
-        }
-        
-        // Handle deeply nested replies (recursive case)
-        if (reply.replies) {
-          const nestedReplyValidation = validateNestedReplies(reply.replies, `reply ${reply.id}`);
-          if (!nestedReplyValidation.valid) {
-            return nestedReplyValidation;
-          }
-        }
-      }
+  }
+  
+  return toResult(issues);
+};
+
+// Validate a legacy message or reply, including its nested replies
+const validateLegacyMessage = (message, path, issues) => {
+  if (!isObject(message)) {
+    issues.add(path, 'not-object', 'Message is not an object');
+    return;
+  }
+  
+  checkString(message, 'id', path, issues, { allowEmpty: false });
+  
+  if (!message.timestamp) {
+    issues.add(fieldPath(path, 'timestamp'), 'required-field', 'Missing timestamp');
+  } else if (isNaN(new Date(message.timestamp).getTime())) {
+    issues.add(fieldPath(path, 'timestamp'), 'invalid-timestamp', `timestamp is not a valid date: ${JSON.stringify(message.timestamp)}`);
+  }
+  
+  checkString(message, 'sender', path, issues, { allowEmpty: false });
+  checkString(message, 'content', path, issues);
+  
+  // Check for nested replies if they exist
+  if (message.replies) {
+    validateNestedReplies(message.replies, fieldPath(path, 'replies'), issues);
+  }
+};
+
+// Define the schema requirements for our legacy nested conversation data
+const validateConversation = (conversation, path = '', issues = createIssueCollector({ maxErrors: 1 })) => {
+  if (!isObject(conversation)) {
+    issues.add(path, 'not-object', 'Conversation is not an object');
+    return toResult(issues);
+  }
+  
+  checkString(conversation, 'id', path, issues, { allowEmpty: false });
+  checkString(conversation, 'title', path, issues, { allowEmpty: false });
+  
+  // Validate each message, recursing into their replies
+  if (checkArray(conversation, 'messages', path, issues)) {
+    for (let i = 0; i < conversation.messages.length && !issues.isFull(); i++) {
+      validateLegacyMessage(conversation.messages[i], indexPath(fieldPath(path, 'messages'), i), issues);
     }
   }
   
-  // If we got here, the conversation is valid
-  return { valid: true };
+  return toResult(issues);
 };
 
 // Helper function to validate deeply nested replies
-const validateNestedReplies = (replies, parentContext) => {
+const validateNestedReplies = (replies, path, issues = createIssueCollector({ maxErrors: 1 })) => {
   if (!Array.isArray(replies)) {
-    return { valid: false, error: `${parentContext} has invalid replies format` };
+    issues.add(path, 'invalid-type', 'replies must be an array');
+    return toResult(issues);
   }
   
-  for (let i = 0; i < replies.length; i++) {
-    const reply = replies[i];
-    
-    if (!reply.id || typeof reply.id !== 'string') {
-      return { valid: false, error: `Nested reply at index ${i} in ${parentContext} has invalid ID` };
-    }
-    
-    if (!reply.timestamp || isNaN(new Date(reply.timestamp).getTime())) {
-      return { valid: false, error: `Nested reply ${reply.id} has invalid timestamp` };
+  for (let i = 0; i < replies.length && !issues.isFull(); i++) {
+    validateLegacyMessage(replies[i], indexPath(path, i), issues);
+  }
+  
+  return toResult(issues);
+};
+
+// Schema profiles: where to find the conversations and how to validate each
+const schemaProfiles = {
+  export: {
+    description: 'Data export (array of conversations with chat_messages)',
+    arrayRoot: true,
+    getConversations: (data) => Array.isArray(data) ? data : null,
+    conversationPath: (index) => `[${index}]`,
+    rootError: 'Root must be an array of conversations',
+    validateConversation: validateExportConversation
+  },
+  legacy: {
+    description: 'Legacy nested replies ({ conversations: [{ id, title, messages }] })',
+    arrayRoot: false,
+    getConversations: (data) => data && Array.isArray(data.conversations) ? data.conversations : null,
+    conversationPath: (index) => `conversations[${index}]`,
+    rootError: 'Missing or invalid conversations array',
+    validateConversation
+  }
+};
+
+// Process exit codes, so CI jobs can tell failures apart
+const EXIT_CODES = {
+  valid: 0,
+  invalidData: 1,
+  unreadableFile: 2,
+  internalError: 3,
+  usage: 64
+};
+
+// Main validation function. Conversations are streamed from the file and
+// validated one at a time, so large exports never have to fit in memory.
+//   schema    - profile name (see schemaProfiles)
+//   mode      - 'first' stops at the first error, 'all' collects every issue
+//   maxErrors - cap on collected errors in 'all' mode
+const validateConversationsFile = async (filePath, { schema = 'export', mode = 'first', maxErrors = Infinity } = {}) => {
+  const profile = schemaProfiles[schema];
+  if (!profile) {
+    return { valid: false, error: `Unknown schema: ${schema}. Available schemas: ${Object.keys(schemaProfiles).join(', ')}` };
+  }
+  
+  const issues = createIssueCollector({ maxErrors: mode === 'first' ? 1 : maxErrors });
+  // Truncated only when a cap of 'all' mode was reached: 'first' mode always
+  // stops at its single error
+  const result = (extra) => Object.assign({ file: filePath, schema, mode }, toResult(issues), {
+    errorCount: issues.errorCount,
+    warningCount: issues.warningCount,
+    truncated: mode === 'all' && issues.truncated
+  }, extra);
+  
+  let exportSource;
+  try {
+    // Locate the JSON file (directly, in an export folder or in a zip archive)
+    exportSource = openExport(filePath);
+  } catch (error) {
+    issues.add('', 'unreadable-file', `Failed to read file: ${error.message}`);
+    return result();
+  }
+  
+  let parsed;
+  try {
+    parsed = await streamConversations(exportSource, {
+      // Array roots are validated element by element while parsing
+      onConversation: (conversation, index) => {
+        if (!profile.arrayRoot) return true;
+        profile.validateConversation(conversation, profile.conversationPath(index), issues);
+        return !issues.isFull();
+      }
+    });
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      issues.add('', 'invalid-json', `Invalid JSON syntax in file: ${error.message}`);
+    } else {
+      issues.add('', 'unreadable-file', `Failed to read file: ${error.message}`);
     }
-    
-    if (!reply.sender || typeof reply.sender !== 'string') {
-      return { valid: false, error: `Nested reply ${reply.id} has invalid sender` };
+    return result();
+  }
+  
+  // Validate overall structure
+  const conversations = profile.getConversations(parsed.isArray ? [] : parsed.value);
+  if (profile.arrayRoot !== parsed.isArray || !conversations) {
+    issues.add('', 'invalid-root', profile.rootError);
+    return result();
+  }
+  
+  // Streaming stopped because the collector filled up
+  if (parsed.aborted) {
+    issues.truncated = true;
+  }
+  
+  // Object roots are validated once fully parsed
+  let i = 0;
+  for (; i < conversations.length && !issues.isFull(); i++) {
+    profile.validateConversation(conversations[i], profile.conversationPath(i), issues);
+  }
+  if (i < conversations.length) {
+    issues.truncated = true;
+  }
+  
+  const count = parsed.isArray ? parsed.count : conversations.length;
+  return result({
+    conversationCount: count,
+    message: parsed.aborted ?
+      `Stopped after ${count} conversations (${schema} schema)` :
+      `Validated ${count} conversations (${schema} schema)`
+  });
+};
+
+// Group issues by rule id, keeping counts and the first few examples
+const groupIssuesByRule = (issues) => {
+  const groups = {};
+  
+  issues.forEach(issue => {
+    if (!groups[issue.rule]) {
+      groups[issue.rule] = { rule: issue.rule, severity: issue.severity, count: 0, issues: [] };
     }
+    groups[issue.rule].count++;
+    groups[issue.rule].issues.push(issue);
+  });
+  
+  // Errors first, then by frequency
+  return Object.values(groups).sort((a, b) => {
+    if (a.severity !== b.severity) return a.severity === 'error' ? -1 : 1;
+    return b.count - a.count;
+  });
+};
+
+// Human-readable summary grouped by rule
+const formatSummary = (result, { examplesPerRule = 5 } = {}) => {
+  const lines = [];
+  const counts = `${result.errorCount || 0} errors, ${result.warningCount || 0} warnings`;
+  
+  lines.push(`${result.file}: ${result.message || 'Validation aborted'} - ${counts}`);
+  
+  groupIssuesByRule(result.issues || []).forEach(group => {
+    const description = validationRules[group.rule] ? ` - ${validationRules[group.rule].description}` : '';
+    lines.push('');
+    lines.push(`${group.severity.toUpperCase()} ${group.rule} (${group.count})${description}`);
     
-    if (reply.content === undefined || typeof reply.content !== 'string') {
-      return { valid: false, error: `Nested reply ${reply.id} has invalid content` };
-    }
+    group.issues.slice(0, examplesPerRule).forEach(issue => {
+      lines.push(`  ${issue.path || '(root)'}: ${issue.message}`);
+    });
     
-    // Recursive check for deeper nesting
-    if (reply.replies) {
-      const deeperValidation = validateNestedReplies(reply.replies, `nested reply ${reply.id}`);
-      if (!deeperValidation.valid) {
-        return deeperValidation;
-      }
+    if (group.count > examplesPerRule) {
+      lines.push(`  ... and ${group.count - examplesPerRule} more`);
     }
+  });
+  
+  if (result.truncated) {
+    lines.push('');
+    lines.push('Stopped early: error limit reached');
+  } else if (result.mode === 'first' && result.errorCount > 0) {
+    lines.push('');
+    lines.push('Stopped at the first error; use --all to see every error');
   }
   
-  return { valid: true };
+  return lines.join('\n');
 };
 
-// Main validation function
-const validateConversationsFile = (filePath) => {
-  try {
-    // Read and parse the JSON file
-    const fileData = fs.readFileSync(filePath, 'utf8');
-    const conversationsData = JSON.parse(fileData);
+// Escape text for XML attributes and content
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// JUnit XML: one test suite per file, one failing test case per rule
+const formatJUnit = (results) => {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<testsuites name="conversation-validator">'];
+  
+  results.forEach(result => {
+    const groups = groupIssuesByRule(result.issues || []);
+    const failures = groups.filter(group => group.severity === 'error');
+    const tests = Math.max(groups.length, 1);
     
-    // Validate overall structure
-    if (!conversationsData.conversations || !Array.isArray(conversationsData.conversations)) {
-      return { valid: false, error: 'Missing or invalid conversations array' };
-    }
+    lines.push(`  <testsuite name="${escapeXml(result.file)}" tests="${tests}" failures="${failures.length}" errors="0">`);
     
-    // Validate each conversation
-    for (let i = 0; i < conversationsData.conversations.length; i++) {
-      const conversationValidation = validateConversation(conversationsData.conversations[i]);
-      if (!conversationValidation.valid) {
-        return { 
-          valid: false, 
-          error: conversationValidation.error,
-          conversationIndex: i
-        };
-      }
+    if (groups.length === 0) {
+      lines.push(`    <testcase classname="${escapeXml(result.file)}" name="${escapeXml(result.schema)} schema"/>`);
     }
     
-    // If we got here, everything is valid
-    return { 
-      valid: true, 
-      message: `Successfully validated ${conversationsData.conversations.length} conversations` 
-    };
+    groups.forEach(group => {
+      lines.push(`    <testcase classname="${escapeXml(result.file)}" name="${escapeXml(group.rule)}">`);
+      const body = group.issues.map(issue => `${issue.path || '(root)'}: ${issue.message}`).join('\n');
+      const message = `${group.count} ${group.severity}${group.count === 1 ? '' : 's'}`;
+      
+      if (group.severity === 'error') {
+        lines.push(`      <failure message="${escapeXml(message)}" type="${escapeXml(group.rule)}">${escapeXml(body)}</failure>`);
+      } else {
+        lines.push(`      <system-out>${escapeXml(body)}</system-out>`);
+      }
+      lines.push('    </testcase>');
+    });
     
-  } catch (error) {
-    if (error instanceof SyntaxError) {
-      return { valid: false, error: 'Invalid JSON syntax in file' };
-    }
-    return { valid: false, error: `Failed to read or parse file: ${error.message}` };
-  }
+    lines.push('  </testsuite>');
+  });
+  
+  lines.push('</testsuites>');
+  return lines.join('\n');
 };
 
-// Run the validation
-try {
-  const result = validateConversationsFile('conversations.json');
-  console.log(JSON.stringify(result, null, 2));
+// Machine-readable report
+const buildJsonReport = (result) => {
+  const rules = {};
+  groupIssuesByRule(result.issues || []).forEach(group => {
+    rules[group.rule] = { severity: group.severity, count: group.count };
+  });
+  
+  return {
+    file: result.file,
+    schema: result.schema,
+    valid: result.valid,
+    conversations: result.conversationCount || 0,
+    errors: result.errorCount || 0,
+    warnings: result.warningCount || 0,
+    truncated: Boolean(result.truncated),
+    rules,
+    issues: result.issues || []
+  };
+};
+
+module.exports = {
+  schemaProfiles,
+  validationRules,
+  isIsoTimestamp,
+  createIssueCollector,
+  validateConversation,
+  validateNestedReplies,
+  validateExportConversation,
+  validateExportMessage,
+  validateConversationsFile,
+  groupIssuesByRule,
+  formatSummary,
+  formatJUnit,
+  buildJsonReport,
+  EXIT_CODES
+};
+
+// Exit code for a set of results: the most serious problem wins
+const getExitCode = (results) => {
+  const unreadable = results.some(result => (result.issues || []).some(issue => issue.rule === 'unreadable-file'));
+  if (unreadable) return EXIT_CODES.unreadableFile;
+  return results.every(result => result.valid) ? EXIT_CODES.valid : EXIT_CODES.invalidData;
+};
+
+const USAGE = `Usage: node conversation-validator.js [options] [file|dir|glob ...]
+
+Validates conversation exports. Inputs may be JSON files, export folders
+(data-YYYY-MM-DD-*), export zip archives, folders of exports or glob patterns. Defaults to
+conversations.json in the current directory.
+
+Options:
+  -s, --schema <name>      Schema profile: ${Object.keys(schemaProfiles).join(', ')} (default: export)
+  -f, --format <format>    Output format: text, json, junit (default: text)
+  -a, --all                Report every issue instead of stopping at the first
+      --max-errors <n>     Stop after n errors per file (implies --all)
+  -q, --quiet              Only print files that fail validation (text format)
+  -h, --help               Show this help
+
+Exit codes:
+  ${EXIT_CODES.valid}   all files valid
+  ${EXIT_CODES.invalidData}   invalid data (schema violations or malformed JSON)
+  ${EXIT_CODES.unreadableFile}   a file could not be found or read
+  ${EXIT_CODES.internalError}   internal error
+  ${EXIT_CODES.usage}  invalid command line usage`;
+
+// Command line entry point
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        schema: { type: 'string', short: 's', default: 'export' },
+        format: { type: 'string', short: 'f', default: 'text' },
+        all: { type: 'boolean', short: 'a', default: false },
+        'max-errors': { type: 'string' },
+        json: { type: 'boolean', default: false },
+        quiet: { type: 'boolean', short: 'q', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+  
+  const options = parsed.values;
+  const format = options.json ? 'json' : options.format;
+  
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.valid;
+  }
+  
+  if (!schemaProfiles[options.schema]) {
+    console.error(`Unknown schema: ${options.schema}. Available schemas: ${Object.keys(schemaProfiles).join(', ')}`);
+    return EXIT_CODES.usage;
+  }
   
-  // Exit with appropriate code
-  if (result.valid) {
-    console.log('Validation successful!');
-    process.exit(0);
+  if (!['text', 'json', 'junit'].includes(format)) {
+    console.error(`Unknown format: ${format}. Available formats: text, json, junit`);
+    return EXIT_CODES.usage;
+  }
+  
+  const maxErrors = options['max-errors'] !== undefined ? parseInt(options['max-errors'], 10) : Infinity;
+  if (isNaN(maxErrors) || maxErrors < 1) {
+    console.error(`Invalid --max-errors value: ${options['max-errors']}`);
+    return EXIT_CODES.usage;
+  }
+  
+  const mode = options.all || options['max-errors'] !== undefined ? 'all' : 'first';
+  const inputs = parsed.positionals.length > 0 ? parsed.positionals : ['conversations.json'];
+  const { files, missing } = resolveInputPaths(inputs);
+  
+  const results = [];
+  for (const file of files) {
+    results.push(await validateConversationsFile(file, { schema: options.schema, mode, maxErrors }));
+  }
+  
+  // Inputs that matched nothing are reported like unreadable files
+  missing.forEach(input => {
+    results.push({
+      file: input,
+      schema: options.schema,
+      valid: false,
+      error: `No such file or export folder: ${input}`,
+      errorCount: 1,
+      warningCount: 0,
+      issues: [{ path: '', rule: 'unreadable-file', severity: 'error', message: `No such file or export folder: ${input}` }]
+    });
+  });
+  
+  if (format === 'json') {
+    const reports = results.map(buildJsonReport);
+    console.log(JSON.stringify({ valid: reports.every(report => report.valid), files: reports }, null, 2));
+  } else if (format === 'junit') {
+    console.log(formatJUnit(results));
   } else {
-    console.error('Validation failed:', result.error);
-    process.exit(1);
+    results.forEach((result, i) => {
+      if (options.quiet) {
+        if (!result.valid) console.error(`${result.file}: ${result.error}`);
+        return;
+      }
+      if (i > 0) console.log('');
+      console.log(formatSummary(result));
+    });
+    
+    if (!options.quiet) {
+      const failed = results.filter(result => !result.valid).length;
+      console.log(failed === 0 ? '\nValidation successful!' : `\nValidation failed: ${failed} of ${results.length} files invalid`);
+    }
   }
-} catch (error) {
-  console.error('Unexpected error:', error);
-  process.exit(1);
+  
+  return getExitCode(results);
+};
+
+// Run the validation when invoked directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      console.error('Unexpected error:', error);
+      process.exitCode = EXIT_CODES.internalError;
+    });
 }
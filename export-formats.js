@@ -0,0 +1,446 @@
+/**
+ * Export Formats
+ *
+ * Registry of the formats conversations can be exported to. An exporter is
+ *
+ *   {
+ *     name,                  - used with --format
+ *     extensions: ['.md'],   - the first one is used for new files
+ *     description,
+ *     render(conversation),  - file contents for one conversation
+ *     renderIndex(entries)   - optional: index of a batch export, where
+ *                              entries are [{ conversation, file }]
+ *   }
+ *
+ * Built in: markdown, markdown-full, json, jsonl, html, txt and csv. Other
+ * modules can add their own with registerExporter().
+ */
+
+const path = require('path');
+const moment = require('moment');
+const { getMessages, getMessageText, getConversationTitle, normalizeConversation } = require('./conversation-model');
+const { escapeHtml } = require('./analysis-html-report');
+
+const exporters = new Map();
+
+function registerExporter(exporter) {
+  if (!exporter || !exporter.name || typeof exporter.render !== 'function') {
+    throw new Error('An exporter needs a name and a render(conversation) function');
+  }
+  exporters.set(exporter.name, Object.assign({ extensions: [], description: '' }, exporter));
+}
+
+function getExporter(name) {
+  return exporters.get(String(name).toLowerCase()) || null;
+}
+
+// Exporter for a file name, from its extension; null when unknown
+function getExporterForFile(file) {
+  const extension = path.extname(file || '').toLowerCase();
+  if (!extension) return null;
+  
+  for (const exporter of exporters.values()) {
+    if (exporter.extensions.includes(extension)) return exporter;
+  }
+  return null;
+}
+
+function listExporters() {
+  return Array.from(exporters.values());
+}
+
+function formatDate(value, format = 'YYYY-MM-DD HH:mm') {
+  if (!value) return 'N/A';
+  const date = moment(value);
+  return date.isValid() ? date.format(format) : 'Invalid date';
+}
+
+// Markdown: title, date and uuid, then each message
+function renderMarkdown(conversation) {
+  const messages = getMessages(conversation);
+  let output = '';
+  
+  output += `# ${getConversationTitle(conversation)}\n`;
+  output += `Date: ${formatDate(conversation.created_at)}\n`;
+  output += `UUID: ${conversation.uuid}\n\n`;
+  
+  messages.forEach((msg, index) => {
+    const role = msg.sender || 'unknown';
+    output += `## Message ${index + 1} (${role}) - ${formatDate(msg.created_at)}\n\n`;
+    
+    const text = getMessageText(msg);
+    output += `${text || '(empty message)'}\n\n`;
+    
+    // Add attachments if any
+    if (Array.isArray(msg.attachments) && msg.attachments.length > 0) {
+      output += `### Attachments\n`;
+      msg.attachments.forEach(attach => {
+        output += `- ${attach.file_name || 'Unnamed'} (${attach.file_type || 'unknown'})\n`;
+      });
+      output += '\n';
+    }
+  });
+  
+  return output;
+}
+
+function renderMarkdownIndex(entries) {
+  let output = '# Exported Conversations\n\n';
+  output += `${entries.length} conversations, exported ${moment().format('YYYY-MM-DD HH:mm')}\n\n`;
+  
+  entries.forEach(({ conversation, file }) => {
+    const name = getConversationTitle(conversation).replace(/([[\]])/g, '\\$1');
+    const link = encodeURI(file).replace(/\(/g, '%28').replace(/\)/g, '%29');
+    output += `- [${name}](${link}) - ${formatDate(conversation.created_at)}, ${getMessages(conversation).length} messages\n`;
+  });
+  
+  return output;
+}
+
+// Fence for a code block that may itself contain backticks: one longer
+// than the longest run of backticks in the content
+function codeFence(content) {
+  const runs = String(content).match(/`+/g) || [];
+  return '`'.repeat(Math.max(3, ...runs.map(run => run.length + 1)));
+}
+
+function codeBlock(content, language = '') {
+  const text = String(content).replace(/\n$/, '');
+  const fence = codeFence(text);
+  return `${fence}${language}\n${text}\n${fence}\n`;
+}
+
+// YAML scalar: JSON strings are valid double-quoted YAML
+function yamlValue(value) {
+  if (value === null || value === undefined || value === '') return 'null';
+  if (typeof value === 'number') return String(value);
+  return JSON.stringify(String(value));
+}
+
+// Timestamp as written in the export (ISO 8601), or the parsed date; null
+// when there is none
+function isoTimestamp(raw, date) {
+  if (typeof raw === 'string' && raw) return raw;
+  return date ? date.toISOString() : null;
+}
+
+function describeDuration(part) {
+  if (!part.startedAt || !part.stoppedAt) return '';
+  const seconds = Math.round((part.stoppedAt - part.startedAt) / 1000);
+  return seconds >= 0 ? ` (${seconds}s)` : '';
+}
+
+// Collapsible section; the blank lines let Markdown render inside it
+function details(summary, body) {
+  return `<details>\n<summary>${escapeHtml(summary)}</summary>\n\n${body.replace(/\n+$/, '')}\n\n</details>\n`;
+}
+
+// Language hint for an attachment's content, from its file name
+function languageForFile(fileName) {
+  const extension = path.extname(fileName || '').substring(1).toLowerCase();
+  return /^[a-z0-9+#-]+$/.test(extension) ? extension : '';
+}
+
+// Markdown of one normalized content part
+function renderPartMarkdown(part) {
+  switch (part.type) {
+    case 'text':
+    case 'unknown':
+      return part.text;
+    case 'thinking':
+      return details(`Thinking${describeDuration(part)}`, part.text || '(empty)');
+    case 'tool_use':
+      return `**Tool call: ${part.name || 'unnamed'}**${describeDuration(part)}\n\n` +
+        codeBlock(JSON.stringify(part.input === undefined ? null : part.input, null, 2), 'json');
+    case 'tool_result':
+      return `**Tool result: ${part.name || 'unnamed'}**${part.isError ? ' (error)' : ''}\n\n` +
+        codeBlock(part.text || '(empty)');
+    default:
+      // image, document, voice_note and types added later
+      return part.text ? `*[${part.type}]*\n\n${part.text}` : `*[${part.type}]*`;
+  }
+}
+
+/**
+ * Full-fidelity Markdown: YAML front matter with the conversation's uuid,
+ * timestamps and account, every content part in order (thinking, tool calls
+ * and results as labelled blocks), attachment contents in collapsible
+ * sections, file references, and timestamps as written in the export.
+ */
+function renderMarkdownFull(conversation) {
+  const normalized = normalizeConversation(conversation);
+  let output = '---\n';
+  
+  output += `title: ${yamlValue(normalized.title)}\n`;
+  output += `uuid: ${yamlValue(normalized.uuid)}\n`;
+  output += `created_at: ${yamlValue(isoTimestamp(conversation.created_at, normalized.createdAt))}\n`;
+  output += `updated_at: ${yamlValue(isoTimestamp(conversation.updated_at, normalized.updatedAt))}\n`;
+  output += `account: ${yamlValue(normalized.accountUuid)}\n`;
+  output += `messages: ${normalized.messages.length}\n`;
+  output += '---\n\n';
+  output += `# ${normalized.title}\n\n`;
+  
+  normalized.messages.forEach(message => {
+    output += `## ${message.index + 1}. ${message.sender} - ${isoTimestamp(message.raw.created_at, message.createdAt) || 'no date'}\n\n`;
+    
+    // Parts carry everything the message text has and more
+    const blocks = message.parts.length > 0 ?
+      message.parts.map(renderPartMarkdown) :
+      [message.text];
+    const body = blocks
+      .filter(block => block && block.trim().length > 0)
+      .map(block => block.replace(/\n+$/, ''))
+      .join('\n\n');
+    output += `${body || '(empty message)'}\n\n`;
+    
+    if (message.attachments.length > 0) {
+      output += '### Attachments\n\n';
+      message.attachments.forEach(attachment => {
+        const size = attachment.fileSize !== null ? `, ${attachment.fileSize} bytes` : '';
+        const summary = `${attachment.fileName} (${attachment.fileType}${size})`;
+        output += attachment.extractedContent ?
+          details(summary, codeBlock(attachment.extractedContent, languageForFile(attachment.fileName))) + '\n' :
+          `- ${summary}, no extracted content\n\n`;
+      });
+    }
+    
+    if (message.files.length > 0) {
+      output += '### Files\n\n';
+      message.files.forEach(file => {
+        output += `- ${file.fileName}${file.fileUuid ? ` (${file.fileUuid})` : ''}\n`;
+      });
+      output += '\n';
+    }
+  });
+  
+  return output;
+}
+
+// One flat record per message, with the conversation it belongs to
+function getMessageRecords(conversation) {
+  return getMessages(conversation).map((msg, index) => ({
+    conversation_uuid: conversation.uuid || '',
+    conversation_name: getConversationTitle(conversation),
+    conversation_created_at: conversation.created_at || '',
+    conversation_updated_at: conversation.updated_at || '',
+    message_index: index,
+    message_uuid: msg && msg.uuid ? msg.uuid : '',
+    sender: msg && msg.sender ? msg.sender : 'unknown',
+    created_at: msg && msg.created_at ? msg.created_at : '',
+    updated_at: msg && msg.updated_at ? msg.updated_at : '',
+    text: getMessageText(msg),
+    attachments: msg && Array.isArray(msg.attachments) ? msg.attachments.map(a => a.file_name || 'Unnamed') : [],
+    files: msg && Array.isArray(msg.files) ? msg.files.map(f => f.file_name || 'Unnamed') : []
+  }));
+}
+
+function renderJsonl(conversation) {
+  return getMessageRecords(conversation).map(record => JSON.stringify(record) + '\n').join('');
+}
+
+const CSV_COLUMNS = ['conversation_uuid', 'conversation_name', 'message_index', 'sender', 'created_at', 'text'];
+
+function escapeCsv(value) {
+  const text = String(value === undefined || value === null ? '' : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(conversation) {
+  const rows = getMessageRecords(conversation).map(record => CSV_COLUMNS.map(column => escapeCsv(record[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+function renderText(conversation) {
+  const title = getConversationTitle(conversation);
+  let output = `${title}\n${'='.repeat(Math.min(title.length, 80))}\n`;
+  output += `Created: ${formatDate(conversation.created_at)}\n`;
+  output += `UUID: ${conversation.uuid}\n\n`;
+  
+  getMessages(conversation).forEach(msg => {
+    output += `[${formatDate(msg.created_at)}] ${msg.sender || 'unknown'}:\n`;
+    output += `${getMessageText(msg) || '(empty message)'}\n\n`;
+  });
+  
+  return output;
+}
+
+// Inline markup of HTML message text: `code` and line breaks
+function renderHtmlInline(text) {
+  return escapeHtml(text)
+    .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+    .replace(/\n/g, '<br>\n');
+}
+
+// Message text as HTML: fenced code blocks become <pre>, the rest paragraphs
+function renderHtmlText(text) {
+  if (!text) return '<p class="empty">(empty message)</p>';
+
+  const parts = [];
+  const fence = /```([\w+#.-]*)[^\n]*\n([\s\S]*?)(?:\n```|$)/g;
+  let last = 0;
+  let match;
+
+  const addParagraphs = (segment) => {
+    segment.split(/\n{2,}/)
+      .filter(paragraph => paragraph.trim().length > 0)
+      .forEach(paragraph => parts.push(`<p>${renderHtmlInline(paragraph.trim())}</p>`));
+  };
+
+  while ((match = fence.exec(text)) !== null) {
+    addParagraphs(text.substring(last, match.index));
+    const language = match[1] ? `<span class="lang">${escapeHtml(match[1])}</span>` : '';
+    const languageClass = match[1] ? ` class="language-${escapeHtml(match[1])}"` : '';
+    parts.push(`<pre>${language}<code${languageClass}>${escapeHtml(match[2])}</code></pre>`);
+    last = fence.lastIndex;
+  }
+  addParagraphs(text.substring(last));
+
+  return parts.join('\n');
+}
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+  header { background: #24292f; color: #fff; padding: 20px 32px; }
+  header h1 { margin: 0 0 4px; font-size: 22px; }
+  header p { margin: 0; color: #c9d1d9; font-size: 13px; }
+  main { padding: 24px 32px; max-width: 900px; margin: 0 auto; }
+  .message { display: flex; flex-direction: column; margin-bottom: 18px; }
+  .message.human { align-items: flex-end; }
+  .message.assistant, .message.other { align-items: flex-start; }
+  .sender { font-size: 12px; color: #57606a; margin: 0 6px 4px; }
+  .bubble { max-width: 85%; border-radius: 12px; padding: 10px 14px; line-height: 1.5; font-size: 14px; overflow-wrap: anywhere; }
+  .human .bubble { background: #dbe9ff; border-bottom-right-radius: 4px; }
+  .assistant .bubble { background: #fff; border: 1px solid #d0d7de; border-bottom-left-radius: 4px; }
+  .other .bubble { background: #fff8c5; border: 1px solid #d4a72c; }
+  .bubble p { margin: 0 0 8px; }
+  .bubble p:last-child { margin-bottom: 0; }
+  .bubble pre { background: #24292f; color: #e6edf3; padding: 10px 12px; border-radius: 6px; overflow-x: auto; position: relative; }
+  .bubble pre .lang { position: absolute; top: 2px; right: 8px; font-size: 10px; color: #8b949e; }
+  code { font-family: SFMono-Regular, Consolas, Menlo, monospace; font-size: 12px; }
+  p code { background: rgba(175, 184, 193, 0.3); padding: 1px 4px; border-radius: 4px; }
+  .attachments { font-size: 12px; color: #57606a; margin: 6px 0 0; padding-left: 18px; }
+  .empty { color: #57606a; font-style: italic; }
+  ul.index li { margin-bottom: 4px; }
+`;
+
+function renderHtmlPage(title, subtitle, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(subtitle)}</p>
+</header>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+// Standalone HTML page with a bubble per message
+function renderHtml(conversation) {
+  const messages = getMessages(conversation);
+
+  const body = messages.map(msg => {
+    const sender = msg && msg.sender ? msg.sender : 'unknown';
+    const side = sender === 'human' || sender === 'assistant' ? sender : 'other';
+    const attachments = msg && Array.isArray(msg.attachments) && msg.attachments.length > 0 ?
+      `<ul class="attachments">${msg.attachments.map(a =>
+        `<li>${escapeHtml(a.file_name || 'Unnamed')} (${escapeHtml(a.file_type || 'unknown')})</li>`).join('')}</ul>` :
+      '';
+
+    return `<div class="message ${side}">
+  <div class="sender">${escapeHtml(sender)} &middot; ${escapeHtml(formatDate(msg && msg.created_at))}</div>
+  <div class="bubble">
+${renderHtmlText(getMessageText(msg))}
+${attachments}
+  </div>
+</div>`;
+  }).join('\n');
+
+  const subtitle = `Created ${formatDate(conversation.created_at)} · ${messages.length} messages · ${conversation.uuid || 'no uuid'}`;
+  return renderHtmlPage(getConversationTitle(conversation), subtitle, body || '<p class="empty">No messages</p>');
+}
+
+function renderHtmlIndex(entries) {
+  const items = entries.map(({ conversation, file }) =>
+    `<li><a href="${escapeHtml(encodeURI(file))}">${escapeHtml(getConversationTitle(conversation))}</a> ` +
+    `<span class="empty">${escapeHtml(formatDate(conversation.created_at))}, ${getMessages(conversation).length} messages</span></li>`);
+
+  return renderHtmlPage(
+    'Exported Conversations',
+    `${entries.length} conversations, exported ${moment().format('YYYY-MM-DD HH:mm')}`,
+    `<ul class="index">\n${items.join('\n')}\n</ul>`
+  );
+}
+
+registerExporter({
+  name: 'markdown',
+  extensions: ['.md', '.markdown'],
+  description: 'Readable Markdown',
+  render: renderMarkdown,
+  renderIndex: renderMarkdownIndex
+});
+
+registerExporter({
+  name: 'markdown-full',
+  extensions: ['.md', '.markdown'],
+  description: 'Markdown with front matter, tool calls, thinking and attachment contents',
+  render: renderMarkdownFull,
+  renderIndex: renderMarkdownIndex
+});
+
+registerExporter({
+  name: 'json',
+  extensions: ['.json'],
+  description: 'The conversation as exported (JSON)',
+  render: conversation => JSON.stringify(conversation, null, 2) + '\n'
+});
+
+registerExporter({
+  name: 'jsonl',
+  extensions: ['.jsonl', '.ndjson'],
+  description: 'One JSON line per message, with the conversation metadata',
+  render: renderJsonl
+});
+
+registerExporter({
+  name: 'html',
+  extensions: ['.html', '.htm'],
+  description: 'Standalone HTML page with message bubbles',
+  render: renderHtml,
+  renderIndex: renderHtmlIndex
+});
+
+registerExporter({
+  name: 'txt',
+  extensions: ['.txt'],
+  description: 'Plain text',
+  render: renderText
+});
+
+registerExporter({
+  name: 'csv',
+  extensions: ['.csv'],
+  description: 'One row per message: conversation, message index, sender, timestamp, text',
+  render: renderCsv
+});
+
+module.exports = {
+  registerExporter,
+  getExporter,
+  getExporterForFile,
+  listExporters,
+  renderMarkdown,
+  renderMarkdownFull,
+  renderMarkdownIndex,
+  getMessageRecords
+};
@@ -0,0 +1,276 @@
+/**
+ * Export Source Resolution
+ *
+ * Turns command line inputs into conversation exports. An input can be:
+ *   - a JSON file (path/to/conversations.json)
+ *   - an export folder (data-2025-02-26-20-47-06/), which holds conversations.json
+ *   - an export zip archive (data-2025-02-26-20-47-06.zip), read without unpacking
+ *   - a folder of exports (each data-* subfolder or zip archive is used)
+ *   - a glob pattern such as 'exports/data-*' when the shell did not expand
+ *     it (** matches any number of directories)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { openZip, isZipFile } = require('./zip-reader');
+const { parseJsonStream } = require('./json-stream');
+
+const CONVERSATIONS_FILE = 'conversations.json';
+
+// Other files of the export that are read alongside the conversations
+const RELATED_FILES = ['users.json', 'projects.json'];
+
+// Convert one glob path segment into a regular expression
+function segmentToRegExp(segment) {
+  const pattern = segment
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]');
+  return new RegExp(`^${pattern}$`);
+}
+
+function hasGlobMagic(input) {
+  return /[*?]/.test(input);
+}
+
+// Expand a glob pattern supporting *, ? and ** (any number of directories)
+function expandGlob(pattern) {
+  const absolute = path.isAbsolute(pattern);
+  const segments = pattern.split(/[\\/]+/).filter(Boolean);
+  let matches = [absolute ? path.sep : '.'];
+  
+  segments.forEach((segment, i) => {
+    const isLast = i === segments.length - 1;
+    const next = [];
+    
+    matches.forEach(base => {
+      if (segment === '**') {
+        // Zero or more directories
+        walkDirectories(base).forEach(dir => next.push(dir));
+      } else if (!hasGlobMagic(segment)) {
+        const candidate = path.join(base, segment);
+        if (fs.existsSync(candidate)) next.push(candidate);
+      } else {
+        const regex = segmentToRegExp(segment);
+        readDirSafe(base)
+          .filter(entry => regex.test(entry.name) && (isLast || entry.isDirectory()))
+          .forEach(entry => next.push(path.join(base, entry.name)));
+      }
+    });
+    
+    matches = [...new Set(next)];
+  });
+  
+  return matches.sort();
+}
+
+function readDirSafe(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return [];
+  }
+}
+
+// A directory and all of its subdirectories (skipping node_modules and dot folders)
+function walkDirectories(dir) {
+  const result = [dir];
+  readDirSafe(dir)
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules')
+    .forEach(entry => result.push(...walkDirectories(path.join(dir, entry.name))));
+  return result;
+}
+
+// Find the conversations file(s) inside an export folder or a folder of exports.
+// Zip archives are used unless an unpacked folder of the same name exists.
+function findConversationsFiles(dir) {
+  const direct = path.join(dir, CONVERSATIONS_FILE);
+  if (fs.existsSync(direct)) {
+    return [direct];
+  }
+  
+  const entries = readDirSafe(dir);
+  const folders = entries
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(dir, entry.name, CONVERSATIONS_FILE)))
+    .map(entry => entry.name);
+  const archives = entries
+    .filter(entry => entry.isFile() && isZipFile(entry.name) && !folders.includes(entry.name.replace(/\.zip$/i, '')))
+    .map(entry => entry.name);
+  
+  return [
+    ...folders.map(name => path.join(dir, name, CONVERSATIONS_FILE)),
+    ...archives.map(name => path.join(dir, name))
+  ].sort();
+}
+
+// Find conversations.json inside a zip archive (at the root or in one folder)
+function findConversationsEntry(zip) {
+  const candidates = zip.entries
+    .filter(entry => !entry.isDirectory && path.posix.basename(entry.name) === CONVERSATIONS_FILE)
+    .sort((a, b) => a.name.split('/').length - b.name.split('/').length);
+  
+  if (candidates.length === 0) {
+    throw new Error(`No ${CONVERSATIONS_FILE} found in ${zip.filePath}`);
+  }
+  return candidates[0];
+}
+
+// Parse the related JSON files that sit next to conversations.json into an
+// object keyed by base name (users, projects). Unparsable files are skipped.
+function parseRelatedFiles(files) {
+  const related = {};
+  
+  files.forEach(({ name, read }) => {
+    try {
+      related[name.replace(/\.json$/i, '')] = JSON.parse(read());
+    } catch (e) {
+      // Related files are informational only
+    }
+  });
+  
+  return related;
+}
+
+/**
+ * Open an export input: a conversations JSON file, an export folder or a zip
+ * archive. Returns an object describing the export:
+ *   path                     - the input path
+ *   kind                     - 'json' or 'zip'
+ *   file                     - the file on disk (the JSON file or the zip archive)
+ *   conversationsPath        - conversations file (or archive path + entry name)
+ *   size                     - uncompressed size of the conversations file in bytes
+ *   readConversationsText()  - conversations file contents as a string
+ *   createConversationsStream() - readable stream of the conversations file
+ *   readRelatedFiles()       - sibling JSON files, e.g. { users: [...], projects: [...] }
+ */
+function openExport(inputPath) {
+  let filePath = inputPath;
+  
+  if (fs.statSync(filePath).isDirectory()) {
+    const found = findConversationsFiles(filePath);
+    if (found.length === 0) {
+      throw new Error(`No ${CONVERSATIONS_FILE} found in ${filePath}`);
+    }
+    filePath = found[0];
+  }
+  
+  if (isZipFile(filePath)) {
+    const zip = openZip(filePath);
+    const entry = findConversationsEntry(zip);
+    const folder = path.posix.dirname(entry.name);
+    
+    return {
+      path: inputPath,
+      kind: 'zip',
+      file: filePath,
+      conversationsPath: `${filePath}:${entry.name}`,
+      size: entry.size,
+      readConversationsText: () => zip.readEntry(entry).toString('utf8'),
+      createConversationsStream: () => zip.createEntryStream(entry),
+      readRelatedFiles: () => parseRelatedFiles(zip.entries
+        .filter(other => !other.isDirectory && path.posix.dirname(other.name) === folder &&
+          RELATED_FILES.includes(path.posix.basename(other.name)))
+        .map(other => ({ name: path.posix.basename(other.name), read: () => zip.readEntry(other).toString('utf8') })))
+    };
+  }
+  
+  return {
+    path: inputPath,
+    kind: 'json',
+    file: filePath,
+    conversationsPath: filePath,
+    size: fs.statSync(filePath).size,
+    readConversationsText: () => fs.readFileSync(filePath, 'utf8'),
+    createConversationsStream: () => fs.createReadStream(filePath, { highWaterMark: 256 * 1024 }),
+    readRelatedFiles: () => {
+      // Only a real export folder has meaningful siblings
+      if (path.basename(filePath) !== CONVERSATIONS_FILE) return {};
+      
+      const dir = path.dirname(filePath);
+      return parseRelatedFiles(readDirSafe(dir)
+        .filter(entry => entry.isFile() && RELATED_FILES.includes(entry.name))
+        .map(entry => ({ name: entry.name, read: () => fs.readFileSync(path.join(dir, entry.name), 'utf8') })));
+    }
+  };
+}
+
+// Read an export completely: { source, conversations, related }
+function readExport(inputPath) {
+  const exportSource = openExport(inputPath);
+  
+  return {
+    source: exportSource,
+    conversations: JSON.parse(exportSource.readConversationsText()),
+    related: exportSource.readRelatedFiles()
+  };
+}
+
+/**
+ * Resolve command line inputs to conversation files.
+ * Returns { files: [path], missing: [input] } where missing lists inputs
+ * that did not resolve to any file.
+ */
+function resolveInputPaths(inputs) {
+  const files = [];
+  const missing = [];
+  
+  inputs.forEach(input => {
+    const candidates = hasGlobMagic(input) && !fs.existsSync(input) ? expandGlob(input) : [input];
+    const found = [];
+    
+    candidates.forEach(candidate => {
+      let stats;
+      try {
+        stats = fs.statSync(candidate);
+      } catch (e) {
+        return;
+      }
+      
+      if (stats.isDirectory()) {
+        found.push(...findConversationsFiles(candidate));
+      } else {
+        found.push(candidate);
+      }
+    });
+    
+    if (found.length === 0) {
+      missing.push(input);
+    }
+    found.forEach(file => {
+      if (!files.includes(file)) files.push(file);
+    });
+  });
+  
+  return { files, missing };
+}
+
+/**
+ * Stream the conversations of an export one at a time.
+ *
+ * Accepts an input path or an already opened export. onConversation(conv, index)
+ * is called for each conversation when the file holds an array (return false
+ * to stop); onProgress receives { bytesRead, totalBytes, count }.
+ * Resolves to { source, isArray, count, value, aborted } where value is the
+ * parsed root when the file holds a single object instead of an array.
+ */
+async function streamConversations(input, { onConversation, onProgress } = {}) {
+  const exportSource = typeof input === 'string' ? openExport(input) : input;
+
+  const result = await parseJsonStream(exportSource.createConversationsStream(), {
+    onItem: onConversation,
+    onProgress,
+    totalBytes: exportSource.size
+  });
+
+  return Object.assign({ source: exportSource }, result);
+}
+
+module.exports = {
+  CONVERSATIONS_FILE,
+  expandGlob,
+  findConversationsFiles,
+  resolveInputPaths,
+  openExport,
+  readExport,
+  streamConversations
+};
@@ -0,0 +1,188 @@
+/**
+ * Streaming JSON Array Parser
+ *
+ * Parses a JSON document from a readable stream without holding the whole
+ * text in memory. When the root value is an array, each element is parsed
+ * and handed to onItem as soon as its closing bracket has been read, so a
+ * multi-hundred-megabyte conversations.json costs only as much memory as
+ * the conversations the caller keeps. Any other root value is buffered and
+ * parsed as a whole.
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+const WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+
+/**
+ * Parse a JSON stream.
+ *
+ * Options:
+ *   onItem(value, index)  - called for each element of a root array; return
+ *                           false to stop parsing early
+ *   onProgress(progress)  - called after each chunk with
+ *                           { bytesRead, totalBytes, count }
+ *   totalBytes            - expected stream size, passed through to onProgress
+ *
+ * Resolves to { isArray, count, value, aborted } where value is the parsed
+ * root when it is not an array.
+ */
+async function parseJsonStream(readable, { onItem = () => {}, onProgress = () => {}, totalBytes = 0 } = {}) {
+  const decoder = new StringDecoder('utf8');
+
+  // Scanner state
+  let rootType = null;   // null until the first character, then 'array' or 'other'
+  let rootDone = false;
+  let depth = 0;         // nesting depth, counting the root array as 1
+  let inString = false;
+  let escaped = false;
+  let capturing = false; // inside an array element
+  let pending = [];      // element text from earlier chunks
+  let rootText = [];     // whole document when the root is not an array
+  let count = 0;
+  let bytesRead = 0;
+  let aborted = false;
+
+  const emit = (text) => {
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (error) {
+      throw new SyntaxError(`Invalid JSON in array element ${count}: ${error.message}`);
+    }
+
+    if (onItem(value, count++) === false) {
+      aborted = true;
+    }
+  };
+
+  const scan = (chunk) => {
+    let start = capturing ? 0 : -1;
+
+    for (let i = 0; i < chunk.length && !aborted; i++) {
+      const c = chunk[i];
+
+      if (rootType === null) {
+        if (WHITESPACE.has(c)) continue;
+        if (c === '[') {
+          rootType = 'array';
+          depth = 1;
+          continue;
+        }
+        rootType = 'other';
+        rootText.push(chunk.slice(i));
+        return;
+      }
+
+      if (rootDone) {
+        if (!WHITESPACE.has(c)) {
+          throw new SyntaxError(`Unexpected character after end of JSON: ${c}`);
+        }
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (c === '\\') {
+          escaped = true;
+        } else if (c === '"') {
+          inString = false;
+          // A string element of the root array ends with its closing quote
+          if (capturing && depth === 1) {
+            emit(pending.join('') + chunk.slice(start, i + 1));
+            pending = [];
+            capturing = false;
+          }
+        }
+        continue;
+      }
+
+      if (!capturing) {
+        // Between elements of the root array
+        if (WHITESPACE.has(c) || c === ',') continue;
+        if (c === ']') {
+          rootDone = true;
+          depth = 0;
+          continue;
+        }
+
+        capturing = true;
+        start = i;
+        if (c === '"') inString = true;
+        if (c === '{' || c === '[') depth++;
+        continue;
+      }
+
+      if (c === '"') {
+        inString = true;
+      } else if (c === '{' || c === '[') {
+        depth++;
+      } else if (c === '}' || c === ']') {
+        if (depth === 1) {
+          // A number or literal element directly followed by the end of the root array
+          emit(pending.join('') + chunk.slice(start, i));
+          pending = [];
+          capturing = false;
+          rootDone = true;
+          depth = 0;
+          continue;
+        }
+
+        depth--;
+        if (depth === 1) {
+          emit(pending.join('') + chunk.slice(start, i + 1));
+          pending = [];
+          capturing = false;
+        }
+      } else if (c === ',' && depth === 1) {
+        // End of a number or literal element
+        emit(pending.join('') + chunk.slice(start, i));
+        pending = [];
+        capturing = false;
+      }
+    }
+
+    if (capturing && !aborted) {
+      pending.push(chunk.slice(start));
+    }
+  };
+
+  for await (const buffer of readable) {
+    bytesRead += buffer.length;
+
+    const chunk = decoder.write(buffer);
+    if (rootType === 'other') {
+      rootText.push(chunk);
+    } else {
+      scan(chunk);
+    }
+
+    onProgress({ bytesRead, totalBytes, count });
+
+    if (aborted) {
+      if (typeof readable.destroy === 'function') readable.destroy();
+      return { isArray: true, count, value: undefined, aborted: true };
+    }
+  }
+
+  const rest = decoder.end();
+  if (rootType === 'other') {
+    rootText.push(rest);
+    return { isArray: false, count: 0, value: JSON.parse(rootText.join('')), aborted: false };
+  }
+
+  if (rest) scan(rest);
+
+  if (rootType === null) {
+    throw new SyntaxError('Unexpected end of JSON input');
+  }
+  if (!rootDone) {
+    throw new SyntaxError(`Unexpected end of JSON input after ${count} array elements`);
+  }
+
+  return { isArray: true, count, value: undefined, aborted: false };
+}
+
+module.exports = {
+  parseJsonStream
+};
@@ -0,0 +1,469 @@
+/**
+ * Markdown Renderer
+ *
+ * Turns the Markdown of a message into blessed tags for the explorer's
+ * message pane: headings, emphasis, inline code, fenced code blocks, links
+ * (underlined, with the URL after them), lists and blockquotes wrapped to
+ * the pane width with hanging indents, tables drawn with box characters and
+ * fitted to the width, and horizontal rules.
+ *
+ * Everything from the message is escaped, so braces in the text can not be
+ * taken for tags. The private-use characters the explorer uses to mark
+ * search matches and citations (U+E000 to U+E005) pass through unchanged
+ * and take no width.
+ */
+
+const blessed = require('blessed');
+
+const DEFAULT_THEME = {
+  headingColor: 'cyan',
+  codeColor: 'green',         // Fenced code blocks
+  codeBackground: 'black',
+  codeLabelColor: 'white',    // Background of the language label above them
+  inlineCodeColor: 'yellow',
+  linkColor: 'cyan',
+  quoteColor: 'gray',
+  emphasisColor: 'magenta',   // Terminals here have no italics
+  tableBorderColor: 'gray'
+};
+
+// Search match and citation markers (see MATCH_MARKERS and CITATION_MARKERS
+// in the explorer)
+const MARKER = /[\uE000-\uE005]/;
+
+// Placeholders for already rendered inline fragments, so later rules do
+// not touch them: STASH_START index STASH_END
+const STASH_START = '\uE010';
+const STASH_END = '\uE011';
+
+// Destination and optional title of an inline link or image, as regex
+// source: the URL may hold one level of balanced parentheses, as in
+// CommonMark (https://en.wikipedia.org/wiki/Foo_(bar))
+const LINK_TARGET = /\(\s*<?((?:[^()\s>]|\([^()\s>]*\))+)>?(?:\s+"[^"]*")?\s*\)/.source;
+
+// A blessed tag, or an escaped brace (which shows as one character)
+const TAG = /^\{(\/?)([\w\-,;!#]*)\}/;
+
+const BULLETS = ['•', '◦', '▪'];
+
+function escapeText(text) {
+  return blessed.escape(text);
+}
+
+/**
+ * Split tagged text into atoms: { text, width } where tags and markers have
+ * width 0 and {open}/{close} (escaped braces) width 1.
+ */
+function splitAtoms(text) {
+  const atoms = [];
+  let i = 0;
+  
+  while (i < text.length) {
+    if (text[i] === '{') {
+      const tag = text.substring(i).match(TAG);
+      if (tag) {
+        const visible = tag[0] === '{open}' || tag[0] === '{close}';
+        atoms.push({ text: tag[0], width: visible ? 1 : 0 });
+        i += tag[0].length;
+        continue;
+      }
+    }
+    
+    const code = text.codePointAt(i);
+    const char = String.fromCodePoint(code);
+    const width = MARKER.test(char) ? 0 : blessed.unicode.charWidth(char, 0);
+    atoms.push({ text: char, width: Math.max(0, width) });
+    i += char.length;
+  }
+  
+  return atoms;
+}
+
+// Visible width of tagged text
+function visibleWidth(text) {
+  return splitAtoms(text).reduce((sum, atom) => sum + atom.width, 0);
+}
+
+/**
+ * Wrap tagged text to a width at spaces; words longer than the width are
+ * split. Returns the lines; tags stay in place, so attributes carry over
+ * from one line to the next.
+ */
+function wrapTagged(text, width) {
+  const lines = [];
+  width = Math.max(1, width);
+  
+  text.split('\n').forEach(sourceLine => {
+    let line = '';
+    let lineWidth = 0;
+    let word = '';
+    let wordWidth = 0;
+    let space = '';
+    
+    const flushWord = () => {
+      if (word === '' && space === '') return;
+      
+      if (lineWidth > 0 && lineWidth + space.length + wordWidth > width) {
+        lines.push(line);
+        line = '';
+        lineWidth = 0;
+        space = '';
+      }
+      
+      line += space;
+      lineWidth += space.length;
+      space = '';
+      
+      // Split words that do not fit on a line of their own
+      if (wordWidth > width - lineWidth) {
+        splitAtoms(word).forEach(atom => {
+          if (atom.width > 0 && lineWidth + atom.width > width) {
+            lines.push(line);
+            line = '';
+            lineWidth = 0;
+          }
+          line += atom.text;
+          lineWidth += atom.width;
+        });
+      } else {
+        line += word;
+        lineWidth += wordWidth;
+      }
+      
+      word = '';
+      wordWidth = 0;
+    };
+    
+    splitAtoms(sourceLine).forEach(atom => {
+      if (atom.text === ' ') {
+        if (word !== '') flushWord();
+        space += ' ';
+      } else {
+        word += atom.text;
+        wordWidth += atom.width;
+      }
+    });
+    flushWord();
+    lines.push(line);
+  });
+  
+  return lines;
+}
+
+// Pad tagged text with spaces to a visible width
+function padTagged(text, width, align = 'left') {
+  const gap = Math.max(0, width - visibleWidth(text));
+  if (align === 'right') return ' '.repeat(gap) + text;
+  if (align === 'center') {
+    const left = Math.floor(gap / 2);
+    return ' '.repeat(left) + text + ' '.repeat(gap - left);
+  }
+  return text + ' '.repeat(gap);
+}
+
+function createInlineRenderer(theme) {
+  const color = (name, text) => `{${name}-fg}${text}{/${name}-fg}`;
+  
+  /**
+   * Inline Markdown of one block of text as tags: code spans, links,
+   * images, bold, emphasis and strikethrough, with everything else escaped.
+   */
+  return function renderInline(text) {
+    const stash = [];
+    const keep = (rendered) => {
+      stash.push(rendered);
+      return STASH_START + (stash.length - 1) + STASH_END;
+    };
+    
+    let output = text
+      // Code spans first: nothing inside them is Markdown
+      .replace(/(`+)(?!`)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+        keep(color(theme.inlineCodeColor, escapeText(code.replace(/^ (.*) $/, '$1')))))
+      // Backslash escapes
+      .replace(/\\([\\`*_{}[\]()#+\-.!~|>])/g, (match, char) => keep(escapeText(char)))
+      // Images and links
+      .replace(new RegExp(`!\\[([^\\]]*)\\]${LINK_TARGET}`, 'g'), (match, alt, url) =>
+        keep(`${color(theme.linkColor, `[image: ${escapeText(alt) || 'untitled'}]`)} ${color('gray', `(${escapeText(url)})`)}`))
+      .replace(new RegExp(`\\[([^\\]]+)\\]${LINK_TARGET}`, 'g'), (match, label, url) =>
+        keep(`{underline}${color(theme.linkColor, renderInline(label))}{/underline} ${color('gray', `(${escapeText(url)})`)}`))
+      .replace(/<((?:https?|mailto):[^>\s]+)>/g, (match, url) =>
+        keep(`{underline}${color(theme.linkColor, escapeText(url))}{/underline}`))
+      .replace(/\bhttps?:\/\/[^\s<>()]*[^\s<>().,;:!?'"]/g, (url) =>
+        keep(`{underline}${color(theme.linkColor, escapeText(url))}{/underline}`));
+    
+    output = escapeText(output)
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '{bold}$2{/bold}')
+      .replace(/(^|[^*\w])\*(?=[^\s*])([^*]*?[^\s*])\*(?![*\w])/g, (match, before, inner) =>
+        before + color(theme.emphasisColor, inner))
+      .replace(/(^|[^_\p{L}\p{N}])_(?=[^\s_])([^_]*?[^\s_])_(?![_\p{L}\p{N}])/gu, (match, before, inner) =>
+        before + color(theme.emphasisColor, inner))
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, (match, inner) => color('gray', inner));
+    
+    // Stashed fragments can hold others (link labels), so restore until none are left
+    const restore = new RegExp(`${STASH_START}(\\d+)${STASH_END}`, 'g');
+    while (output.includes(STASH_START)) {
+      output = output.replace(restore, (match, index) => stash[Number(index)]);
+    }
+    return output;
+  };
+}
+
+// Cells of a table row: split at | outside code spans and escapes
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.substring(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.substring(0, row.length - 1);
+  
+  const cells = [];
+  let cell = '';
+  let inCode = false;
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (char === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (char === '`') {
+      inCode = !inCode;
+      cell += char;
+    } else if (char === '|' && !inCode) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function isTableStart(lines, i) {
+  return lines[i].includes('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1]) &&
+    lines[i + 1].includes('-') && (lines[i + 1].includes('|') || lines[i].trim().startsWith('|'));
+}
+
+/**
+ * Column widths for a table: the natural widths when they fit, otherwise
+ * narrow columns keep theirs and the rest share the remaining space.
+ */
+function fitColumns(natural, available) {
+  const total = natural.reduce((sum, width) => sum + width, 0);
+  if (total <= available) return natural.slice();
+
+  const widths = new Array(natural.length);
+  let remaining = available;
+  const order = natural.map((width, index) => index).sort((a, b) => natural[a] - natural[b]);
+
+  order.forEach((index, position) => {
+    const share = Math.floor(remaining / (order.length - position));
+    widths[index] = Math.max(3, Math.min(natural[index], share));
+    remaining -= widths[index];
+  });
+  return widths;
+}
+
+function renderTable(rows, alignments, width, renderInline, theme) {
+  const columns = Math.max(...rows.map(row => row.length));
+  const cells = rows.map(row => Array.from({ length: columns }, (_, i) => renderInline(row[i] || '')));
+  const natural = Array.from({ length: columns }, (_, i) =>
+    Math.max(1, ...cells.map(row => Math.max(...row[i].split('\n').map(visibleWidth)))));
+
+  // Each column takes a border and a space on both sides
+  const widths = fitColumns(natural, width - (columns + 1) - columns * 2);
+  const border = (text) => `{${theme.tableBorderColor}-fg}${text}{/${theme.tableBorderColor}-fg}`;
+  const rule = (left, middle, right) => border(left + widths.map(w => '─'.repeat(w + 2)).join(middle) + right);
+
+  const renderRow = (row, header) => {
+    const wrapped = row.map((cell, i) => wrapTagged(cell, widths[i]));
+    const height = Math.max(...wrapped.map(lines => lines.length));
+    const lines = [];
+
+    for (let line = 0; line < height; line++) {
+      const parts = wrapped.map((cellLines, i) => {
+        const text = padTagged(cellLines[line] || '', widths[i], alignments[i]);
+        return ' ' + (header ? `{bold}${text}{/bold}` : text) + ' ';
+      });
+      lines.push(border('│') + parts.join(border('│')) + border('│'));
+    }
+    return lines;
+  };
+
+  const output = [rule('┌', '┬', '┐'), ...renderRow(cells[0], true), rule('├', '┼', '┤')];
+  cells.slice(1).forEach(row => output.push(...renderRow(row, false)));
+  output.push(rule('└', '┴', '┘'));
+  return output;
+}
+
+// Code in a language the highlighter does not know: all in the code color
+function plainCode(code, theme) {
+  return code.split('\n').map(line => `{${theme.codeColor}-fg}${escapeText(line)}{/${theme.codeColor}-fg}`);
+}
+
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const FENCE = /^(\s*)(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/;
+
+/**
+ * Render Markdown as blessed-tagged lines. Options:
+ *   width          - width to wrap lists, quotes and tables to (default 80)
+ *   theme          - colors, see DEFAULT_THEME
+ *   highlightCode  - (code, language, theme) => [tagged line] or null, for
+ *                    fenced code blocks; null colors the block plainly
+ *   firstCodeBlock - number in the label of the first code block (default 1)
+ * Paragraphs keep their line breaks and are left for blessed to wrap. Code
+ * blocks are numbered in their label, in the order findCodeBlocks lists them.
+ */
+function renderMarkdown(text, { width = 80, theme = {}, highlightCode = () => null, firstCodeBlock = 1 } = {}) {
+  const colors = Object.assign({}, DEFAULT_THEME, theme);
+  const renderInline = createInlineRenderer(colors);
+  let codeBlocks = firstCodeBlock - 1;
+  return renderBlocks(String(text || '').replace(/\r\n?/g, '\n').split('\n'), Math.max(10, width));
+  
+  function renderBlocks(lines, blockWidth) {
+    const output = [];
+    let i = 0;
+    
+    while (i < lines.length) {
+      const line = lines[i];
+      
+      // Fenced code block; an unclosed fence runs to the end
+      const fence = line.match(FENCE);
+      if (fence) {
+        const close = new RegExp(`^\\s*${fence[2][0] === '`' ? '`' : '~'}{${fence[2].length},}\\s*$`);
+        const code = [];
+        i++;
+        while (i < lines.length && !close.test(lines[i])) {
+          code.push(fence[1] && lines[i].startsWith(fence[1]) ? lines[i].substring(fence[1].length) : lines[i]);
+          i++;
+        }
+        i++;
+        
+        const language = fence[3];
+        const source = code.join('\n');
+        const background = (line) => `{${colors.codeBackground}-bg}${line}{/${colors.codeBackground}-bg}`;
+        codeBlocks++;
+        output.push(`{${colors.codeLabelColor}-bg}{black-fg}${escapeText(language || 'Code')} [${codeBlocks}]:{/black-fg}{/${colors.codeLabelColor}-bg}`);
+        output.push(...(highlightCode(source, language, colors) || plainCode(source, colors)).map(background));
+        continue;
+      }
+      
+      // ATX heading
+      const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+      if (heading) {
+        const content = renderInline(heading[2]);
+        const level = heading[1].length;
+        output.push(level === 1 ?
+          `{bold}{underline}{${colors.headingColor}-fg}${content}{/${colors.headingColor}-fg}{/underline}{/bold}` :
+          level === 2 ?
+            `{bold}{${colors.headingColor}-fg}${content}{/${colors.headingColor}-fg}{/bold}` :
+            `{bold}${content}{/bold}`);
+        i++;
+        continue;
+      }
+      
+      // Horizontal rule
+      if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        output.push(`{gray-fg}${'─'.repeat(blockWidth)}{/gray-fg}`);
+        i++;
+        continue;
+      }
+      
+      // Table
+      if (isTableStart(lines, i)) {
+        const alignments = splitTableRow(lines[i + 1]).map(cell => {
+          const left = cell.startsWith(':');
+          const right = cell.endsWith(':');
+          return left && right ? 'center' : right ? 'right' : 'left';
+        });
+        const rows = [splitTableRow(lines[i])];
+        i += 2;
+        while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+          rows.push(splitTableRow(lines[i]));
+          i++;
+        }
+        output.push(...renderTable(rows, alignments, blockWidth, renderInline, colors));
+        continue;
+      }
+      
+      // Blockquote: the quoted lines are rendered as Markdown of their own
+      if (/^\s{0,3}>/.test(line)) {
+        const quoted = [];
+        while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+          quoted.push(lines[i].replace(/^\s{0,3}> ?/, ''));
+          i++;
+        }
+        const bar = `{${colors.quoteColor}-fg}│{/${colors.quoteColor}-fg} `;
+        renderBlocks(quoted, blockWidth - 2).forEach(quotedLine => {
+          wrapTagged(quotedLine, blockWidth - 2).forEach(wrapped => output.push(bar + wrapped));
+        });
+        continue;
+      }
+      
+      // List item, with the indented lines that continue it
+      const item = line.match(LIST_ITEM);
+      if (item) {
+        const indent = item[1].replace(/\t/g, '    ').length;
+        const marker = item[2];
+        let content = item[3];
+        i++;
+        while (i < lines.length && lines[i].trim() !== '' && !LIST_ITEM.test(lines[i]) &&
+          !FENCE.test(lines[i]) && /^\s+\S/.test(lines[i])) {
+          content += ' ' + lines[i].trim();
+          i++;
+        }
+        
+        const depth = Math.floor(indent / 2);
+        let bullet = /\d/.test(marker) ? marker : BULLETS[Math.min(depth, BULLETS.length - 1)];
+        const task = content.match(/^\[([ xX])\]\s+(.*)$/);
+        if (task) {
+          bullet = task[1] === ' ' ? '☐' : '☑';
+          content = task[2];
+        }
+        
+        const prefix = ' '.repeat(Math.min(indent, blockWidth / 2)) + bullet + ' ';
+        const hanging = ' '.repeat(visibleWidth(prefix));
+        wrapTagged(renderInline(content), blockWidth - hanging.length).forEach((wrapped, n) => {
+          output.push((n === 0 ? escapeText(prefix) : hanging) + wrapped);
+        });
+        continue;
+      }
+      
+      // Setext heading: a line underlined with === or ---
+      if (line.trim() !== '' && i + 1 < lines.length && /^\s{0,3}(=+|-+)\s*$/.test(lines[i + 1])) {
+        const content = renderInline(line.trim());
+        output.push(lines[i + 1].trim()[0] === '=' ?
+          `{bold}{underline}{${colors.headingColor}-fg}${content}{/${colors.headingColor}-fg}{/underline}{/bold}` :
+          `{bold}{${colors.headingColor}-fg}${content}{/${colors.headingColor}-fg}{/bold}`);
+        i += 2;
+        continue;
+      }
+      
+      output.push(renderInline(line));
+      i++;
+    }
+    
+    return output;
+  }
+}
+
+// Fenced code blocks of a message as [{ language, code }], numbered like
+// the labels renderMarkdown gives them (block 1 is the first)
+function findCodeBlocks(text) {
+  const blocks = [];
+  renderMarkdown(text, {
+    highlightCode: (code, language) => {
+      blocks.push({ language, code });
+      return [];
+    }
+  });
+  return blocks;
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  renderMarkdown,
+  findCodeBlocks,
+  wrapTagged,
+  visibleWidth,
+  escapeText
+};
@@ -0,0 +1,263 @@
+/**
+ * Schema Inference
+ *
+ * Infers the shape of an export from every record instead of the first one.
+ * Records are fed one at a time (so it works while streaming) and summarized
+ * per field path, e.g. chat_messages[].content[].type:
+ *
+ *   - observed types, including null
+ *   - presence: how many of the enclosing objects have the field
+ *   - example values
+ *
+ * Each record is also reduced to a signature (the key sets of its objects and
+ * the types of its values). Records are grouped by signature, so only one
+ * entry per distinct shape is kept however many records there are. Once all
+ * records are in, each shape is compared with the majority shape to find the
+ * records that deviate from it.
+ */
+
+const crypto = require('crypto');
+
+// Distinct example values kept per field path
+const MAX_EXAMPLES = 3;
+
+// Example strings are cut to this length
+const MAX_EXAMPLE_LENGTH = 60;
+
+function getValueType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function joinPath(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
+
+function formatExample(value) {
+  if (typeof value === 'string' && value.length > MAX_EXAMPLE_LENGTH) {
+    return value.substring(0, MAX_EXAMPLE_LENGTH) + '...';
+  }
+  return value;
+}
+
+/**
+ * Create a schema inferrer.
+ *
+ * Options:
+ *   maxRecordsPerShape - record references (index, uuid) kept per shape; the
+ *                        count is always exact
+ *
+ * Returns { add(record, index, source), getResult() }.
+ */
+function createSchemaInferrer({ maxRecordsPerShape = 1000 } = {}) {
+  // Field path -> { parent, present, types, examples }
+  const paths = new Map();
+  
+  // Object location -> { count, keys: { key: count } }. Elements of arrays
+  // of typed objects (content parts) get one location per type, e.g.
+  // chat_messages[].content[]<tool_use>, since each type has its own fields.
+  const locations = new Map();
+  
+  // Record signature hash -> { tokens, count, records }
+  const shapes = new Map();
+  
+  let recordCount = 0;
+  
+  function getPathStats(path, parent) {
+    let stats = paths.get(path);
+    if (!stats) {
+      stats = { parent, present: 0, types: {}, examples: [] };
+      paths.set(path, stats);
+    }
+    return stats;
+  }
+  
+  // Record a value found at a path. Objects are walked under their location,
+  // which defaults to the path itself.
+  function recordValue(path, parent, value, tokens, location = path) {
+    const type = getValueType(value);
+    const stats = getPathStats(path, parent);
+    stats.present++;
+    stats.types[type] = (stats.types[type] || 0) + 1;
+    tokens.add(`${path}:${type}`);
+    
+    if (type !== 'object' && type !== 'array' && type !== 'null' && stats.examples.length < MAX_EXAMPLES) {
+      const example = formatExample(value);
+      if (!stats.examples.includes(example)) {
+        stats.examples.push(example);
+      }
+    }
+    
+    if (type === 'object') {
+      walkObject(value, path, location, tokens);
+    } else if (type === 'array') {
+      const elementPath = `${path}[]`;
+      value.forEach(element => {
+        const elementLocation = isObject(element) && typeof element.type === 'string' ?
+          `${elementPath}<${element.type}>` :
+          elementPath;
+        recordValue(elementPath, path, element, tokens, elementLocation);
+      });
+    }
+  }
+  
+  function walkObject(obj, path, location, tokens) {
+    let stats = locations.get(location);
+    if (!stats) {
+      stats = { count: 0, keys: {} };
+      locations.set(location, stats);
+    }
+    stats.count++;
+    
+    const keys = Object.keys(obj).sort();
+    keys.forEach(key => {
+      stats.keys[key] = (stats.keys[key] || 0) + 1;
+    });
+    tokens.add(`${location}{${keys.join(',')}}`);
+    
+    keys.forEach(key => recordValue(joinPath(path, key), path, obj[key], tokens));
+  }
+  
+  // Add one record (a conversation) to the inferred schema
+  function add(record, index = recordCount, source = null) {
+    recordCount++;
+    const tokens = new Set();
+    
+    if (isObject(record)) {
+      walkObject(record, '', '', tokens);
+    } else {
+      tokens.add(`:${getValueType(record)}`);
+    }
+    
+    const sorted = Array.from(tokens).sort();
+    const signature = crypto.createHash('sha1').update(sorted.join('\n')).digest('hex');
+    
+    let shape = shapes.get(signature);
+    if (!shape) {
+      shape = { tokens: sorted, count: 0, records: [] };
+      shapes.set(signature, shape);
+    }
+    shape.count++;
+    
+    if (shape.records.length < maxRecordsPerShape) {
+      const ref = { index, uuid: isObject(record) && typeof record.uuid === 'string' ? record.uuid : null };
+      if (source) ref.source = source;
+      shape.records.push(ref);
+    }
+  }
+  
+  // Object count at a path ('' is the record itself)
+  function getObjectCount(path) {
+    if (path === '') return recordCount;
+    const stats = paths.get(path);
+    return stats ? stats.types.object || 0 : 0;
+  }
+  
+  // The majority shape: required keys per location and the dominant type per path
+  function getMajority() {
+    const requiredKeys = new Map();
+    locations.forEach((stats, location) => {
+      requiredKeys.set(location, Object.keys(stats.keys).filter(key => stats.keys[key] * 2 > stats.count));
+    });
+    
+    // Null is left out: nullability is reported per field, not as a deviation
+    const dominantTypes = new Map();
+    paths.forEach((stats, path) => {
+      const types = Object.entries(stats.types).filter(([type]) => type !== 'null');
+      if (types.length > 0) {
+        dominantTypes.set(path, types.sort((a, b) => b[1] - a[1])[0][0]);
+      }
+    });
+    
+    return { requiredKeys, dominantTypes };
+  }
+  
+  // Reasons why a shape deviates from the majority shape
+  function describeDeviations(shape, majority) {
+    const reasons = new Set();
+    
+    shape.tokens.forEach(token => {
+      const keySet = token.match(/^(.*)\{(.*)\}$/);
+      if (keySet) {
+        const [, location, keyList] = keySet;
+        const keys = keyList ? keyList.split(',') : [];
+        (majority.requiredKeys.get(location) || [])
+          .filter(key => !keys.includes(key))
+          .forEach(key => reasons.add(`${joinPath(location, key)} is missing`));
+        return;
+      }
+      
+      const separator = token.lastIndexOf(':');
+      const path = token.substring(0, separator);
+      const type = token.substring(separator + 1);
+      const expected = path ? majority.dominantTypes.get(path) : 'object';
+      if (expected && type !== 'null' && type !== expected) {
+        reasons.add(`${path || '(record)'} is ${type}, expected ${expected}`);
+      }
+    });
+    
+    return Array.from(reasons);
+  }
+  
+  /**
+   * Summarize everything added so far:
+   *   { records, fields, shapes, deviations, deviatingRecords }
+   * where fields are sorted by path and deviations list the records whose
+   * shape differs from the majority, ordered by index.
+   */
+  function getResult() {
+    const fields = Array.from(paths.entries())
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([path, stats]) => {
+        const parentCount = getObjectCount(stats.parent);
+        const isElement = path.endsWith('[]');
+        return {
+          path,
+          types: stats.types,
+          present: stats.present,
+          // Array elements are counted per element, not per enclosing object
+          presence: isElement || parentCount === 0 ? null : stats.present / parentCount,
+          nullable: Boolean(stats.types.null),
+          examples: stats.examples
+        };
+      });
+    
+    const majority = getMajority();
+    const deviations = [];
+    let deviatingRecords = 0;
+    
+    shapes.forEach(shape => {
+      const reasons = describeDeviations(shape, majority);
+      if (reasons.length === 0) return;
+      
+      deviatingRecords += shape.count;
+      shape.records.forEach(ref => deviations.push(Object.assign({}, ref, { reasons })));
+    });
+    deviations.sort((a, b) => a.index - b.index);
+    
+    return {
+      records: recordCount,
+      fields,
+      shapes: shapes.size,
+      deviations,
+      deviatingRecords,
+      // Per-location key counts, e.g. for checking required fields
+      locations: Object.fromEntries(locations)
+    };
+  }
+  
+  return {
+    add,
+    getResult
+  };
+}
+
+module.exports = {
+  createSchemaInferrer,
+  getValueType
+};
@@ -0,0 +1,483 @@
+/**
+ * Persistent Full-Text Search Index
+ *
+ * An inverted index over the messages of an export, so searching a large
+ * archive does not scan every message. Each message is a document; message
+ * text is tokenized into lowercase words and every term keeps positional
+ * postings (document and word positions), which also makes phrase queries
+ * possible. Results are ranked with BM25.
+ *
+ * The index is stored next to the export as <file>.search-index (gzipped,
+ * one line per record). Its header records the size, mtime and SHA-1 of the
+ * export file: an unchanged mtime means the index can be used as is, an
+ * unchanged hash only refreshes the header, and otherwise the index is
+ * rebuilt incrementally - conversations whose fingerprint (uuid, updated_at,
+ * message count, text length) is unchanged keep their postings and only new
+ * or changed conversations are tokenized again.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { once } = require('events');
+const { getMessages, getMessageText } = require('./conversation-model');
+
+const INDEX_FORMAT = 'conversation-search-index';
+const INDEX_VERSION = 1;
+const INDEX_EXTENSION = '.search-index';
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Words: runs of letters, digits and underscores in any script
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+// Conversations tokenized between yields to the event loop while building
+const BUILD_BATCH_SIZE = 200;
+
+function tokenize(text) {
+  return text ? text.toLowerCase().match(TOKEN_PATTERN) || [] : [];
+}
+
+/**
+ * Character offset and length of the token at a token position of a text,
+ * for highlighting an index hit. Null when the text has fewer tokens.
+ */
+function findTokenOffset(text, tokenPosition) {
+  const pattern = new RegExp(TOKEN_PATTERN.source, 'gu');
+  const lower = text.toLowerCase();
+  let match;
+  
+  for (let i = 0; (match = pattern.exec(lower)) !== null; i++) {
+    if (i === tokenPosition) return { offset: match.index, length: match[0].length };
+  }
+  return null;
+}
+
+function getIndexPath(file) {
+  return file + INDEX_EXTENSION;
+}
+
+/**
+ * Keys identifying conversations in the index, in export order: the uuid,
+ * or the position for conversations without one (and for repeated uuids).
+ */
+function getConversationKeys(conversations) {
+  const seen = new Set();
+  return conversations.map((conversation, i) => {
+    let key = conversation && conversation.uuid ? conversation.uuid : `#${i}`;
+    if (seen.has(key)) key = `${key}#${i}`;
+    seen.add(key);
+    return key;
+  });
+}
+
+// Cheap signature of a conversation's searchable content
+function getFingerprint(conversation) {
+  const messages = getMessages(conversation);
+  const textLength = messages.reduce((sum, message) => sum + getMessageText(message).length, 0);
+  return `${conversation && conversation.updated_at || ''}|${messages.length}|${textLength}`;
+}
+
+async function hashFile(file) {
+  const hash = crypto.createHash('sha1');
+  for await (const chunk of fs.createReadStream(file)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// Position of a document's entry in a term's postings (sorted by document), or -1
+function findPosting(entries, docId) {
+  let low = 0;
+  let high = entries.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (entries[mid][0] === docId) return mid;
+    if (entries[mid][0] < docId) low = mid + 1;
+    else high = mid - 1;
+  }
+  return -1;
+}
+
+// Split a query into single terms and "quoted phrases"
+function parseQuery(query) {
+  const phrases = [];
+  const rest = query.replace(/"([^"]*)"/g, (match, phrase) => {
+    const tokens = tokenize(phrase);
+    if (tokens.length > 1) phrases.push(tokens);
+    return tokens.length === 1 ? ` ${tokens[0]} ` : ' ';
+  });
+  
+  return { terms: tokenize(rest), phrases };
+}
+
+/**
+ * Create an empty index.
+ *
+ *   docs           - [{ key, message, length }], one per message
+ *   conversations  - Map(key -> { fingerprint, docIds })
+ *   postings       - Map(term -> [[docId, [positions]]]), sorted by docId
+ *                    once finalize() has run
+ */
+function createSearchIndex(header = {}) {
+  const index = {
+    header,
+    docs: [],
+    conversations: new Map(),
+    postings: new Map(),
+    totalLength: 0,
+    
+    addPosting(term, docId, positions) {
+      let entries = index.postings.get(term);
+      if (!entries) {
+        entries = [];
+        index.postings.set(term, entries);
+      }
+      entries.push([docId, positions]);
+    },
+    
+    // Tokenize and add every message of a conversation
+    addConversation(key, fingerprint, conversation) {
+      const docIds = [];
+      
+      getMessages(conversation).forEach((message, messageIndex) => {
+        const tokens = tokenize(getMessageText(message));
+        const docId = index.docs.length;
+        index.docs.push({ key, message: messageIndex, length: tokens.length });
+        index.totalLength += tokens.length;
+        docIds.push(docId);
+        
+        const positions = new Map();
+        tokens.forEach((term, position) => {
+          if (!positions.has(term)) positions.set(term, []);
+          positions.get(term).push(position);
+        });
+        positions.forEach((termPositions, term) => index.addPosting(term, docId, termPositions));
+      });
+      
+      index.conversations.set(key, { fingerprint, docIds });
+    },
+    
+    // Sort postings by document after documents were added out of order
+    finalize() {
+      index.postings.forEach(entries => entries.sort((a, b) => a[0] - b[0]));
+    },
+    
+    /**
+     * Ranked search. Every term must occur in a message and "quoted phrases"
+     * must occur as consecutive words. Returns up to `limit` results,
+     * best first: [{ key, message, score, term, position }], where term and
+     * position locate the first query term in the message's tokens.
+     */
+    search(query, { limit = 1000 } = {}) {
+      const { terms, phrases } = parseQuery(query);
+      const required = Array.from(new Set(terms.concat(...phrases)));
+      if (required.length === 0) return [];
+      
+      const termPostings = required.map(term => ({ term, entries: index.postings.get(term) || [] }));
+      if (termPostings.some(({ entries }) => entries.length === 0)) return [];
+      
+      // Walk the rarest term's documents and look the others up
+      const ordered = termPostings.slice().sort((a, b) => a.entries.length - b.entries.length);
+      const docCount = index.docs.length;
+      const averageLength = docCount > 0 ? index.totalLength / docCount : 0;
+      const idf = new Map(termPostings.map(({ term, entries }) =>
+        [term, Math.log(1 + (docCount - entries.length + 0.5) / (entries.length + 0.5))]));
+      
+      const results = [];
+      ordered[0].entries.forEach(([docId]) => {
+        const doc = index.docs[docId];
+        const positions = new Map();
+        
+        for (const { term, entries } of ordered) {
+          const found = findPosting(entries, docId);
+          if (found === -1) return;
+          positions.set(term, entries[found][1]);
+        }
+        
+        const phrasesMatch = phrases.every(phrase => positions.get(phrase[0]).some(start =>
+          phrase.every((term, offset) => offset === 0 || positions.get(term).includes(start + offset))));
+        if (!phrasesMatch) return;
+        
+        let score = 0;
+        positions.forEach((termPositions, term) => {
+          const tf = termPositions.length;
+          const norm = averageLength > 0 ? doc.length / averageLength : 1;
+          score += idf.get(term) * tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * norm));
+        });
+        
+        const firstTerm = required[0];
+        results.push({ key: doc.key, message: doc.message, score, term: firstTerm, position: positions.get(firstTerm)[0] });
+      });
+      
+      results.sort((a, b) => b.score - a.score || a.key.localeCompare(b.key) || a.message - b.message);
+      return results.slice(0, limit);
+    }
+  };
+  
+  return index;
+}
+
+/**
+ * Build an index for a list of conversations. With a previous index, the
+ * postings of conversations whose fingerprint is unchanged are reused.
+ * onProgress({ done, total }) is called between batches.
+ * Resolves to { index, reused, indexed }.
+ */
+async function buildSearchIndex(conversations, { previous = null, header = {}, onProgress = () => {} } = {}) {
+  const index = createSearchIndex(header);
+  const keys = getConversationKeys(conversations);
+  const remap = new Map(); // previous docId -> new docId
+  let reused = 0;
+  let indexed = 0;
+  
+  for (let i = 0; i < conversations.length; i++) {
+    const key = keys[i];
+    const fingerprint = getFingerprint(conversations[i]);
+    const old = previous && previous.conversations.get(key);
+    
+    if (old && old.fingerprint === fingerprint) {
+      const docIds = old.docIds.map(oldId => {
+        const doc = previous.docs[oldId];
+        const docId = index.docs.length;
+        index.docs.push(doc);
+        index.totalLength += doc.length;
+        remap.set(oldId, docId);
+        return docId;
+      });
+      index.conversations.set(key, { fingerprint, docIds });
+      reused++;
+    } else {
+      index.addConversation(key, fingerprint, conversations[i]);
+      indexed++;
+    }
+    
+    if ((i + 1) % BUILD_BATCH_SIZE === 0) {
+      onProgress({ done: i + 1, total: conversations.length });
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+  
+  if (previous) {
+    previous.postings.forEach((entries, term) => {
+      entries.forEach(([oldId, positions]) => {
+        const docId = remap.get(oldId);
+        if (docId !== undefined) index.addPosting(term, docId, positions);
+      });
+    });
+  }
+  
+  index.finalize();
+  onProgress({ done: conversations.length, total: conversations.length });
+  return { index, reused, indexed };
+}
+
+// Postings line: term, then documents as "docDelta:position,positionDelta,..." joined by ';'
+function encodePostings(term, entries) {
+  let lastDoc = 0;
+  const encoded = entries.map(([docId, positions]) => {
+    const docDelta = docId - lastDoc;
+    lastDoc = docId;
+    const positionDeltas = positions.map((position, i) => i === 0 ? position : position - positions[i - 1]);
+    return `${docDelta}:${positionDeltas.join(',')}`;
+  });
+  return `T\t${term}\t${encoded.join(';')}`;
+}
+
+function decodePostings(encoded) {
+  let docId = 0;
+  return encoded.split(';').map(entry => {
+    const [docDelta, positionList] = entry.split(':');
+    docId += Number(docDelta);
+    let position = 0;
+    const positions = positionList.split(',').map((delta, i) => {
+      position = i === 0 ? Number(delta) : position + Number(delta);
+      return position;
+    });
+    return [docId, positions];
+  });
+}
+
+// Write an index to disk (through a temporary file, so a crash never leaves half an index)
+async function writeSearchIndex(index, indexPath) {
+  const tmpPath = `${indexPath}.tmp`;
+  const gzip = zlib.createGzip();
+  const output = fs.createWriteStream(tmpPath);
+  gzip.pipe(output);
+  
+  const write = async (line) => {
+    if (!gzip.write(line + '\n')) await once(gzip, 'drain');
+  };
+  
+  try {
+    await write(JSON.stringify(Object.assign({}, index.header, {
+      format: INDEX_FORMAT,
+      version: INDEX_VERSION,
+      docCount: index.docs.length,
+      totalLength: index.totalLength
+    })));
+    
+    // Documents of a conversation are contiguous, so ids are implied by order
+    for (const [key, { fingerprint, docIds }] of index.conversations) {
+      await write(`C\t${JSON.stringify([key, fingerprint, docIds.map(docId => [index.docs[docId].message, index.docs[docId].length])])}`);
+    }
+    
+    for (const [term, entries] of index.postings) {
+      await write(encodePostings(term, entries));
+    }
+    
+    gzip.end();
+    await once(output, 'finish');
+    fs.renameSync(tmpPath, indexPath);
+  } catch (error) {
+    gzip.destroy();
+    output.destroy();
+    fs.rmSync(tmpPath, { force: true });
+    throw error;
+  }
+}
+
+function createLineReader(indexPath) {
+  const input = fs.createReadStream(indexPath).pipe(zlib.createGunzip());
+  return { input, lines: readline.createInterface({ input, crlfDelay: Infinity }) };
+}
+
+// Read only the header of an index file; null when missing or not an index
+async function readSearchIndexHeader(indexPath) {
+  if (!fs.existsSync(indexPath)) return null;
+  
+  const { input, lines } = createLineReader(indexPath);
+  try {
+    for await (const line of lines) {
+      const header = JSON.parse(line);
+      return header.format === INDEX_FORMAT && header.version === INDEX_VERSION ? header : null;
+    }
+    return null;
+  } catch (error) {
+    return null;
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
+
+// Read a whole index file; null when missing or not an index
+async function readSearchIndex(indexPath) {
+  if (!fs.existsSync(indexPath)) return null;
+  
+  const { input, lines } = createLineReader(indexPath);
+  let index = null;
+  
+  try {
+    for await (const line of lines) {
+      if (!index) {
+        const header = JSON.parse(line);
+        if (header.format !== INDEX_FORMAT || header.version !== INDEX_VERSION) return null;
+        index = createSearchIndex(header);
+      } else if (line.startsWith('C\t')) {
+        const [key, fingerprint, docs] = JSON.parse(line.substring(2));
+        const docIds = docs.map(([message, length]) => {
+          index.docs.push({ key, message, length });
+          index.totalLength += length;
+          return index.docs.length - 1;
+        });
+        index.conversations.set(key, { fingerprint, docIds });
+      } else if (line.startsWith('T\t')) {
+        const separator = line.indexOf('\t', 2);
+        index.postings.set(line.substring(2, separator), decodePostings(line.substring(separator + 1)));
+      }
+    }
+    return index;
+  } catch (error) {
+    // A damaged index is simply rebuilt
+    return null;
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
+
+/**
+ * Load the index of an export, building or updating it when the export
+ * changed. `conversations` are the export's conversations in file order.
+ *
+ * Options:
+ *   onProgress({ phase, done, total }) - phase is 'hashing', 'loading' or 'indexing'
+ *
+ * Resolves to { index, indexPath, status, reused, indexed, writeError }
+ * where status is 'loaded', 'updated' (rebuilt incrementally) or 'built'.
+ * When the index cannot be written (e.g. read-only folder) it is still
+ * returned, with writeError set.
+ */
+async function ensureSearchIndex(exportSource, conversations, { onProgress = () => {} } = {}) {
+  const file = exportSource.file;
+  const indexPath = getIndexPath(file);
+  const stats = fs.statSync(file);
+  const existingHeader = await readSearchIndexHeader(indexPath);
+  
+  const matchesFile = (header) => header && header.conversationsPath === exportSource.conversationsPath;
+  
+  // Unchanged file: use the index as it is
+  if (matchesFile(existingHeader) && existingHeader.size === stats.size && existingHeader.mtimeMs === stats.mtimeMs) {
+    onProgress({ phase: 'loading', done: 0, total: existingHeader.docCount });
+    const index = await readSearchIndex(indexPath);
+    if (index) {
+      return { index, indexPath, status: 'loaded', reused: index.conversations.size, indexed: 0, writeError: null };
+    }
+  }
+  
+  onProgress({ phase: 'hashing', done: 0, total: stats.size });
+  const hash = await hashFile(file);
+  const header = {
+    source: file,
+    conversationsPath: exportSource.conversationsPath,
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    hash,
+    builtAt: new Date().toISOString()
+  };
+  
+  let previous = null;
+  if (matchesFile(existingHeader)) {
+    onProgress({ phase: 'loading', done: 0, total: existingHeader.docCount });
+    previous = await readSearchIndex(indexPath);
+  }
+  
+  let result;
+  if (previous && previous.header.hash === hash) {
+    // Same content with a new mtime (e.g. copied): only the header changes
+    previous.header = Object.assign({}, previous.header, { mtimeMs: stats.mtimeMs });
+    result = { index: previous, status: 'loaded', reused: previous.conversations.size, indexed: 0 };
+  } else {
+    const built = await buildSearchIndex(conversations, {
+      previous,
+      header,
+      onProgress: ({ done, total }) => onProgress({ phase: 'indexing', done, total })
+    });
+    result = Object.assign(built, { status: previous ? 'updated' : 'built' });
+  }
+  
+  let writeError = null;
+  try {
+    await writeSearchIndex(result.index, indexPath);
+  } catch (error) {
+    writeError = error;
+  }
+  
+  return Object.assign(result, { indexPath, writeError });
+}
+
+module.exports = {
+  tokenize,
+  findTokenOffset,
+  getIndexPath,
+  getConversationKeys,
+  createSearchIndex,
+  buildSearchIndex,
+  writeSearchIndex,
+  readSearchIndex,
+  ensureSearchIndex
+};
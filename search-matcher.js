@@ -0,0 +1,88 @@
+/**
+ * Search Matching
+ *
+ * Finds the matches of a search term in a text, with the explorer's search
+ * modes: plain text or a regular expression, optionally restricted to whole
+ * words and optionally case-sensitive.
+ */
+
+// Characters that make up a word for whole-word matching
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+// Matches listed per text at most (a regex like "." would match everything)
+const MAX_MATCHES = 10000;
+
+const DEFAULT_OPTIONS = { regex: false, wholeWord: false, caseSensitive: false };
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Short description of the active modes, e.g. "regex, case-sensitive"
+function describeSearchOptions(options) {
+  const modes = [];
+  if (options.regex) modes.push('regex');
+  if (options.wholeWord) modes.push('whole word');
+  if (options.caseSensitive) modes.push('case-sensitive');
+  return modes.length > 0 ? modes.join(', ') : 'plain text';
+}
+
+// Compile in unicode mode where the pattern allows it. That mode rejects
+// escapes like \- or \: and a lone {, so such patterns are compiled without
+// it, unless they need it for \p{...} or the whole-word lookarounds.
+function compilePattern(source, flags, needsUnicode) {
+  try {
+    return new RegExp(source, flags + 'u');
+  } catch (error) {
+    if (needsUnicode || /\\[pP]\{/.test(source)) throw error;
+    return new RegExp(source, flags);
+  }
+}
+
+/**
+ * Create a matcher for a search term. The matcher has:
+ *   test(text)    - whether the text contains a match
+ *   findAll(text) - the matches as [{ index, length }], empty matches skipped
+ */
+function createSearchMatcher(term, options = {}) {
+  const { regex, wholeWord, caseSensitive } = Object.assign({}, DEFAULT_OPTIONS, options);
+  let source = regex ? term : escapeRegExp(term);
+  
+  if (wholeWord) {
+    source = `(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})`;
+  }
+  
+  // Throws a SyntaxError ("Invalid regular expression: ...") for a bad regex
+  const pattern = compilePattern(source, caseSensitive ? 'g' : 'gi', wholeWord);
+  
+  const findAll = (text, limit = MAX_MATCHES) => {
+    const matches = [];
+    if (!text) return matches;
+    
+    pattern.lastIndex = 0;
+    let match;
+    while (matches.length < limit && (match = pattern.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        // Step past empty matches (e.g. "a*") so the loop ends
+        pattern.lastIndex++;
+        continue;
+      }
+      matches.push({ index: match.index, length: match[0].length });
+    }
+    return matches;
+  };
+  
+  return {
+    term,
+    options: { regex, wholeWord, caseSensitive },
+    findAll,
+    test: (text) => findAll(text, 1).length > 0
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  escapeRegExp,
+  describeSearchOptions,
+  createSearchMatcher
+};
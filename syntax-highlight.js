@@ -0,0 +1,303 @@
+/**
+ * Syntax Highlighting
+ *
+ * Colors code blocks with blessed tags for the explorer's message pane.
+ * Languages: JavaScript/TypeScript, Python, shell, JSON, SQL, Go, Rust, diff
+ * and CSV, under their usual names and aliases (js, ts, py, sh, bash,
+ * golang, rs, patch, tsv, ...).
+ *
+ * Each language is a list of token rules tried in order at every position
+ * of the code; the first that matches wins, and words no rule matches are
+ * left plain. The whole block is tokenized at once, so comments and strings
+ * can span lines. Unknown languages get null, so the caller can fall back
+ * to its own style.
+ */
+
+const blessed = require('blessed');
+
+const DEFAULT_COLORS = {
+  keyword: 'magenta',
+  string: 'yellow',
+  number: 'cyan',
+  comment: 'gray',
+  constant: 'cyan',       // true, null, None, ...
+  type: 'cyan',           // Capitalized names and built-in types
+  builtin: 'blue',        // Built-in functions and shell commands
+  function: 'blue',       // Names followed by (
+  property: 'blue',       // JSON keys, quoted SQL identifiers
+  variable: 'cyan',       // Shell $variables
+  meta: 'gray',           // Decorators, attributes, shell options
+  inserted: 'green',      // diff
+  deleted: 'red',
+  hunk: 'cyan',
+  header: 'white'
+};
+
+// Longer code is shown without highlighting
+const MAX_HIGHLIGHT_LENGTH = 200000;
+
+// A whole word, never matched by rules halfway through
+const WORD = /[\p{L}\p{N}_$]+/uy;
+
+function words(list, flags = '') {
+  return new RegExp(`(?:${list.trim().split(/\s+/).join('|')})(?![\\p{L}\\p{N}_$])`, `uy${flags}`);
+}
+
+const NUMBER = /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*(?:\.[\d_]+)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?)[a-zA-Z]*(?![\p{L}\p{N}_$])/uy;
+const C_COMMENT = /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/y;
+const DOUBLE_QUOTED = /"(?:\\[\s\S]|[^\\"\n])*"?/y;
+const SINGLE_QUOTED = /'(?:\\[\s\S]|[^\\'\n])*'?/y;
+const FUNCTION_CALL = /[\p{L}_$][\p{L}\p{N}_$]*(?=\s*\()/uy;
+const CAPITALIZED = /\p{Lu}[\p{L}\p{N}_$]*/uy;
+
+const JAVASCRIPT = [
+  ['comment', C_COMMENT],
+  ['string', /`(?:\\[\s\S]|[^\\`])*`?/y],
+  ['string', DOUBLE_QUOTED],
+  ['string', SINGLE_QUOTED],
+  ['number', NUMBER],
+  ['constant', words('true false null undefined NaN Infinity')],
+  ['keyword', words(`
+    const let var function return if else for while do switch case break continue new delete
+    typeof instanceof in of class extends super this import export from default try catch
+    finally throw async await yield void static get set interface type enum implements private
+    public protected readonly abstract declare namespace as is keyof infer satisfies`)],
+  ['type', words('string number boolean any unknown never object symbol bigint')],
+  ['meta', /@[\p{L}_$][\p{L}\p{N}_$.]*/uy],
+  ['type', CAPITALIZED],
+  ['function', FUNCTION_CALL]
+];
+
+const PYTHON = [
+  ['comment', /#.*/y],
+  ['string', /(?:[rRbBuUfF]{1,2}(?=["']))?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\[\s\S]|[^\\"\n])*"?|'(?:\\[\s\S]|[^\\'\n])*'?)/y],
+  ['meta', /@[\p{L}_][\p{L}\p{N}_.]*/uy],
+  ['number', NUMBER],
+  ['constant', words('True False None')],
+  ['keyword', words(`
+    and as assert async await break class continue def del elif else except finally for from
+    global if import in is lambda nonlocal not or pass raise return try while with yield match case`)],
+  ['builtin', words(`
+    print len range int str float bool list dict set tuple open super isinstance enumerate zip
+    map filter sorted reversed sum min max any all type abs round input iter next getattr
+    setattr hasattr self cls`)],
+  ['type', CAPITALIZED],
+  ['function', FUNCTION_CALL]
+];
+
+const SHELL = [
+  ['comment', /(?<!\S)#.*/y],
+  ['string', /"(?:\\[\s\S]|[^\\"])*"?/y],
+  ['string', /'[^']*'?/y],
+  ['variable', /\$(?:\{[^}\n]*\}?|\(\(?|[\p{L}_][\p{L}\p{N}_]*|[0-9@#?$!*-])/uy],
+  ['keyword', words('if then else elif fi for in do done while until case esac function return local export readonly declare unset shift exit break continue select')],
+  ['builtin', words(`
+    echo cd pwd ls cat grep egrep sed awk find xargs sudo rm cp mv mkdir rmdir touch chmod chown
+    curl wget git npm npx node yarn pnpm python python3 pip pip3 docker kubectl make tar gzip
+    unzip ssh scp source set printf read test kill ps head tail sort uniq wc tee env which brew apt`)],
+  ['meta', /(?<![\p{L}\p{N}_-])--?[\p{L}\p{N}][\p{L}\p{N}_-]*/uy],
+  ['number', NUMBER]
+];
+
+const JSON_RULES = [
+  ['comment', C_COMMENT],
+  ['property', /"(?:\\.|[^\\"\n])*"(?=\s*:)/y],
+  ['string', DOUBLE_QUOTED],
+  ['number', /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+  ['constant', words('true false null')]
+];
+
+const SQL = [
+  ['comment', /--.*|\/\*[\s\S]*?(?:\*\/|$)/y],
+  ['string', /'(?:''|[^'])*'?/y],
+  ['property', /"(?:""|[^"\n])*"?|`[^`\n]*`?|\[[^\]\n]*\]/y],
+  ['number', NUMBER],
+  ['constant', words('true false null', 'i')],
+  ['keyword', words(`
+    select from where and or not in is like ilike between exists as on join inner left right
+    full outer cross natural using group by order having limit offset union all distinct insert
+    into values update set delete create alter drop table view index unique primary foreign key
+    references default check constraint if begin commit rollback transaction case when then
+    else end with recursive returning asc desc nulls first last over partition window grant
+    revoke cascade`, 'i')],
+  ['type', words(`
+    int integer bigint smallint serial bigserial text varchar char boolean bool date time
+    timestamp timestamptz interval numeric decimal real float double precision json jsonb uuid blob`, 'i')],
+  ['function', FUNCTION_CALL]
+];
+
+const GO = [
+  ['comment', C_COMMENT],
+  ['string', /`[^`]*`?/y],
+  ['string', DOUBLE_QUOTED],
+  ['string', /'(?:\\[^'\n]+|[^\\'\n])'/y],
+  ['number', NUMBER],
+  ['constant', words('true false nil iota')],
+  ['keyword', words(`
+    break case chan const continue default defer else fallthrough for func go goto if import
+    interface map package range return select struct switch type var`)],
+  ['type', words(`
+    int int8 int16 int32 int64 uint uint8 uint16 uint32 uint64 uintptr float32 float64
+    complex64 complex128 string bool byte rune error any`)],
+  ['builtin', words('append cap close copy delete len make new panic print println recover')],
+  ['type', CAPITALIZED],
+  ['function', FUNCTION_CALL]
+];
+
+const RUST = [
+  ['comment', C_COMMENT],
+  ['string', /b?r(#*)"[\s\S]*?(?:"\1|$)/y],
+  ['string', /b?"(?:\\[\s\S]|[^\\"])*"?/y],
+  ['string', /b?'(?:\\(?:x[\da-fA-F]{2}|u\{[\da-fA-F]{1,6}\}|.)|[^\\'\n])'/uy],
+  ['meta', /'[\p{L}_][\p{L}\p{N}_]*/uy], // lifetimes
+  ['meta', /#!?\[[^\]\n]*\]?/y],
+  ['number', NUMBER],
+  ['constant', words('true false')],
+  ['keyword', words(`
+    as async await break const continue crate dyn else enum extern fn for if impl in let loop
+    match mod move mut pub ref return self static struct super trait type unsafe use where while`)],
+  ['type', words('i8 i16 i32 i64 i128 isize u8 u16 u32 u64 u128 usize f32 f64 bool char str')],
+  ['function', /[\p{L}_][\p{L}\p{N}_]*!/uy], // macros
+  ['type', CAPITALIZED],
+  ['function', FUNCTION_CALL]
+];
+
+// diff is colored a line at a time
+function tokenizeDiff(code) {
+  return code.split('\n').map((line, i, lines) => {
+    let type = null;
+    if (/^(?:\+\+\+|---)(?:\s|$)|^(?:diff|index|new file|deleted file|similarity|rename) /.test(line)) {
+      type = 'header';
+    } else if (line.startsWith('@@')) {
+      type = 'hunk';
+    } else if (line.startsWith('+') || line.startsWith('>')) {
+      type = 'inserted';
+    } else if (line.startsWith('-') || line.startsWith('<')) {
+      type = 'deleted';
+    }
+    return { type, text: i < lines.length - 1 ? line + '\n' : line };
+  });
+}
+
+// CSV: the header row bold, quoted fields as strings, numbers and the
+// separators (comma, semicolon or tab) dimmed
+const CSV_RULES = [
+  ['string', /"(?:""|[^"])*"?/y],
+  ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?(?=[ \t]*(?:[,;\t\n]|$))/y],
+  ['meta', /[,;\t]/y]
+];
+
+function tokenizeCsv(code) {
+  const newline = code.indexOf('\n');
+  if (newline === -1) return [{ type: 'header', text: code }];
+  return [{ type: 'header', text: code.substring(0, newline + 1) }].concat(tokenize(code.substring(newline + 1), CSV_RULES));
+}
+
+// Languages by canonical name: the names code blocks use for them, how
+// they are tokenized and the extension of files saved from them
+const LANGUAGES = {
+  javascript: { aliases: ['js', 'jsx', 'mjs', 'cjs', 'node'], rules: JAVASCRIPT, extension: '.js' },
+  typescript: { aliases: ['ts', 'tsx', 'mts', 'cts'], rules: JAVASCRIPT, extension: '.ts' },
+  python: { aliases: ['py', 'python3', 'py3', 'pyi', 'ipython'], rules: PYTHON, extension: '.py' },
+  shell: { aliases: ['sh', 'bash', 'zsh', 'ksh', 'console', 'shell-session', 'shellscript', 'terminal'], rules: SHELL, extension: '.sh' },
+  json: { aliases: ['jsonc', 'json5', 'jsonl', 'geojson'], rules: JSON_RULES, extension: '.json' },
+  sql: { aliases: ['mysql', 'postgres', 'postgresql', 'psql', 'sqlite', 'plsql', 'tsql'], rules: SQL, extension: '.sql' },
+  go: { aliases: ['golang'], rules: GO, extension: '.go' },
+  rust: { aliases: ['rs'], rules: RUST, extension: '.rs' },
+  diff: { aliases: ['patch', 'udiff'], tokenize: tokenizeDiff, extension: '.diff' },
+  csv: { aliases: ['tsv'], tokenize: tokenizeCsv, extension: '.csv' }
+};
+
+// Canonical language name for a code block's info string, or null
+function resolveLanguage(language) {
+  const name = String(language || '').trim().toLowerCase();
+  if (!name) return null;
+  if (LANGUAGES[name]) return name;
+  return Object.keys(LANGUAGES).find(key => LANGUAGES[key].aliases.includes(name)) || null;
+}
+
+// File extension for code in a language; .txt when it is unknown
+function getFileExtension(language) {
+  const name = resolveLanguage(language);
+  return name ? LANGUAGES[name].extension : '.txt';
+}
+
+// Split code into [{ type, text }] with a language's rules; type is null
+// for plain text
+function tokenize(code, rules) {
+  const tokens = [];
+  let plain = '';
+  let i = 0;
+  
+  const push = (type, text) => {
+    if (plain) {
+      tokens.push({ type: null, text: plain });
+      plain = '';
+    }
+    tokens.push({ type, text });
+  };
+  
+  while (i < code.length) {
+    let matched = false;
+    for (const [type, pattern] of rules) {
+      pattern.lastIndex = i;
+      const match = pattern.exec(code);
+      if (match && match[0].length > 0) {
+        push(type, match[0]);
+        i += match[0].length;
+        matched = true;
+        break;
+      }
+    }
+    if (matched) continue;
+    
+    WORD.lastIndex = i;
+    const word = WORD.exec(code);
+    const text = word ? word[0] : String.fromCodePoint(code.codePointAt(i));
+    plain += text;
+    i += text.length;
+  }
+  
+  if (plain) tokens.push({ type: null, text: plain });
+  return tokens;
+}
+
+/**
+ * Highlight code in a language as blessed-tagged lines, or null when the
+ * language is unknown or the code too long. Options:
+ *   colors     - token colors, see DEFAULT_COLORS
+ *   plainColor - color of text no rule matched (default: the terminal's)
+ */
+function highlight(code, language, { colors = {}, plainColor = null } = {}) {
+  const name = resolveLanguage(language);
+  if (!name || code.length > MAX_HIGHLIGHT_LENGTH) return null;
+  
+  const palette = Object.assign({}, DEFAULT_COLORS, colors);
+  const definition = LANGUAGES[name];
+  const tokens = definition.tokenize ? definition.tokenize(code) : tokenize(code, definition.rules);
+  
+  // Tokens can span lines; color each line's piece on its own so every
+  // line is complete
+  const lines = [''];
+  tokens.forEach(({ type, text }) => {
+    const color = type ? palette[type] : plainColor;
+    text.split('\n').forEach((piece, n) => {
+      if (n > 0) lines.push('');
+      if (!piece) return;
+      const escaped = blessed.escape(piece);
+      const colored = color ? `{${color}-fg}${escaped}{/${color}-fg}` : escaped;
+      lines[lines.length - 1] += type === 'header' ? `{bold}${colored}{/bold}` : colored;
+    });
+  });
+  
+  return lines;
+}
+
+module.exports = {
+  DEFAULT_COLORS,
+  LANGUAGES,
+  resolveLanguage,
+  getFileExtension,
+  tokenize,
+  highlight
+};
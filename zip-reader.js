@@ -0,0 +1,173 @@
+/**
+ * Minimal ZIP Reader
+ *
+ * Reads entries from the zip archives produced by the data export without
+ * unpacking them to disk. Supports stored and deflated entries, which is all
+ * the export uses. Only the central directory is read up front; entry data
+ * is read on demand.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+// Record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Compression methods
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// The end record is 22 bytes plus a comment of up to 65535 bytes
+const MAX_END_RECORD_SIZE = 22 + 0xffff;
+
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Locate and parse the end of central directory record
+function readEndRecord(fd, fileSize) {
+  const tailSize = Math.min(fileSize, MAX_END_RECORD_SIZE);
+  const tail = readBytes(fd, fileSize - tailSize, tailSize);
+  
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      return {
+        entryCount: tail.readUInt16LE(i + 10),
+        directorySize: tail.readUInt32LE(i + 12),
+        directoryOffset: tail.readUInt32LE(i + 16)
+      };
+    }
+  }
+  
+  throw new Error('Not a zip archive (end of central directory not found)');
+}
+
+// Parse the central directory into a list of entries
+function readEntries(fd, endRecord) {
+  if (endRecord.entryCount === 0xffff || endRecord.directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+  
+  const directory = readBytes(fd, endRecord.directoryOffset, endRecord.directorySize);
+  const entries = [];
+  let offset = 0;
+  
+  for (let i = 0; i < endRecord.entryCount; i++) {
+    if (directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error(`Corrupt zip archive: bad central directory entry ${i}`);
+    }
+    
+    const flags = directory.readUInt16LE(offset + 8);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const nameBytes = directory.subarray(offset + 46, offset + 46 + nameLength);
+    
+    entries.push({
+      // Bit 11 marks UTF-8 names; older tools use CP437, which is ASCII-compatible
+      name: nameBytes.toString(flags & 0x800 ? 'utf8' : 'latin1'),
+      method: directory.readUInt16LE(offset + 10),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      localHeaderOffset: directory.readUInt32LE(offset + 42),
+      isDirectory: nameBytes[nameBytes.length - 1] === 0x2f
+    });
+    
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  
+  return entries;
+}
+
+// Find where an entry's data starts (after its local header)
+function getDataOffset(fd, entry) {
+  const header = readBytes(fd, entry.localHeaderOffset, 30);
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Corrupt zip archive: bad local header for ${entry.name}`);
+  }
+  return entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+}
+
+/**
+ * Open a zip archive and read its table of contents.
+ * Returns { filePath, entries, findEntry(name), readEntry(entry), createEntryStream(entry) }.
+ */
+function openZip(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  let entries;
+  
+  try {
+    entries = readEntries(fd, readEndRecord(fd, fs.fstatSync(fd).size));
+  } finally {
+    fs.closeSync(fd);
+  }
+  
+  return {
+    filePath,
+    entries,
+    
+    // Look up an entry by its full path inside the archive
+    findEntry(name) {
+      return entries.find(entry => entry.name === name) || null;
+    },
+    
+    // Read and decompress an entry into a Buffer
+    readEntry(entry) {
+      const entryFd = fs.openSync(filePath, 'r');
+      try {
+        const data = readBytes(entryFd, getDataOffset(entryFd, entry), entry.compressedSize);
+        
+        if (entry.method === METHOD_STORED) {
+          return data;
+        } else if (entry.method === METHOD_DEFLATED) {
+          return zlib.inflateRawSync(data);
+        }
+        throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+      } finally {
+        fs.closeSync(entryFd);
+      }
+    },
+    
+    // Stream an entry's decompressed contents
+    createEntryStream(entry) {
+      if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+        throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+      }
+      
+      const entryFd = fs.openSync(filePath, 'r');
+      let start;
+      try {
+        start = getDataOffset(entryFd, entry);
+      } finally {
+        fs.closeSync(entryFd);
+      }
+      
+      if (entry.compressedSize === 0) {
+        return Readable.from([]);
+      }
+      
+      const raw = fs.createReadStream(filePath, { start, end: start + entry.compressedSize - 1 });
+      if (entry.method === METHOD_STORED) {
+        return raw;
+      }
+      
+      const inflate = zlib.createInflateRaw();
+      raw.on('error', error => inflate.destroy(error));
+      return raw.pipe(inflate);
+    }
+  };
+}
+
+function isZipFile(filePath) {
+  return /\.zip$/i.test(filePath);
+}
+
+module.exports = {
+  openZip,
+  isZipFile
+};